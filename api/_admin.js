@@ -0,0 +1,22 @@
+// Firebase Admin SDK for the API routes.
+//
+// Credentials: FIREBASE_SERVICE_ACCOUNT (service account JSON) or application default
+// credentials, for FIREBASE_PROJECT_ID. With FIREBASE_AUTH_EMULATOR_HOST /
+// FIRESTORE_EMULATOR_HOST set the emulators are used instead.
+import { cert, getApps, initializeApp } from "firebase-admin/app";
+import { getAuth } from "firebase-admin/auth";
+import { getFirestore } from "firebase-admin/firestore";
+import { getMessaging } from "firebase-admin/messaging";
+
+function adminApp() {
+  if (getApps().length) return getApps()[0];
+  const account = process.env.FIREBASE_SERVICE_ACCOUNT;
+  return initializeApp({
+    projectId: process.env.FIREBASE_PROJECT_ID || process.env.VITE_FIREBASE_PROJECT_ID,
+    ...(account ? { credential: cert(JSON.parse(account)) } : {}),
+  });
+}
+
+export const adminAuth = () => getAuth(adminApp());
+export const adminDb = () => getFirestore(adminApp());
+export const adminMessaging = () => getMessaging(adminApp());
@@ -0,0 +1,267 @@
+// AI provider shared by the routes. Configured by env:
+//
+//   AI_PROVIDER     "openai" (default), "local" (any OpenAI-compatible server: Ollama,
+//                   llama.cpp, LM Studio, vLLM) or "mock" (deterministic, no network)
+//   AI_BASE_URL     server for "local" (default Ollama: http://localhost:11434/v1)
+//   AI_API_KEY      key for the local server, if it wants one ("openai" uses OPENAI_API_KEY)
+//   AI_MODEL        model for every task (default gpt-4o-mini, or llama3.1 for "local")
+//   AI_TEMPERATURE  overrides every task's temperature
+//   AI_MAX_TOKENS   overrides every task's token limit
+//   AI_EMBEDDING_MODEL       embeddings for "Ask my notes" (default text-embedding-3-small,
+//                            or nomic-embed-text for "local")
+//   AI_EMBEDDING_DIMENSIONS  vector size (default 512; a local model's own size must be
+//                            set here). Must match the vector index in firestore.indexes.json.
+//
+// Routes name a task ("summarize", "flashcards", ...); TASKS holds its defaults.
+// Every call reports the tokens it used to onUsage (the daily quota in _guard.js);
+// servers that don't report usage are estimated at 4 characters per token.
+import OpenAI from "openai";
+
+const TASKS = {
+  summarize: { temperature: 0.3, maxTokens: 2000 },
+  flashcards: { temperature: 0.5, maxTokens: 2000 },
+  "quiz-choices": { temperature: 0.8, maxTokens: 300 },
+  "quiz-grade": { temperature: 0, maxTokens: 300 },
+  ask: { temperature: 0.2, maxTokens: 800 },
+};
+
+const DEFAULT_MODELS = { openai: "gpt-4o-mini", local: "llama3.1", mock: "mock" };
+const DEFAULT_EMBEDDING_MODELS = { openai: "text-embedding-3-small", local: "nomic-embed-text", mock: "mock" };
+const DEFAULT_EMBEDDING_DIMENSIONS = 512;
+const DEFAULT_LOCAL_URL = "http://localhost:11434/v1";
+
+function estimateTokens(messages, text) {
+  const chars = messages.reduce((n, m) => n + String(m.content || "").length, 0) + String(text || "").length;
+  return Math.ceil(chars / 4);
+}
+
+export function envNumber(name) {
+  const v = process.env[name];
+  return v === undefined || v === "" || Number.isNaN(Number(v)) ? undefined : Number(v);
+}
+
+export function aiConfig(task) {
+  const provider = (process.env.AI_PROVIDER || "openai").toLowerCase();
+  if (!DEFAULT_MODELS[provider]) throw new Error(`Unknown AI_PROVIDER "${provider}"`);
+  const defaults = TASKS[task] || {};
+  return {
+    provider,
+    model: process.env.AI_MODEL || DEFAULT_MODELS[provider],
+    temperature: envNumber("AI_TEMPERATURE") ?? defaults.temperature,
+    maxTokens: envNumber("AI_MAX_TOKENS") ?? defaults.maxTokens,
+    embeddingModel: process.env.AI_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODELS[provider],
+    dimensions: envNumber("AI_EMBEDDING_DIMENSIONS") ?? DEFAULT_EMBEDDING_DIMENSIONS,
+  };
+}
+
+/* ---------------- OpenAI and compatible servers ---------------- */
+
+function openaiClient(provider) {
+  if (provider === "local") {
+    return new OpenAI({
+      baseURL: process.env.AI_BASE_URL || DEFAULT_LOCAL_URL,
+      // The SDK insists on a key; local servers ignore it
+      apiKey: process.env.AI_API_KEY || "local",
+    });
+  }
+  return new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+  });
+}
+
+function openaiProvider(config, onUsage) {
+  const client = openaiClient(config.provider);
+  const params = (messages, json) => ({
+    model: config.model,
+    messages,
+    temperature: config.temperature,
+    max_tokens: config.maxTokens,
+    ...(json ? { response_format: { type: "json_object" } } : {}),
+  });
+
+  return {
+    async complete(messages, { json = false } = {}) {
+      const completion = await client.chat.completions.create(params(messages, json));
+      const text = completion.choices[0].message.content;
+      await onUsage(completion.usage?.total_tokens ?? estimateTokens(messages, text));
+      return text;
+    },
+
+    async stream(messages, { signal, onDelta }) {
+      // A stream that fails to open costs nothing, and nothing is charged for it
+      const stream = await client.chat.completions.create(
+        {
+          ...params(messages, false),
+          stream: true,
+          // Only OpenAI is sure to understand this; it adds a final chunk with the usage
+          ...(config.provider === "openai" ? { stream_options: { include_usage: true } } : {}),
+        },
+        { signal }
+      );
+      let text = "";
+      let tokens = null;
+      try {
+        for await (const part of stream) {
+          if (part.usage) tokens = part.usage.total_tokens;
+          const delta = part.choices[0]?.delta?.content || "";
+          if (!delta) continue;
+          text += delta;
+          onDelta(delta);
+        }
+        return text;
+      } finally {
+        // Cancelled streams are charged for what was generated
+        await onUsage(tokens ?? estimateTokens(messages, text));
+      }
+    },
+
+    async embed(texts) {
+      const result = await client.embeddings.create({
+        model: config.embeddingModel,
+        input: texts,
+        // Only OpenAI's text-embedding-3 models can shorten their vectors
+        ...(config.provider === "openai" ? { dimensions: config.dimensions } : {}),
+      });
+      await onUsage(result.usage?.total_tokens ?? estimateTokens([], texts.join("")));
+      return result.data.sort((a, b) => a.index - b.index).map((d) => d.embedding);
+    },
+  };
+}
+
+/* ---------------- mock ---------------- */
+
+// Same input, same output: enough structure for the client to exercise every path
+// (page citations, one card per line, JSON shapes) without a model.
+
+function sentences(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .split(/(?<=[.!?])\s+/)
+    .map((s) => s.trim())
+    .filter((s) => s.length > 15);
+}
+
+function clip(s, n) {
+  return s.length > n ? `${s.slice(0, n - 1).trimEnd()}…` : s;
+}
+
+function mockSummary(input) {
+  const bullets = [];
+  // Parts of a merge ("--- Part 2 (pp. 3–4) ---") carry their bullets over
+  if (/^--- Part \d+/m.test(input)) {
+    for (const line of input.split("\n")) if (/^\s*- /.test(line)) bullets.push(line.trim());
+    return ["Mock summary of the whole document.", "", "## Key points", ...bullets.slice(0, 20)].join("\n");
+  }
+
+  let page = null;
+  for (const block of input.split(/\n(?=\[Page \d+\])/)) {
+    const m = /^\[Page (\d+)\]/.exec(block);
+    if (m) page = m[1];
+    for (const s of sentences(block.replace(/^\[Page \d+\]/, "")).slice(0, 2)) {
+      bullets.push(`- ${clip(s, 140)}${page ? ` (p. ${page})` : ""}`);
+    }
+  }
+  if (bullets.length === 0) bullets.push(`- ${clip(input.trim().replace(/\s+/g, " "), 140)}`);
+  return bullets.slice(0, 12).join("\n");
+}
+
+function mockCards(input) {
+  return sentences(input.replace(/\[Page \d+\]/g, " "))
+    .slice(0, 8)
+    .map((s) => {
+      const m = /^(.{3,60}?) (is|are|means|was|were) (.+)$/i.exec(s);
+      return m
+        ? { question: `What ${m[2].toLowerCase()} ${m[1].replace(/^(the|a|an) /i, "")}?`, answer: m[3] }
+        : { question: `Complete: "${clip(s, 50)}"`, answer: s };
+    });
+}
+
+function field(input, label) {
+  return (new RegExp(`^${label}: (.*)$`, "m").exec(input) || [])[1] || "";
+}
+
+function mockGrade(input) {
+  const words = (s) => new Set(s.toLowerCase().match(/[a-z0-9]+/g) || []);
+  const ref = words(field(input, "Reference answer"));
+  const got = words(field(input, "Student answer"));
+  const hits = [...ref].filter((w) => got.has(w)).length;
+  const score = ref.size ? Math.round((hits / ref.size) * 100) : 0;
+  return { score, correct: score >= 70, explanation: `Mock grade: ${hits} of ${ref.size} reference words used.` };
+}
+
+function mockReply(task, messages, json) {
+  const input = messages.filter((m) => m.role === "user").map((m) => m.content).join("\n");
+  switch (task) {
+    case "summarize":
+      return mockSummary(input);
+    case "flashcards": {
+      const cards = mockCards(input);
+      return json ? JSON.stringify({ cards }) : cards.map((c) => JSON.stringify(c)).join("\n");
+    }
+    case "quiz-choices": {
+      const answer = field(input, "Correct answer");
+      return JSON.stringify({ distractors: [`Not ${answer}`, `The opposite of ${answer}`, "None of the above"] });
+    }
+    case "quiz-grade":
+      return JSON.stringify(mockGrade(input));
+    case "ask": {
+      // Sources come as "[n] Title (p. N)" headers followed by their text
+      const first = /^\[1\] .*\n([\s\S]*?)(?:\n\n\[2\] |\n\nQuestion: )/m.exec(input);
+      const fact = first && sentences(first[1].replace(/\[Page \d+\]/g, " "))[0];
+      return fact ? `According to your notes: ${clip(fact, 200)} [1]` : "Your notes don't seem to cover this.";
+    }
+    default:
+      return json ? "{}" : `Mock reply for ${task}.`;
+  }
+}
+
+// Hashed bag of words: texts sharing words end up close, which is all search needs
+function mockEmbedding(text, dimensions) {
+  const v = new Array(dimensions).fill(0);
+  for (const w of String(text).toLowerCase().match(/[a-z0-9]{3,}/g) || []) {
+    let h = 2166136261;
+    for (let i = 0; i < w.length; i++) h = Math.imul(h ^ w.charCodeAt(i), 16777619);
+    v[(h >>> 0) % dimensions] += 1;
+  }
+  const norm = Math.hypot(...v) || 1;
+  return v.map((x) => x / norm);
+}
+
+function mockProvider(task, config, onUsage) {
+  return {
+    async complete(messages, { json = false } = {}) {
+      const text = mockReply(task, messages, json);
+      await onUsage(estimateTokens(messages, text));
+      return text;
+    },
+
+    // Word by word, yielding between pieces like a real stream
+    async stream(messages, { signal, onDelta }) {
+      const text = mockReply(task, messages, false);
+      let sent = "";
+      try {
+        for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+          if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+          await new Promise((resolve) => setTimeout(resolve, 15));
+          sent += piece;
+          onDelta(piece);
+        }
+        return text;
+      } finally {
+        await onUsage(estimateTokens(messages, sent));
+      }
+    },
+
+    async embed(texts) {
+      await onUsage(estimateTokens([], texts.join("")));
+      return texts.map((t) => mockEmbedding(t, config.dimensions));
+    },
+  };
+}
+
+// Returns { complete(messages, { json }), stream(messages, { signal, onDelta }), embed(texts) }
+// for a task
+export function aiFor(task, { onUsage = async () => {} } = {}) {
+  const config = aiConfig(task);
+  return config.provider === "mock" ? mockProvider(task, config, onUsage) : openaiProvider(config, onUsage);
+}
@@ -0,0 +1,159 @@
+// Who may call the AI routes, and how much.
+//
+// Every request needs a Firebase ID token ("Authorization: Bearer <token>"), verified with
+// the Admin SDK. Per user, kept in Firestore under aiUsage/{uid} (read-only to the user,
+// see firestore.rules):
+//   - at most AI_RATE_LIMIT requests per minute (aiUsage/{uid}.recent),
+//   - at most AI_DAILY_TOKENS model tokens per UTC day (aiUsage/{uid}/days/{yyyy-mm-dd}).
+// Setting either to 0 turns the AI routes off. Inputs longer than AI_MAX_INPUT_CHARS are
+// refused, and a request's worst case (its input plus the task's output limit) is reserved
+// against the quota before the model is called, then settled against the tokens it used.
+//
+// Failures are JSON { error, code, retryAfter? } with status 401 (code "unauthenticated"),
+// 413 ("too_large"), 429 ("rate_limited" or "quota_exceeded"), 500 ("auth_unavailable",
+// tokens can't be checked: missing Admin credentials or the like) or 503 ("ai_disabled");
+// retryAfter is in seconds. Routes validate their body first, so a bad request doesn't
+// use up a rate-limit slot.
+import { FieldValue } from "firebase-admin/firestore";
+import { adminAuth, adminDb } from "./_admin.js";
+import { aiConfig, envNumber } from "./_ai.js";
+
+const RATE_LIMIT = envNumber("AI_RATE_LIMIT") ?? 30;
+const RATE_WINDOW_MS = 60 * 1000;
+const DAILY_TOKENS = envNumber("AI_DAILY_TOKENS") ?? 200000;
+export const MAX_INPUT_CHARS = envNumber("AI_MAX_INPUT_CHARS") ?? 60000;
+// verifyIdToken failures that are the token's fault; anything else is the server's
+const TOKEN_ERRORS = new Set(["auth/argument-error", "auth/id-token-expired", "auth/id-token-revoked", "auth/user-disabled"]);
+
+// Thrown by guard.reserve(); send it with sendGuardError()
+export class GuardError extends Error {
+  constructor(status, code, message, retryAfter = 0) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function fail(res, err) {
+  if (err.retryAfter) res.setHeader("Retry-After", String(err.retryAfter));
+  res.status(err.status).json({ error: err.message, code: err.code, ...(err.retryAfter ? { retryAfter: err.retryAfter } : {}) });
+  return null;
+}
+
+// Sends a GuardError; false for any other error
+export function sendGuardError(res, err) {
+  if (!(err instanceof GuardError)) return false;
+  fail(res, err);
+  return true;
+}
+
+function secondsToUtcMidnight(now) {
+  const d = new Date(now);
+  return Math.ceil((Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1) - now) / 1000);
+}
+
+const quotaError = (now) =>
+  new GuardError(429, "quota_exceeded", "You've used today's AI allowance.", secondsToUtcMidnight(now));
+
+// Same 4 characters per token as the estimates in _ai.js
+export const tokensFor = (chars) => Math.ceil(chars / 4);
+
+// Sends the error and returns null, or returns the guard of a request that may go ahead:
+//   { uid, record(tokens), reserve(tokens), release() }
+// input: the strings the request sends to the model (checked against maxChars). With a
+// `task`, its input, output limit and `extraTokens` are reserved up front; reserve() holds
+// more later. record() (the routes' onUsage) charges what was used, drawing on what is
+// held; release() gives back the rest and must run when the request is done.
+export async function guardAi(req, res, { task, input = [], maxChars = MAX_INPUT_CHARS, extraTokens = 0 } = {}) {
+  if (RATE_LIMIT <= 0 || DAILY_TOKENS <= 0) {
+    return fail(res, new GuardError(503, "ai_disabled", "AI features are turned off on this server."));
+  }
+
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+  if (!match) return fail(res, new GuardError(401, "unauthenticated", "Sign in to use AI features."));
+
+  let uid;
+  try {
+    uid = (await adminAuth().verifyIdToken(match[1])).uid;
+  } catch (err) {
+    if (TOKEN_ERRORS.has(err?.code)) {
+      return fail(res, new GuardError(401, "unauthenticated", "Your session has expired. Sign in again."));
+    }
+    console.error(err);
+    return fail(res, new GuardError(500, "auth_unavailable", "Sign-in can't be checked on this server right now."));
+  }
+
+  const chars = input.reduce((n, s) => n + String(s ?? "").length, 0);
+  if (chars > maxChars) {
+    return fail(
+      res,
+      new GuardError(413, "too_large", `This is too long for one AI request (${chars} characters; the limit is ${maxChars}).`)
+    );
+  }
+  const estimate = task ? tokensFor(chars) + (aiConfig(task).maxTokens || 0) + extraTokens : 0;
+
+  const db = adminDb();
+  const now = Date.now();
+  const userRef = db.collection("aiUsage").doc(uid);
+  const dayRef = userRef.collection("days").doc(new Date(now).toISOString().slice(0, 10));
+
+  const verdict = await db.runTransaction(async (tx) => {
+    const [user, day] = await tx.getAll(userRef, dayRef);
+    const used = day.get("tokens") || 0;
+    if (used >= DAILY_TOKENS || used + estimate > DAILY_TOKENS) return quotaError(now);
+    const recent = (user.get("recent") || []).filter((t) => t > now - RATE_WINDOW_MS);
+    if (recent.length >= RATE_LIMIT) {
+      return new GuardError(
+        429,
+        "rate_limited",
+        "Too many AI requests. Slow down a little.",
+        Math.max(1, Math.ceil((recent[0] + RATE_WINDOW_MS - now) / 1000))
+      );
+    }
+    tx.set(userRef, { recent: [...recent, now] }, { merge: true });
+    tx.set(
+      dayRef,
+      { requests: FieldValue.increment(1), tokens: FieldValue.increment(estimate), updatedAt: FieldValue.serverTimestamp() },
+      { merge: true }
+    );
+    return null;
+  });
+  if (verdict) return fail(res, verdict);
+
+  let held = estimate;
+  // Charging must not fail the answer the user already has
+  const charge = async (tokens) => {
+    if (!tokens) return;
+    try {
+      await dayRef.set({ tokens: FieldValue.increment(tokens), updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  return {
+    uid,
+    async record(tokens) {
+      const used = Math.max(0, Math.round(tokens) || 0);
+      const drawn = Math.min(held, used);
+      held -= drawn;
+      await charge(used - drawn);
+    },
+    // Throws a GuardError if `tokens` more would go over today's allowance
+    async reserve(tokens) {
+      const amount = Math.max(0, Math.round(tokens) || 0);
+      await db.runTransaction(async (tx) => {
+        const day = await tx.get(dayRef);
+        if ((day.get("tokens") || 0) + amount > DAILY_TOKENS) throw quotaError(Date.now());
+        tx.set(dayRef, { tokens: FieldValue.increment(amount), updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+      });
+      held += amount;
+    },
+    async release() {
+      const rest = held;
+      held = 0;
+      await charge(-rest);
+    },
+  };
+}
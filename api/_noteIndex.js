@@ -0,0 +1,198 @@
+// Embeddings index for "Ask my notes" (api/ask.js).
+//
+// Notes are cut into chunks of about a paragraph or two, starting afresh at every
+// [Page N] marker and heading; a chunk from a PDF import starts with its [Page N] marker
+// so answers can cite the page, and remembers the import's file name so the client can
+// open the right PDF. Chunks live in users/{uid}/noteChunks, one doc per chunk:
+//   { noteId, title, className, page, file, text, hash, embedding (vector), updatedAt }
+// The doc id is `${noteId}_${hash of the text}`, so re-indexing a note after an edit only
+// embeds the chunks that changed and deletes the ones that are gone.
+//
+// Search uses Firestore vector search; the index is in firestore.indexes.json.
+import { createHash } from "node:crypto";
+import { FieldValue } from "firebase-admin/firestore";
+
+export const CHUNK_CHARS = 1200;
+const EMBED_BATCH = 64;
+const WRITE_BATCH = 400;
+
+const PAGE_RE = /^\[Page (\d+)\]\s*$/;
+const HEADING_RE = /^#{1,6}\s+\S/;
+// Generated summaries aren't the student's notes; answers shouldn't rest on them
+const AI_BLOCK_RE = /^=== AI ([A-Z ]+) ===$[\s\S]*?^=== \/\1 ===$/gm;
+// "--- PDF IMPORT: x ---", "--- /TRANSCRIPT ---"...: the text inside stays, the markers go
+const MARKER_RE = /^--- .+ ---$/gm;
+// PDF import blocks become paragraphs of their own (FILE_MARK + name; empty at the end)
+const PDF_OPEN_RE = /^--- PDF IMPORT: (.*) ---$/gm;
+const PDF_CLOSE_RE = /^--- \/PDF ---$/gm;
+const FILE_MARK = "\u0000file:";
+
+function splitSentences(text, max) {
+  const out = [];
+  let cur = "";
+  for (const s of text.split(/(?<=[.!?])\s+/)) {
+    if (cur && cur.length + s.length + 1 > max) {
+      out.push(cur);
+      cur = "";
+    }
+    cur = cur ? `${cur} ${s}` : s;
+    while (cur.length > max) {
+      out.push(cur.slice(0, max));
+      cur = cur.slice(max);
+    }
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+// Returns [{ text, page, file }]; file is the name of the PDF a chunk was imported from
+export function chunkNote(body) {
+  const chunks = [];
+  let page = null;
+  let file = null;
+  let cur = [];
+  let size = 0;
+
+  const flush = () => {
+    const text = cur.join("\n\n").trim();
+    if (text) chunks.push({ text: page != null ? `[Page ${page}]\n${text}` : text, page, file });
+    cur = [];
+    size = 0;
+  };
+  const add = (para) => {
+    if (size && size + para.length > CHUNK_CHARS) flush();
+    cur.push(para);
+    size += para.length + 2;
+  };
+
+  const paragraphs = String(body || "")
+    .replace(AI_BLOCK_RE, "")
+    .replace(PDF_OPEN_RE, (m, name) => `\n\n${FILE_MARK}${name}\n\n`)
+    .replace(PDF_CLOSE_RE, `\n\n${FILE_MARK}\n\n`)
+    .replace(MARKER_RE, "")
+    .split(/\n\s*\n|\n(?=\[Page \d+\]|#{1,6}\s)/);
+  for (const raw of paragraphs) {
+    let para = raw.trim();
+    if (!para) continue;
+    if (para.startsWith(FILE_MARK)) {
+      flush();
+      file = para.slice(FILE_MARK.length) || null;
+      page = null;
+      continue;
+    }
+
+    const m = PAGE_RE.exec(para.split("\n")[0].trim());
+    if (m) {
+      flush();
+      page = Number(m[1]);
+      para = para.split("\n").slice(1).join("\n").trim();
+      if (!para) continue;
+    } else if (HEADING_RE.test(para)) {
+      flush();
+    }
+
+    for (const piece of para.length > CHUNK_CHARS ? splitSentences(para, CHUNK_CHARS) : [para]) add(piece);
+  }
+  flush();
+  return chunks;
+}
+
+const hashText = (text) => createHash("sha1").update(text).digest("hex").slice(0, 16);
+
+function chunksRef(db, uid) {
+  return db.collection("users").doc(uid).collection("noteChunks");
+}
+
+async function commitAll(db, ops) {
+  for (let i = 0; i < ops.length; i += WRITE_BATCH) {
+    const batch = db.batch();
+    for (const op of ops.slice(i, i + WRITE_BATCH)) op(batch);
+    await batch.commit();
+  }
+}
+
+// Brings one note's chunks up to date. Returns { added, removed, kept }. beforeEmbed(texts)
+// sees the chunks that need embedding first and may throw to stop (the quota, in api/ask.js).
+export async function indexNote(db, uid, ai, { noteId, title = "", className = "", body = "" }, { beforeEmbed } = {}) {
+  const col = chunksRef(db, uid);
+  const wanted = new Map();
+  for (const c of chunkNote(body)) {
+    const id = `${noteId}_${hashText(c.text)}`;
+    if (!wanted.has(id)) wanted.set(id, c);
+  }
+
+  const existing = await col.where("noteId", "==", noteId).select("title", "className", "file").get();
+  const have = new Map(existing.docs.map((d) => [d.id, d]));
+
+  const fresh = [...wanted].filter(([id]) => !have.has(id));
+  if (fresh.length) await beforeEmbed?.(fresh.map(([, c]) => c.text));
+  const vectors = [];
+  for (let i = 0; i < fresh.length; i += EMBED_BATCH) {
+    vectors.push(...(await ai.embed(fresh.slice(i, i + EMBED_BATCH).map(([, c]) => c.text))));
+  }
+
+  const ops = [];
+  const now = FieldValue.serverTimestamp();
+  fresh.forEach(([id, c], i) => {
+    ops.push((b) =>
+      b.set(col.doc(id), {
+        noteId,
+        title,
+        className,
+        page: c.page,
+        file: c.file,
+        text: c.text,
+        hash: id.slice(noteId.length + 1),
+        embedding: FieldValue.vector(vectors[i]),
+        updatedAt: now,
+      })
+    );
+  });
+  let removed = 0;
+  for (const [id, d] of have) {
+    if (!wanted.has(id)) {
+      ops.push((b) => b.delete(d.ref));
+      removed++;
+    } else if (
+      d.get("title") !== title ||
+      d.get("className") !== className ||
+      (d.get("file") ?? null) !== wanted.get(id).file
+    ) {
+      // Renames (and chunks indexed before `file` existed) don't need new embeddings
+      ops.push((b) => b.update(d.ref, { title, className, file: wanted.get(id).file, updatedAt: now }));
+    }
+  }
+  await commitAll(db, ops);
+
+  return { added: fresh.length, removed, kept: wanted.size - fresh.length };
+}
+
+// Deletes the chunks of every note not in keepIds. Returns the number deleted.
+export async function pruneIndex(db, uid, keepIds) {
+  const keep = new Set(keepIds);
+  const snap = await chunksRef(db, uid).select("noteId").get();
+  const stale = snap.docs.filter((d) => !keep.has(d.get("noteId")));
+  await commitAll(db, stale.map((d) => (b) => b.delete(d.ref)));
+  return stale.length;
+}
+
+// Nearest chunks to a query vector: [{ noteId, title, page, file, text, distance }]
+export async function searchNotes(db, uid, vector, limit) {
+  const snap = await chunksRef(db, uid)
+    .findNearest({
+      vectorField: "embedding",
+      queryVector: vector,
+      limit,
+      distanceMeasure: "COSINE",
+      distanceResultField: "distance",
+    })
+    .get();
+  return snap.docs.map((d) => ({
+    noteId: d.get("noteId"),
+    title: d.get("title") || "Untitled",
+    page: d.get("page") ?? null,
+    file: d.get("file") ?? null,
+    text: d.get("text") || "",
+    distance: d.get("distance"),
+  }));
+}
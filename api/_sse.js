@@ -0,0 +1,41 @@
+// Server-sent events for the AI routes. A route streams when the request body has
+// `stream: true` and answers with plain JSON otherwise. Files starting with "_" aren't
+// deployed as routes.
+//
+// Events: route-specific ones ("delta", "card"), then "done" or "error" ({ error }).
+
+export function openSse(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Don't let proxies hold the stream back
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders?.();
+
+  // The client hung up (Cancel): stop generating
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    send(event, data = {}) {
+      if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
+
+// Error handling for a route that may already be streaming
+export function failSse(res, sse, err) {
+  if (sse?.signal.aborted) return sse.end();
+  console.error(err);
+  if (!sse) return res.status(500).json({ error: "AI error" });
+  sse.send("error", { error: "AI error" });
+  sse.end();
+}
@@ -0,0 +1,108 @@
+import { adminDb } from "./_admin.js";
+import { aiFor } from "./_ai.js";
+import { guardAi, sendGuardError, tokensFor } from "./_guard.js";
+import { CHUNK_CHARS, indexNote, pruneIndex, searchNotes } from "./_noteIndex.js";
+
+// "Ask my notes". Modes:
+//   (none)  { question } -> { answer, sources: [{ n, noteId, title, page, file, snippet }] };
+//           the answer cites sources as [n]
+//   "index" { noteId, title, className, body } -> { added, removed, kept }; the client
+//           sends this after saving a note (see src/lib/ask.js)
+//   "prune" { keep: [noteId] } -> { removed }; drops chunks of notes that are gone
+const SOURCES = 8;
+// A note body can't be bigger than a Firestore doc (1 MiB)
+const MAX_NOTE_CHARS = 1024 * 1024;
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  let guard = null;
+  try {
+    const { mode, question, noteId, title, className, body, keep } = req.body;
+    if (mode === "index" && (!noteId || typeof noteId !== "string" || noteId.includes("/"))) {
+      return res.status(400).json({ error: "Note id required" });
+    }
+    if (mode === "prune" && !Array.isArray(keep)) {
+      return res.status(400).json({ error: "Note ids required" });
+    }
+    if (mode !== "index" && mode !== "prune" && (!question || String(question).trim().length < 3)) {
+      return res.status(400).json({ error: "Question too short" });
+    }
+
+    // Indexing reserves what it embeds once it knows which chunks changed
+    guard = await guardAi(
+      req,
+      res,
+      mode === "index"
+        ? { input: [body], maxChars: MAX_NOTE_CHARS }
+        : mode === "prune"
+          ? {}
+          : { task: "ask", input: [question], extraTokens: tokensFor(SOURCES * CHUNK_CHARS) }
+    );
+    if (!guard) return;
+    const ai = aiFor("ask", { onUsage: guard.record });
+    const db = adminDb();
+
+    if (mode === "index") {
+      const note = {
+        noteId,
+        title: String(title || ""),
+        className: String(className || ""),
+        body: String(body || ""),
+      };
+      const result = await indexNote(db, guard.uid, ai, note, {
+        beforeEmbed: (texts) => guard.reserve(tokensFor(texts.join("").length)),
+      });
+      return res.status(200).json(result);
+    }
+
+    if (mode === "prune") {
+      return res.status(200).json({ removed: await pruneIndex(db, guard.uid, keep.map(String)) });
+    }
+
+    const [vector] = await ai.embed([String(question)]);
+    const hits = await searchNotes(db, guard.uid, vector, SOURCES);
+    if (hits.length === 0) {
+      return res.status(200).json({
+        answer: "None of your notes are indexed yet. Save a note (or use Index all notes) and ask again.",
+        sources: [],
+      });
+    }
+
+    const sources = hits.map((h, i) => ({ ...h, n: i + 1 }));
+    const answer = await ai.complete([
+      {
+        role: "system",
+        content:
+          "You answer a student's question using ONLY the excerpts from their own notes below. After each sentence, cite the excerpts it rests on as [n] with the excerpt numbers given. If the notes don't answer the question, say so plainly instead of using outside knowledge. Be concise."
+      },
+      {
+        role: "user",
+        content: `${sources
+          .map((s) => `[${s.n}] ${s.title}${s.page != null ? ` (p. ${s.page})` : ""}\n${s.text}`)
+          .join("\n\n")}\n\nQuestion: ${question}`
+      }
+    ]);
+
+    res.status(200).json({
+      answer,
+      sources: sources.map((s) => ({
+        n: s.n,
+        noteId: s.noteId,
+        title: s.title,
+        page: s.page,
+        file: s.file,
+        snippet: s.text.replace(/^\[Page \d+\]\n/, "").slice(0, 240),
+      })),
+    });
+
+  } catch (err) {
+    if (sendGuardError(res, err)) return;
+    console.error(err);
+    res.status(500).json({ error: "AI error" });
+  } finally {
+    await guard?.release();
+  }
+}
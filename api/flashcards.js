@@ -1,24 +1,76 @@
-import OpenAI from "openai";
+import { aiFor } from "./_ai.js";
+import { guardAi } from "./_guard.js";
+import { failSse, openSse } from "./_sse.js";
+
+// With `stream: true` the model writes one card per line and each finished line is sent
+// as a "card" event ({ question, answer }), so cards show up while the rest generate.
+function parseCard(line) {
+  const s = line.trim().replace(/,$/, "");
+  if (!s.startsWith("{")) return null;
+  try {
+    const c = JSON.parse(s);
+    return c && c.question && c.answer ? { question: String(c.question), answer: String(c.answer) } : null;
+  } catch {
+    return null;
+  }
+}
 
 export default async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
+  let sse = null;
+  let guard = null;
   try {
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
-    const { text } = req.body;
-
+    const { text, stream } = req.body;
     if (!text || text.length < 10) {
       return res.status(400).json({ error: "Text too short" });
     }
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
+    guard = await guardAi(req, res, { task: "flashcards", input: [text] });
+    if (!guard) return;
+    const ai = aiFor("flashcards", { onUsage: guard.record });
+
+    if (stream) {
+      sse = openSse(res);
+      let buffer = "";
+      const flush = (all) => {
+        const lines = buffer.split("\n");
+        buffer = all ? "" : lines.pop();
+        for (const line of lines) {
+          const card = parseCard(line);
+          if (card) sse.send("card", card);
+        }
+      };
+
+      await ai.stream(
+        [
+          {
+            role: "system",
+            content:
+              'Make 8 flashcards. Output one JSON object per line in exactly this format: {"question":"","answer":""}. No other text, no list, no code fences.'
+          },
+          {
+            role: "user",
+            content: text
+          }
+        ],
+        {
+          signal: sse.signal,
+          onDelta: (delta) => {
+            buffer += delta;
+            if (delta.includes("\n")) flush(false);
+          },
+        }
+      );
+      flush(true);
+      sse.send("done");
+      return sse.end();
+    }
+
+    const content = await ai.complete(
+      [
         {
           role: "system",
           content:
@@ -29,16 +81,15 @@ export default async function handler(req, res) {
           content: text
         }
       ],
-      response_format: { type: "json_object" }
-    });
-
-    const content = completion.choices[0].message.content;
+      { json: true }
+    );
     const parsed = JSON.parse(content);
 
     res.status(200).json({ cards: parsed.cards });
 
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "AI error" });
+    failSse(res, sse, err);
+  } finally {
+    await guard?.release();
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,92 @@
+import { aiFor } from "./_ai.js";
+import { guardAi } from "./_guard.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  let guard = null;
+  try {
+    const { mode, question, answer, response } = req.body;
+    if (mode !== "choices" && mode !== "grade") {
+      return res.status(400).json({ error: "Unknown mode" });
+    }
+    if (!question || !answer) {
+      return res.status(400).json({ error: "Question and answer required" });
+    }
+    if (mode === "grade" && (!response || !String(response).trim())) {
+      return res.status(400).json({ error: "Response required" });
+    }
+
+    guard = await guardAi(req, res, {
+      task: mode === "grade" ? "quiz-grade" : "quiz-choices",
+      input: [question, answer, mode === "grade" ? response : ""],
+    });
+    if (!guard) return;
+
+    if (mode === "choices") {
+      const content = await aiFor("quiz-choices", { onUsage: guard.record }).complete(
+        [
+          {
+            role: "system",
+            content:
+              'Return ONLY valid JSON in this format: {"distractors":["","",""]}. Write 3 plausible but clearly wrong answers to the question, in the same style and length as the correct answer.'
+          },
+          {
+            role: "user",
+            content: `Question: ${question}\nCorrect answer: ${answer}`
+          }
+        ],
+        { json: true }
+      );
+
+      const parsed = JSON.parse(content);
+      const distractors = (Array.isArray(parsed.distractors) ? parsed.distractors : [])
+        .map((d) => String(d).trim())
+        .filter((d) => d && d !== answer)
+        .slice(0, 3);
+
+      // Shuffle so the correct answer isn't always first
+      const choices = [answer, ...distractors];
+      for (let i = choices.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [choices[i], choices[j]] = [choices[j], choices[i]];
+      }
+
+      return res.status(200).json({ choices, correctIndex: choices.indexOf(answer) });
+    }
+
+    if (mode === "grade") {
+      const content = await aiFor("quiz-grade", { onUsage: guard.record }).complete(
+        [
+          {
+            role: "system",
+            content:
+              'You grade a student\'s answer against the reference answer. Accept paraphrases and minor spelling mistakes; judge the concept, not the wording. Return ONLY valid JSON in this format: {"score":0,"correct":false,"explanation":""}. score is 0-100. explanation is 1-2 sentences telling the student what was right or missing.'
+          },
+          {
+            role: "user",
+            content: `Question: ${question}\nReference answer: ${answer}\nStudent answer: ${response}`
+          }
+        ],
+        { json: true }
+      );
+
+      const parsed = JSON.parse(content);
+      const score = Math.max(0, Math.min(100, Math.round(Number(parsed.score) || 0)));
+
+      return res.status(200).json({
+        score,
+        correct: typeof parsed.correct === "boolean" ? parsed.correct : score >= 70,
+        explanation: String(parsed.explanation || ""),
+      });
+    }
+
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "AI error" });
+  } finally {
+    await guard?.release();
+  }
+}
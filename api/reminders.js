@@ -0,0 +1,87 @@
+// Cron route: pushes due-date reminders to browsers that have no tab open.
+//
+// Every device registered by src/lib/push.js (users/{uid}/pushDevices) carries its FCM
+// token, reminder settings and time zone. Its schedule is built from the user's tasks with
+// the page's own code (src/lib/reminders.js); ids already pushed are kept on the device doc
+// so each reminder goes out once, and devices whose token is gone are removed.
+//
+// Scheduled every minute in vercel.json. Callers must send `Authorization: Bearer
+// $CRON_SECRET`, which Vercel Cron does when CRON_SECRET is set.
+import { adminDb, adminMessaging } from "./_admin.js";
+import { buildReminderSchedule, dueReminders, LATE_GRACE_MS } from "../src/lib/reminders.js";
+
+const GONE = new Set(["messaging/registration-token-not-registered", "messaging/invalid-registration-token"]);
+
+export default async function handler(req, res) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(500).json({ error: "CRON_SECRET is not set" });
+  }
+  if (req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const db = adminDb();
+    const now = Date.now();
+    const devices = await db.collectionGroup("pushDevices").get();
+    const tasksOf = new Map(); // uid -> Promise<tasks>
+    let sent = 0;
+
+    for (const device of devices.docs) {
+      const uid = device.ref.parent.parent.id;
+      const { token, offsets = [], allDayTime, timeZone, sent: sentIds = [] } = device.data();
+      if (!token) continue;
+
+      if (!tasksOf.has(uid)) {
+        tasksOf.set(
+          uid,
+          db.collection("users").doc(uid).collection("tasks").get()
+            .then((snap) => snap.docs.map((d) => ({ id: d.id, ...d.data() })))
+        );
+      }
+      const schedule = buildReminderSchedule(
+        await tasksOf.get(uid),
+        { enabled: true, offsets, allDayTime, timeZone },
+        now
+      );
+      const due = dueReminders(schedule, sentIds, now);
+      if (!due.length) continue;
+
+      const delivered = [];
+      let gone = false;
+      for (const r of due) {
+        try {
+          await adminMessaging().send({
+            token,
+            data: { uid, id: r.id, title: r.title, body: r.body, due: r.due || "" },
+            webpush: {
+              headers: { Urgency: "high", TTL: String(Math.max(0, Math.round((r.at + LATE_GRACE_MS - now) / 1000))) },
+            },
+          });
+          delivered.push(r.id);
+        } catch (err) {
+          if (GONE.has(err.code)) {
+            gone = true;
+            break;
+          }
+          console.error(err);
+        }
+      }
+
+      if (gone) {
+        await device.ref.delete();
+        continue;
+      }
+      // Only ids still in the schedule need remembering
+      const ids = new Set(schedule.map((r) => r.id));
+      await device.ref.update({ sent: [...sentIds.filter((id) => ids.has(id)), ...delivered] });
+      sent += delivered.length;
+    }
+
+    res.status(200).json({ devices: devices.size, sent });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Reminder push failed" });
+  }
+}
@@ -1,41 +1,106 @@
-import OpenAI from "openai";
+import { aiFor } from "./_ai.js";
+import { guardAi } from "./_guard.js";
+import { failSse, openSse } from "./_sse.js";
+
+// Long notes are summarized map-reduce style by the client (src/lib/summarize.js):
+// "chunk" summarizes one part with page citations, "merge" combines part summaries.
+// Without a mode the whole text is summarized in one go.
+// With `stream: true` the summary comes back as "delta" events ({ text }).
+// `style` (see src/lib/summaryStyles.js) and `length` (target words) shape the single
+// call and the final merge.
+const CITE =
+  "The text contains [Page N] markers. After each bullet cite the page(s) it comes from as (p. N) or (pp. N–M). If there are no page markers, don't cite pages.";
+
+const STYLES = {
+  bullets: "Create a clear bullet summary with key concepts.",
+  cornell:
+    "Write Cornell notes in Markdown: a table with the header | Cue | Notes |, one row per idea, pairing a short cue (a question or keyword to quiz yourself with) with the notes that answer it; then a line starting with **Summary:** and a 2-4 sentence summary of the whole.",
+  outline:
+    "Write a hierarchical outline in Markdown: numbered main topics following the structure of the material, with nested bullets for subtopics and details, at most three levels deep.",
+  glossary:
+    "Write a glossary of the key terms in Markdown, in alphabetical order: one bullet per term as **Term**: a precise one- or two-sentence definition, with a formula or example where it helps.",
+  cheatsheet:
+    "Write a one-page exam cheat-sheet in Markdown: short ### sections by topic, packed with the facts, definitions, formulas (as $...$ math) and common pitfalls most likely to be tested. Terse phrases, no filler.",
+};
+
+const MIN_WORDS = 50;
+const MAX_WORDS = 1500;
 
 export default async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
+  let sse = null;
+  let guard = null;
   try {
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+    const { mode, text, pages, parts, final, stream, style = "bullets", length } = req.body;
+    if (!STYLES[style]) {
+      return res.status(400).json({ error: "Unknown style" });
+    }
+    if (mode === "merge" ? !Array.isArray(parts) || parts.length === 0 : !text || text.length < 10) {
+      return res.status(400).json({ error: mode === "merge" ? "Parts required" : "Text too short" });
+    }
 
-    const { text } = req.body;
+    guard = await guardAi(req, res, {
+      task: "summarize",
+      input: mode === "merge" ? parts.map((p) => p?.summary) : [text],
+    });
+    if (!guard) return;
+    const ai = aiFor("summarize", { onUsage: guard.record });
+    let messages;
 
-    if (!text || text.length < 10) {
-      return res.status(400).json({ error: "Text too short" });
-    }
+    const words = length ? Math.min(MAX_WORDS, Math.max(MIN_WORDS, Math.round(Number(length) || 0))) : 0;
+    const target = words ? ` Aim for about ${words} words.` : "";
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
+    if (mode === "merge") {
+      messages = [
+        {
+          role: "system",
+          content: !final
+            ? "You are a powerful academic study assistant. You are given summaries of consecutive parts of one document, in order. Combine them into one shorter summary of nested bullets grouped by topic, in order. Merge duplicates. Keep the page citations (p. N) on every bullet."
+            : style === "bullets"
+              ? `You are a powerful academic study assistant. You are given summaries of consecutive parts of one document, in order. Merge them into ONE hierarchical summary in Markdown: a 2-3 sentence overview, then a ## heading per major topic (following the document's structure) with nested bullets of key concepts, definitions and formulas. Merge duplicates across parts. Keep the page citations (p. N) on every bullet.${target}`
+              : `You are a powerful academic study assistant. You are given summaries of consecutive parts of one document, in order. Using all of them, covering the whole document: ${STYLES[style]} Merge duplicates across parts. Keep the page citations (p. N) next to the points they support.${target}`
+        },
+        {
+          role: "user",
+          content: parts.map((p, i) => `--- Part ${i + 1}${p.pages ? ` (${p.pages})` : ""} ---\n${p.summary}`).join("\n\n")
+        }
+      ];
+    } else {
+      messages = [
         {
           role: "system",
-          content: "You are a powerful academic study assistant. Create a clear bullet summary with key concepts."
+          content:
+            mode === "chunk"
+              ? `You are a powerful academic study assistant. This is one part${pages ? ` (${pages})` : ""} of a longer document. Create a clear bullet summary of its key concepts, definitions and formulas, keeping any section headings. ${CITE}`
+              : `You are a powerful academic study assistant. ${STYLES[style]} ${CITE}${target}`
         },
         {
           role: "user",
           content: text
         }
-      ],
-    });
+      ];
+    }
+
+    if (stream) {
+      sse = openSse(res);
+      await ai.stream(messages, {
+        signal: sse.signal,
+        onDelta: (delta) => sse.send("delta", { text: delta }),
+      });
+      sse.send("done");
+      return sse.end();
+    }
 
     res.status(200).json({
-      summary: completion.choices[0].message.content,
+      summary: await ai.complete(messages),
     });
 
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "AI error" });
+    failSse(res, sse, err);
+  } finally {
+    await guard?.release();
   }
-}
\ No newline at end of file
+}
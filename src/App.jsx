@@ -1,4 +1,4 @@
-import { useEffect, useMemo, useRef, useState } from "react";
+import { useDeferredValue, useEffect, useMemo, useRef, useState } from "react";
 import { auth, provider, db } from "./firebase";
 import {
   signInWithPopup,
@@ -8,23 +8,284 @@ import {
   onAuthStateChanged,
 } from "firebase/auth";
 import {
+  arrayRemove,
+  arrayUnion,
   collection,
   deleteDoc,
   doc,
+  getDocs,
+  increment,
+  limit,
   onSnapshot,
   orderBy,
   query,
+  runTransaction,
   serverTimestamp,
   setDoc,
+  updateDoc,
+  where,
+  writeBatch,
 } from "firebase/firestore";
-import { extractPdfText } from "./lib/pdf";
+import { extractPdfText, openPdf, renderPage, renderThumbnail } from "./lib/pdf";
+import { attachmentBlob, copyAttachment, deleteAttachments, linkPageMarkers, uploadAttachment } from "./lib/attachments";
+import {
+  clockStamp,
+  formatOffset,
+  linkTimestamps,
+  recordingSupported,
+  seekAudio,
+  startRecording,
+} from "./lib/recording";
+import { extractImageText } from "./lib/ocr";
+import { formatPageRange, parsePageRange } from "./lib/pdfLayout";
+import { summarizeLong } from "./lib/summarize";
+import {
+  DEFAULT_SUMMARY_SETTINGS,
+  SUMMARY_LENGTHS,
+  SUMMARY_STYLES,
+  summaryMarkers,
+  summaryWords,
+} from "./lib/summaryStyles";
+import { postStream } from "./lib/sse";
+import { apiJson, describeApiError } from "./lib/api";
+import { askNotes, cancelAllIndex, cancelIndex, flushIndex, indexNote, pruneIndex, scheduleIndex, splitCitations } from "./lib/ask";
+import { GRADES, isDue, previewInterval, schedule } from "./lib/srs";
+import { cardsToRows, detectDelimiter, parseDelimited, scheduleFromRow, toDelimited } from "./lib/delimited";
+import { readApkg, writeApkg } from "./lib/anki";
+import { downloadBlob, safeFilename } from "./lib/download";
+import { renderMarkdown } from "./lib/markdown";
+import { collapseUnchanged, diffLines, diffStats, planRevisions } from "./lib/revisions";
+import { buildIndex, isEmptyQuery, parseQuery, search, snippet } from "./lib/search";
+import { EDITOR_ID, noteContent, reconcileRemote, unionMerge } from "./lib/sync";
+import { BACKUP_COLLECTIONS, backupCounts, buildBackup, parseBackup, planRestore } from "./lib/backup";
+import { WEEKDAYS, describeRepeat, isRecurring, normalizeRepeat } from "./lib/recurrence";
+import { parseIcs, taskUid, tasksToIcs } from "./lib/ical";
+import { PRIORITIES, expandTasks, formatEstimate, groupTasks } from "./lib/agenda";
+import { DEFAULT_AVAILABILITY, planStudy } from "./lib/planner";
+import { DEFAULT_REMINDER_SETTINGS, REMINDER_OFFSETS, buildReminderSchedule, describeOffset } from "./lib/reminders";
+import { registerPush, unregisterPush } from "./lib/push";
+import { noteToMarkdown, notesToHtml, notesToMarkdownZip, printHtml } from "./lib/noteExport";
 
 /* ---------------- helpers ---------------- */
 function uid() {
   return Math.random().toString(16).slice(2) + Date.now().toString(16);
 }
-function normalize(s) {
-  return String(s || "").toLowerCase();
+// With the persistent cache a write applies locally at once, but its promise only settles
+// when the server acknowledges it. Offline that can take hours, so the UI never waits on it.
+function queueWrite(promise, label) {
+  promise.catch((e) => {
+    console.error(e);
+    alert(`${label} failed: ` + (e?.message || e));
+  });
+}
+// For writes that must all land (restore): runs groups of batch writes (b => void) in
+// batches of up to 400 (Firestore allows 500), keeping a group in one batch when it fits,
+// and waits for each commit. A failure stops the rest; the error carries `committed`.
+async function commitInBatches(groups) {
+  let batch = writeBatch(db);
+  let size = 0;
+  let committed = 0;
+  const flush = async () => {
+    if (!size) return;
+    await batch.commit();
+    committed += size;
+    batch = writeBatch(db);
+    size = 0;
+  };
+  try {
+    for (const group of groups) {
+      if (size + group.length > 400) await flush();
+      for (const w of group) {
+        w(batch);
+        if (++size === 400) await flush();
+      }
+    }
+    await flush();
+  } catch (e) {
+    e.committed = committed;
+    throw e;
+  }
+  return committed;
+}
+function byPinnedThenRecent(a, b) {
+  const ap = !!a.pinned;
+  const bp = !!b.pinned;
+  if (ap !== bp) return ap ? -1 : 1;
+
+  const at = a.updatedAt?.seconds ? a.updatedAt.seconds : 0;
+  const bt = b.updatedAt?.seconds ? b.updatedAt.seconds : 0;
+  return bt - at;
+}
+function tsMillis(t) {
+  return t?.seconds ? t.seconds * 1000 : null;
+}
+function Highlight({ segments }) {
+  return segments.map((s, i) => (s.hit ? <mark key={i}>{s.text}</mark> : <span key={i}>{s.text}</span>));
+}
+// Original PDF of an import, beside the editor. Pages render as they scroll into view and
+// are dropped again once well out of it, so long PDFs don't pile up canvases; a new `page`
+// ({ n }) scrolls to page n. Selected text can be quoted into the note.
+function PdfViewer({ attachment, page, onClose, onQuote }) {
+  const scrollRef = useRef(null);
+  const [loaded, setLoaded] = useState(null); // { pdf, aspect }
+  const [error, setError] = useState("");
+  const [selection, setSelection] = useState(null); // { text, page }
+
+  useEffect(() => {
+    let cancelled = false;
+    let opened = null;
+    setLoaded(null);
+    setError("");
+    (async () => {
+      const pdf = await openPdf(await attachmentBlob(attachment));
+      opened = pdf;
+      if (cancelled) return pdf.destroy();
+      const first = (await pdf.getPage(1)).getViewport({ scale: 1 });
+      if (!cancelled) setLoaded({ pdf, aspect: first.width / first.height });
+    })().catch((e) => {
+      console.error(e);
+      if (!cancelled) setError(navigator.onLine ? "Couldn't load this PDF." : "This PDF can't be downloaded while offline.");
+    });
+    return () => {
+      cancelled = true;
+      opened?.destroy();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [attachment.id]);
+
+  useEffect(() => {
+    if (!loaded) return;
+    const root = scrollRef.current;
+    const width = root.clientWidth - 2;
+    const clear = (el) => {
+      // Zero-size canvases give their memory back right away
+      el.querySelectorAll("canvas").forEach((c) => (c.width = c.height = 0));
+      el.replaceChildren();
+    };
+    let renders = 0;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        for (const e of entries) {
+          const el = e.target;
+          if (e.isIntersecting && !el.dataset.rendered) {
+            const token = String(++renders);
+            el.dataset.rendered = token;
+            renderPage(loaded.pdf, Number(el.dataset.page), el, width)
+              .then(() => {
+                if (el.dataset.rendered === token) el.style.aspectRatio = "auto";
+                // Left the window while rendering
+                else if (!el.dataset.rendered) clear(el);
+              })
+              .catch((err) => console.warn("Page render failed", err));
+          } else if (!e.isIntersecting && el.dataset.rendered) {
+            // Keep the rendered height so the scroll position doesn't jump
+            el.style.aspectRatio = `${el.clientWidth} / ${el.clientHeight}`;
+            delete el.dataset.rendered;
+            clear(el);
+          }
+        }
+      },
+      { root, rootMargin: "800px 0px" }
+    );
+    root.querySelectorAll(".pdf-page").forEach((el) => observer.observe(el));
+    return () => observer.disconnect();
+  }, [loaded]);
+
+  useEffect(() => {
+    if (!loaded || !page) return;
+    scrollRef.current.querySelector(`.pdf-page[data-page="${page.n}"]`)?.scrollIntoView({ block: "start" });
+  }, [loaded, page]);
+
+  useEffect(() => {
+    const onChange = () => {
+      const sel = window.getSelection();
+      const text = sel?.toString().replace(/\s+/g, " ").trim();
+      const node = sel?.anchorNode;
+      const el = (node?.nodeType === 1 ? node : node?.parentElement)?.closest(".pdf-page");
+      setSelection(text && el && scrollRef.current?.contains(el) ? { text, page: Number(el.dataset.page) } : null);
+    };
+    document.addEventListener("selectionchange", onChange);
+    return () => document.removeEventListener("selectionchange", onChange);
+  }, []);
+
+  return (
+    <div className="pdf-viewer">
+      <div className="row" style={{ justifyContent: "space-between" }}>
+        <b className="pdf-viewer-title" title={attachment.name}>
+          {attachment.name}
+        </b>
+        <div className="row">
+          <button
+            className="btn-primary"
+            disabled={!selection}
+            onClick={() => {
+              onQuote(selection.text, selection.page);
+              window.getSelection().removeAllRanges();
+            }}
+            title="Select text in the PDF, then insert it into the note as a quote"
+          >
+            Quote selection
+          </button>
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+      {error ? <div className="muted">{error}</div> : null}
+      <div className="pdf-scroll" ref={scrollRef}>
+        {loaded
+          ? Array.from({ length: loaded.pdf.numPages }, (_, i) => (
+              <div key={i} className="pdf-page" data-page={i + 1} style={{ aspectRatio: loaded.aspect }} />
+            ))
+          : !error && <div className="muted">Loading PDF…</div>}
+      </div>
+    </div>
+  );
+}
+// Lecture recording under the editor; a new `offset` ({ s }) plays it from s seconds
+function AudioPlayer({ attachment, offset, onClose }) {
+  const audioRef = useRef(null);
+  const [url, setUrl] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    let objectUrl = "";
+    setUrl("");
+    setError("");
+    attachmentBlob(attachment)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch((e) => {
+        console.error(e);
+        if (!cancelled) setError(navigator.onLine ? "Couldn't load the recording." : "The recording can't be downloaded while offline.");
+      });
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [attachment.id]);
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!url || !audio || !offset) return;
+    seekAudio(audio, offset.s).then(() => audio.play().catch(() => {}));
+  }, [url, offset]);
+
+  return (
+    <div className="audio-player">
+      <div className="row" style={{ justifyContent: "space-between" }}>
+        <span className="muted">
+          {attachment.name}
+          {offset ? ` • from ${formatOffset(offset.s)}` : ""}
+        </span>
+        <button onClick={onClose}>Close</button>
+      </div>
+      {error ? <div className="muted">{error}</div> : <audio ref={audioRef} src={url || undefined} controls />}
+    </div>
+  );
 }
 function ymd(d) {
   const dt = new Date(d);
@@ -39,6 +300,30 @@ function addMonths(date, delta) {
 function monthLabel(date) {
   return date.toLocaleDateString(undefined, { month: "long", year: "numeric" });
 }
+function addDaysTo(date, n) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + n);
+}
+function buildWeek(date) {
+  const start = addDaysTo(date, -date.getDay()); // Sun
+  return Array.from({ length: 7 }, (_, i) => addDaysTo(start, i));
+}
+// Another tab's study plan this recent is still being written (see autoPlanStudyBlocks)
+const PLAN_CLAIM_MS = 2 * 60 * 1000;
+const AGENDA_DAYS = 14;
+function buildAgendaDays(date) {
+  return Array.from({ length: AGENDA_DAYS }, (_, i) => addDaysTo(date, i));
+}
+function calendarDays(view, date) {
+  if (view === "week") return buildWeek(date);
+  if (view === "agenda") return buildAgendaDays(date);
+  return buildMonthGrid(date);
+}
+function calendarLabel(view, date) {
+  if (view === "month") return monthLabel(date);
+  const days = calendarDays(view, date);
+  const fmt = (d) => d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+  return `${fmt(days[0])} – ${fmt(days[days.length - 1])}`;
+}
 function buildMonthGrid(date) {
   const first = new Date(date.getFullYear(), date.getMonth(), 1);
   const startDow = first.getDay(); // Sun=0
@@ -82,46 +367,263 @@ export default function App() {
     () => notes.find((n) => n.id === activeNoteId) || null,
     [notes, activeNoteId]
   );
+  // Lets long-running async work (summaries) check it is still on the same note
+  const activeNoteIdRef = useRef(null);
+  activeNoteIdRef.current = activeNoteId;
 
   // Editor drafts
   const [draftTitle, setDraftTitle] = useState("");
   const [draftClass, setDraftClass] = useState("");
   const [draftBody, setDraftBody] = useState("");
 
+  // Editor view (persistent): edit | split | preview
+  const [editorView, setEditorView] = useState(() => {
+    const saved = localStorage.getItem("editorView");
+    return ["edit", "split", "preview"].includes(saved) ? saved : "edit";
+  });
+  useEffect(() => {
+    localStorage.setItem("editorView", editorView);
+  }, [editorView]);
+
+  // Original PDFs of imports (lib/attachments.js) and the one open beside the editor
+  const pdfAttachments = useMemo(
+    () => (activeNote?.attachments || []).filter((a) => a.contentType === "application/pdf"),
+    [activeNote]
+  );
+  const [pdfView, setPdfView] = useState(null); // { noteId, attachmentId, page: { n } | null }
+  const viewerPdf =
+    pdfView?.noteId === activeNoteId ? pdfAttachments.find((a) => a.id === pdfView.attachmentId) || null : null;
+  // Lecture recordings (lib/recording.js) and the one in the player
+  const recordings = useMemo(
+    () => (activeNote?.attachments || []).filter((a) => a.contentType?.startsWith("audio/")),
+    [activeNote]
+  );
+  const [audioView, setAudioView] = useState(null); // { noteId, attachmentId, offset: { s } | null }
+  const playerRecording =
+    audioView?.noteId === activeNoteId ? recordings.find((a) => a.id === audioView.attachmentId) || null : null;
+
+  // Preview renders from a deferred copy so typing stays responsive
+  const previewBody = useDeferredValue(draftBody);
+  const previewHtml = useMemo(
+    () =>
+      editorView === "edit"
+        ? ""
+        : renderMarkdown(
+            linkTimestamps(linkPageMarkers(previewBody, pdfAttachments, viewerPdf || pdfAttachments[0]), recordings)
+          ),
+    [previewBody, editorView, pdfAttachments, viewerPdf, recordings]
+  );
+
   // Search / folders
   const [noteSearch, setNoteSearch] = useState("");
   const [classFilter, setClassFilter] = useState("ALL");
+  const [exportScope, setExportScope] = useState("note"); // note | folder | all
 
   // Tasks
   const [taskTitle, setTaskTitle] = useState("");
   const [taskClass, setTaskClass] = useState("");
   const [taskDue, setTaskDue] = useState("");
+  const [taskTime, setTaskTime] = useState("");
+  const [taskPriority, setTaskPriority] = useState("medium");
+  const [taskEstimate, setTaskEstimate] = useState(""); // minutes
+  const [taskReminder, setTaskReminder] = useState("default"); // default | none | minutes
+  const [repeatFreq, setRepeatFreq] = useState(""); // "" = doesn't repeat
+  const [repeatInterval, setRepeatInterval] = useState(1);
+  const [repeatDays, setRepeatDays] = useState([]);
+  const [repeatEnd, setRepeatEnd] = useState("never"); // never | until | count
+  const [repeatUntil, setRepeatUntil] = useState("");
+  const [repeatCount, setRepeatCount] = useState(10);
+  const [icsClass, setIcsClass] = useState("ALL");
+  const [icsKind, setIcsKind] = useState("VTODO"); // VTODO | VEVENT
 
   // Calendar
-  const [calMonth, setCalMonth] = useState(() => new Date());
+  const [calMonth, setCalMonth] = useState(() => new Date()); // anchor date of the visible range
+  const [calView, setCalView] = useState(() => {
+    const saved = localStorage.getItem("calView");
+    return ["month", "week", "agenda"].includes(saved) ? saved : "month";
+  });
+  useEffect(() => {
+    localStorage.setItem("calView", calView);
+  }, [calView]);
   const [selectedDay, setSelectedDay] = useState(null);
 
   // Flashcards study
   const [studyMode, setStudyMode] = useState(false);
-  const [studyIndex, setStudyIndex] = useState(0);
+  const [studyQueue, setStudyQueue] = useState([]); // card ids, front = current
   const [studyFlipped, setStudyFlipped] = useState(false);
   const [studyOnlyThisNote, setStudyOnlyThisNote] = useState(false);
+  const [studyDueOnly, setStudyDueOnly] = useState(true);
+
+  // Quiz mode
+  const [quizMode, setQuizMode] = useState(false);
+  const [quizType, setQuizType] = useState("choice"); // choice | typed
+  const [quizQueue, setQuizQueue] = useState([]);
+  const [quizPos, setQuizPos] = useState(0);
+  const [quizChoices, setQuizChoices] = useState(null); // { choices, correctIndex }
+  const [quizChoicesError, setQuizChoicesError] = useState("");
+  const [quizResponse, setQuizResponse] = useState("");
+  const [quizResult, setQuizResult] = useState(null); // { score, correct, explanation, picked? }
+  const [quizLoading, setQuizLoading] = useState(false);
+  const [quizTally, setQuizTally] = useState({ right: 0, total: 0 });
+
+  // Flashcard authoring / decks
+  const [deckFilter, setDeckFilter] = useState("ALL");
+  const [cardQuestion, setCardQuestion] = useState("");
+  const [cardAnswer, setCardAnswer] = useState("");
+  const [cardDeck, setCardDeck] = useState("");
+  const [editingCardId, setEditingCardId] = useState(null);
+  const [editQuestion, setEditQuestion] = useState("");
+  const [editAnswer, setEditAnswer] = useState("");
+  const [editDeck, setEditDeck] = useState("");
+  const [cardLimit, setCardLimit] = useState(20);
+
+  // Flashcard import (parsed source -> field mapping preview -> write)
+  const [importPaste, setImportPaste] = useState("");
+  const [importSource, setImportSource] = useState(null); // { name, rows, headers?, schedules? }
+  const [importHasHeader, setImportHasHeader] = useState(false);
+  const [importMap, setImportMap] = useState({ question: 0, answer: 1, deck: -1 });
+  const [importNoteId, setImportNoteId] = useState("");
+  const [importDeck, setImportDeck] = useState("");
 
   // Transcript
   const [transcript, setTranscript] = useState("");
   const [isTranscribing, setIsTranscribing] = useState(false);
   const [speechSupported, setSpeechSupported] = useState(true);
   const speechRef = useRef(null);
+  const segmentStartRef = useRef(null); // when the utterance being recognized began
+  // Audio recorded while transcribing: { noteId, startedAt, stop }
+  const recordingRef = useRef(null);
+  const [recording, setRecording] = useState(null); // { noteId, startedAt }
+  const [recordingNow, setRecordingNow] = useState(0);
 
   // Busy + save status
   const [busy, setBusy] = useState("");
+  // { stage: "chunks" | "merge", done, total } while a summary is being made
+  const [summaryProgress, setSummaryProgress] = useState(null);
+  // Summary style and target length (per device)
+  const [summarySettings, setSummarySettings] = useState(() => {
+    try {
+      return { ...DEFAULT_SUMMARY_SETTINGS, ...JSON.parse(localStorage.getItem("summaryStyle") || "{}") };
+    } catch {
+      return DEFAULT_SUMMARY_SETTINGS;
+    }
+  });
+  useEffect(() => {
+    localStorage.setItem("summaryStyle", JSON.stringify(summarySettings));
+  }, [summarySettings]);
+  // AbortController of the running AI stream (Cancel)
+  const [aiStream, setAiStream] = useState(null);
+
+  // Streams write into the open note; switching notes stops them
+  useEffect(() => {
+    aiStream?.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeNoteId]);
+
+  // Ask my notes
+  const [askQuestion, setAskQuestion] = useState("");
+  const [askResult, setAskResult] = useState(null); // { question, answer, sources }
+  const [askLoading, setAskLoading] = useState(false);
+
+  // Notes waiting to be indexed go as soon as another one is opened
+  useEffect(() => {
+    flushIndex();
+  }, [activeNoteId]);
   const [saveState, setSaveState] = useState("idle"); // idle | saving | saved | error
+  const [saveError, setSaveError] = useState("");
   const saveDebounceRef = useRef(null);
   const ignoreAutosaveRef = useRef(false);
 
+  // Study planner (availability is per device; blocks sync)
+  const [studyBlocks, setStudyBlocks] = useState([]);
+  const [plannerSettings, setPlannerSettings] = useState(() => {
+    try {
+      return {
+        enabled: false,
+        availability: DEFAULT_AVAILABILITY,
+        lastPlanned: "",
+        ...JSON.parse(localStorage.getItem("studyPlanner") || "{}"),
+      };
+    } catch {
+      return { enabled: false, availability: DEFAULT_AVAILABILITY, lastPlanned: "" };
+    }
+  });
+  useEffect(() => {
+    localStorage.setItem("studyPlanner", JSON.stringify(plannerSettings));
+  }, [plannerSettings]);
+  const [unscheduled, setUnscheduled] = useState([]);
+  // First snapshot of each collection has arrived (the planner must not plan from empty lists)
+  const [loaded, setLoaded] = useState({ notes: false, tasks: false, cards: false, blocks: false });
+
+  // Reminders (per device: permission and settings live in this browser)
+  const [remindersOpen, setRemindersOpen] = useState(false);
+  const [reminderSettings, setReminderSettings] = useState(() => {
+    try {
+      return { ...DEFAULT_REMINDER_SETTINGS, ...JSON.parse(localStorage.getItem("reminderSettings") || "{}") };
+    } catch {
+      return DEFAULT_REMINDER_SETTINGS;
+    }
+  });
+  useEffect(() => {
+    localStorage.setItem("reminderSettings", JSON.stringify(reminderSettings));
+  }, [reminderSettings]);
+  const [notifPermission, setNotifPermission] = useState(() =>
+    "Notification" in window ? Notification.permission : "unsupported"
+  );
+  const [pushReady, setPushReady] = useState(null); // this browser gets reminders with no tab open (null: checking)
+
+  // Backup / restore
+  const [restoreArchive, setRestoreArchive] = useState(null);
+
+  // PDF import page picker
+  const [pdfImport, setPdfImport] = useState(null); // { file, pdf, numPages, pages, range }
+  const [pdfThumbs, setPdfThumbs] = useState({}); // page number -> data URL
+  const [importProgress, setImportProgress] = useState(null); // { page, done, total, ocr, fraction }
+  const pdfDoc = pdfImport?.pdf;
+  useEffect(() => {
+    if (!pdfDoc) return;
+    // One page at a time so big PDFs don't freeze the tab; stops when the picker closes
+    let cancelled = false;
+    (async () => {
+      for (let p = 1; p <= pdfDoc.numPages && !cancelled; p++) {
+        try {
+          const url = await renderThumbnail(pdfDoc, p);
+          if (!cancelled) setPdfThumbs((t) => ({ ...t, [p]: url }));
+        } catch (e) {
+          if (!cancelled) console.warn("Thumbnail failed", p, e);
+        }
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfDoc]);
+
+  // Offline sync
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [pending, setPending] = useState({ notes: 0, tasks: 0, cards: 0, blocks: 0 });
+  const [conflict, setConflict] = useState(null); // { noteId, theirs, theirsAt }
+  const [mergeText, setMergeText] = useState("");
+  const conflictRef = useRef(null);
+  const baseRef = useRef({ noteId: null, updatedAt: null, editorId: null, content: null }); // server version under the drafts
+
+  // Revision history
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [diffFrom, setDiffFrom] = useState("");
+  const [diffTo, setDiffTo] = useState("current");
+  const revisionStateRef = useRef({}); // noteId -> { lastRevision, lastSaved }
+  const openedRef = useRef(null); // note content as it was when opened
+
   // Auth listener
   useEffect(() => {
-    const unsub = onAuthStateChanged(auth, (u) => setUser(u || null));
+    let uid = null;
+    const unsub = onAuthStateChanged(auth, (u) => {
+      // Index updates queued under the previous account must not go out as this one
+      if ((u?.uid ?? null) !== uid) cancelAllIndex();
+      uid = u?.uid ?? null;
+      setUser(u || null);
+    });
     return () => unsub();
   }, []);
 
@@ -141,44 +643,217 @@ export default function App() {
       collection(db, "users", user.uid, "flashcards"),
       orderBy("createdAt", "desc")
     );
+    const blocksQ = query(
+      collection(db, "users", user.uid, "studyBlocks"),
+      orderBy("date", "asc")
+    );
 
-    const unsubNotes = onSnapshot(notesQ, (snap) => {
-      const list = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    // Metadata changes keep the pending-sync count current; estimated server
+    // timestamps keep unsynced docs in place in orderBy("updatedAt")
+    const live = { includeMetadataChanges: true };
+    const data = (d) => ({ id: d.id, ...d.data({ serverTimestamps: "estimate" }) });
+    const countPending = (snap) => snap.docs.filter((d) => d.metadata.hasPendingWrites).length;
+    const markLoaded = (key) => setLoaded((l) => (l[key] ? l : { ...l, [key]: true }));
+
+    const unsubNotes = onSnapshot(notesQ, live, (snap) => {
+      const list = snap.docs.map((d) => ({ ...data(d), hasPendingWrites: d.metadata.hasPendingWrites }));
       setNotes(list);
+      setPending((p) => ({ ...p, notes: countPending(snap) }));
+      markLoaded("notes");
       setActiveNoteId((prev) => prev ?? list[0]?.id ?? null);
     });
 
-    const unsubTasks = onSnapshot(tasksQ, (snap) => {
-      setTasks(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+    const unsubTasks = onSnapshot(tasksQ, live, (snap) => {
+      setTasks(snap.docs.map(data));
+      setPending((p) => ({ ...p, tasks: countPending(snap) }));
+      markLoaded("tasks");
     });
 
-    const unsubCards = onSnapshot(cardsQ, (snap) => {
-      setCards(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+    const unsubCards = onSnapshot(cardsQ, live, (snap) => {
+      setCards(snap.docs.map(data));
+      setPending((p) => ({ ...p, cards: countPending(snap) }));
+      markLoaded("cards");
+    });
+
+    const unsubBlocks = onSnapshot(blocksQ, live, (snap) => {
+      setStudyBlocks(snap.docs.map(data));
+      setPending((p) => ({ ...p, blocks: countPending(snap) }));
+      markLoaded("blocks");
     });
 
     return () => {
       unsubNotes();
       unsubTasks();
       unsubCards();
+      unsubBlocks();
     };
   }, [user]);
 
-  // Load drafts when switching notes
+  // Reminders: keep the service worker's schedule in sync with tasks and settings
+  const reminderSchedule = useMemo(
+    () => (notifPermission === "granted" ? buildReminderSchedule(tasks, reminderSettings) : []),
+    [tasks, reminderSettings, notifPermission]
+  );
+  // Signed out, the worker gets an empty schedule so the last account's tasks stop notifying
   useEffect(() => {
-    if (!activeNote) return;
+    navigator.serviceWorker?.ready.then((reg) =>
+      reg.active?.postMessage({ type: "reminders:schedule", items: user ? reminderSchedule : [], uid: user?.uid })
+    );
+  }, [user, reminderSchedule]);
+
+  // With every tab closed, reminders come as pushes from api/reminders.js (lib/push.js)
+  useEffect(() => {
+    if (!user || notifPermission !== "granted") return;
+    let cancelled = false;
+    const done = (ready) => !cancelled && setPushReady(ready);
+    if (reminderSettings.enabled) {
+      registerPush(user.uid, reminderSettings).then(done, (err) => {
+        console.error(err);
+        done(false);
+      });
+    } else {
+      unregisterPush(user.uid).catch(console.error);
+      done(false);
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [user, reminderSettings, notifPermission]);
+
+  // While a tab is open it nudges the worker every minute, so nothing waits for a wake-up
+  useEffect(() => {
+    if (!user || !reminderSettings.enabled || notifPermission !== "granted") return;
+    const t = window.setInterval(() => {
+      navigator.serviceWorker?.controller?.postMessage({ type: "reminders:check" });
+    }, 60 * 1000);
+    return () => window.clearInterval(t);
+  }, [user, reminderSettings.enabled, notifPermission]);
+
+  // Clicking a reminder opens its day (message from sw.js, or ?day= when it opened a new tab)
+  useEffect(() => {
+    const openDay = (due) => {
+      setCalMonth(new Date(`${due}T00:00:00`));
+      setSelectedDay(due);
+    };
+    const day = new URLSearchParams(window.location.search).get("day");
+    if (/^\d{4}-\d{2}-\d{2}$/.test(day || "")) {
+      openDay(day);
+      window.history.replaceState(null, "", window.location.pathname);
+    }
+
+    const onMessage = (e) => {
+      if (e.data?.type === "reminders:open" && e.data.due) openDay(e.data.due);
+    };
+    navigator.serviceWorker?.addEventListener("message", onMessage);
+    return () => navigator.serviceWorker?.removeEventListener("message", onMessage);
+  }, []);
 
+  // Permission can be changed from the browser's site settings at any time
+  useEffect(() => {
+    let status;
+    navigator.permissions
+      ?.query({ name: "notifications" })
+      .then((s) => {
+        status = s;
+        s.onchange = () => setNotifPermission(Notification.permission);
+      })
+      .catch(() => {});
+    return () => {
+      if (status) status.onchange = null;
+    };
+  }, []);
+
+  // Online / offline
+  useEffect(() => {
+    const up = () => setOnline(true);
+    const down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    return () => {
+      window.removeEventListener("online", up);
+      window.removeEventListener("offline", down);
+    };
+  }, []);
+
+  function loadDrafts(n) {
     ignoreAutosaveRef.current = true;
-    setDraftTitle(activeNote.title || "");
-    setDraftClass(activeNote.className || "");
-    setDraftBody(activeNote.body || "");
-    setSaveState("idle");
+    setDraftTitle(n.title || "");
+    setDraftClass(n.className || "");
+    setDraftBody(n.body || "");
 
     // allow autosave after state updates settle
     setTimeout(() => {
       ignoreAutosaveRef.current = false;
     }, 0);
+  }
+
+  // Load drafts when switching notes; afterwards reconcile remote edits to the open note
+  useEffect(() => {
+    if (!activeNote) return;
+
+    const theirs = noteContent(activeNote);
+    // Our own unsynced writes carry only estimated timestamps
+    const remoteAt = activeNote.hasPendingWrites ? null : tsMillis(activeNote.updatedAt);
+
+    if (baseRef.current.noteId !== activeNote.id) {
+      // Leaving a note with an unresolved conflict: keep the local edits in its history
+      if (conflictRef.current) {
+        const c = conflictRef.current;
+        writeRevision(c.noteId, noteContent({ title: draftTitle, className: draftClass, body: draftBody }), "conflict-mine")
+          .catch((e) => console.error(e));
+        conflictRef.current = null;
+        setConflict(null);
+      }
+      baseRef.current = { noteId: activeNote.id, updatedAt: remoteAt, editorId: activeNote.editorId, content: theirs };
+      openedRef.current = { noteId: activeNote.id, ...theirs };
+      loadDrafts(activeNote);
+      setSaveState("idle");
+      return;
+    }
+
+    const base = baseRef.current;
+    if (remoteAt == null || remoteAt === base.updatedAt || conflictRef.current) return;
+
+    const action = reconcileRemote({
+      base,
+      remote: {
+        content: theirs,
+        editorId: activeNote.editorId,
+        baseUpdatedAt: activeNote.baseUpdatedAt,
+      },
+      drafts: { title: draftTitle, className: draftClass, body: draftBody },
+    });
+
+    if (action === "conflict") {
+      window.clearTimeout(saveDebounceRef.current);
+      conflictRef.current = { noteId: activeNote.id, theirs, theirsAt: remoteAt, theirsEditor: activeNote.editorId };
+      setConflict(conflictRef.current);
+      setMergeText(unionMerge(theirs.body, draftBody));
+      return;
+    }
+
+    baseRef.current = { noteId: activeNote.id, updatedAt: remoteAt, editorId: activeNote.editorId, content: theirs };
+    if (action === "adopt") loadDrafts(activeNote);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [activeNoteId]);
+  }, [activeNote]);
+
+  // Revisions of the active note while the history panel is open
+  useEffect(() => {
+    if (!user || !activeNoteId || !historyOpen) {
+      setRevisions([]);
+      return;
+    }
+    const revQ = query(
+      collection(db, "users", user.uid, "notes", activeNoteId, "revisions"),
+      orderBy("at", "desc"),
+      limit(50)
+    );
+    return onSnapshot(revQ, (snap) => {
+      const list = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+      setRevisions(list);
+      setDiffFrom((prev) => (list.some((r) => r.id === prev) ? prev : list[0]?.id || ""));
+    });
+  }, [user, activeNoteId, historyOpen]);
 
   // Speech recognition init
   useEffect(() => {
@@ -193,16 +868,42 @@ export default function App() {
     rec.interimResults = true;
     rec.lang = navigator.language || "en-US";
 
+    // One line per utterance, stamped with the time it began: "[14:05:50] text". While
+    // recording, the stamp is tied to that point of the audio.
     rec.onresult = (event) => {
+      segmentStartRef.current ??= new Date();
       let finalText = "";
       for (let i = event.resultIndex; i < event.results.length; i++) {
         if (event.results[i].isFinal) finalText += event.results[i][0].transcript + " ";
       }
-      if (finalText) setTranscript((p) => p + finalText);
+      if (finalText.trim()) {
+        const started = segmentStartRef.current;
+        const stamp = recordingRef.current ? recordingRef.current.mark(started) : clockStamp(started);
+        const line = `[${stamp}] ${finalText.trim()}\n`;
+        segmentStartRef.current = null;
+        setTranscript((p) => (p && !p.endsWith("\n") ? `${p}\n${line}` : p + line));
+      }
     };
 
-    rec.onerror = () => setIsTranscribing(false);
-    rec.onend = () => setIsTranscribing(false);
+    let failed = false;
+    rec.onstart = () => (failed = false);
+    rec.onerror = (e) => {
+      failed = e.error !== "no-speech";
+      setIsTranscribing(false);
+    };
+    // Chrome ends recognition after a stretch of silence; keep going while recording
+    rec.onend = () => {
+      if (recordingRef.current && !failed) {
+        try {
+          rec.start();
+          setIsTranscribing(true);
+          return;
+        } catch {
+          // Falls through to stopped
+        }
+      }
+      setIsTranscribing(false);
+    };
 
     speechRef.current = rec;
     return () => {
@@ -212,6 +913,22 @@ export default function App() {
     };
   }, []);
 
+  // Elapsed time in the Transcript pill; leaving the page would lose the recording
+  useEffect(() => {
+    if (!recording) return;
+    setRecordingNow(Date.now());
+    const timer = setInterval(() => setRecordingNow(Date.now()), 1000);
+    const warn = (e) => {
+      e.preventDefault();
+      e.returnValue = "";
+    };
+    window.addEventListener("beforeunload", warn);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener("beforeunload", warn);
+    };
+  }, [recording]);
+
   // Folder list
   const classFolders = useMemo(() => {
     const set = new Set();
@@ -222,49 +939,221 @@ export default function App() {
     return ["ALL", ...Array.from(set).sort((a, b) => a.localeCompare(b))];
   }, [notes]);
 
-  // Filter + sort notes (pinned first, then most recent)
-  const filteredNotes = useMemo(() => {
-    const q = normalize(noteSearch);
-    const cf = classFilter;
+  const parsedSearch = useMemo(() => parseQuery(noteSearch), [noteSearch]);
+  const searching = !isEmptyQuery(parsedSearch);
 
-    const list = notes.filter((n) => {
-      const matchesClass =
-        cf === "ALL" ? true : (n.className || "").trim() === cf;
+  // Inverted index over notes, flashcards and tasks (only built while searching)
+  const searchIndex = useMemo(() => {
+    if (!searching) return null;
+    const classOf = new Map(notes.map((n) => [n.id, (n.className || "").trim()]));
+    return buildIndex([
+      ...notes.map((n) => ({
+        key: `note:${n.id}`,
+        type: "note",
+        item: n,
+        title: n.title || "",
+        body: n.body || "",
+        className: (n.className || "").trim(),
+        pinned: !!n.pinned,
+        date: tsMillis(n.updatedAt),
+      })),
+      ...cards.map((c) => ({
+        key: `card:${c.id}`,
+        type: "card",
+        item: c,
+        title: c.question || "",
+        body: c.answer || "",
+        className: classOf.get(c.noteId) || "",
+        deck: c.deck || "",
+        date: tsMillis(c.createdAt),
+      })),
+      ...tasks.map((t) => ({
+        key: `task:${t.id}`,
+        type: "task",
+        item: t,
+        title: t.title || "",
+        body: "",
+        className: (t.className || "").trim(),
+        done: !!t.done,
+        date: t.due ? Date.parse(`${t.due}T00:00:00`) : null,
+      })),
+    ]);
+  }, [searching, notes, cards, tasks]);
 
-      if (!q) return matchesClass;
+  // Search results grouped by type, each with a highlighted snippet
+  const searchResults = useMemo(() => {
+    const groups = { note: [], card: [], task: [] };
+    if (!searchIndex) return groups;
 
-      const hay = normalize(`${n.title} ${n.className} ${n.body}`);
-      return matchesClass && hay.includes(q);
-    });
+    for (const r of search(searchIndex, parsedSearch)) {
+      const d = r.doc;
+      if (classFilter !== "ALL" && d.className !== classFilter) continue;
+      groups[d.type].push({
+        ...r,
+        titleSegments: snippet(d.title, parsedSearch, 80),
+        bodySegments: snippet(d.body, parsedSearch),
+      });
+    }
+
+    // Without ranked terms, keep the usual note order
+    if (!parsedSearch.terms.length && !parsedSearch.phrases.length) {
+      groups.note.sort((a, b) => byPinnedThenRecent(a.doc.item, b.doc.item));
+    }
+    return groups;
+  }, [searchIndex, parsedSearch, classFilter]);
 
-    return list.sort((a, b) => {
-      const ap = !!a.pinned;
-      const bp = !!b.pinned;
-      if (ap !== bp) return ap ? -1 : 1;
+  // Filter + sort notes (pinned first, then most recent; by relevance while searching)
+  const filteredNotes = useMemo(() => {
+    if (searching) return searchResults.note.map((r) => r.doc.item);
 
-      const at = a.updatedAt?.seconds ? a.updatedAt.seconds : 0;
-      const bt = b.updatedAt?.seconds ? b.updatedAt.seconds : 0;
-      return bt - at;
-    });
-  }, [notes, noteSearch, classFilter]);
+    const cf = classFilter;
+    const list = notes.filter((n) => (cf === "ALL" ? true : (n.className || "").trim() === cf));
+    return list.sort(byPinnedThenRecent);
+  }, [notes, searching, searchResults, classFilter]);
 
-  // Calendar map
+  const noteSnippets = useMemo(() => {
+    const map = new Map();
+    for (const r of searchResults.note) map.set(r.doc.item.id, r.bodySegments);
+    return map;
+  }, [searchResults]);
+
+  // Calendar map over the visible days; repeating tasks expand into one entry per
+  // occurrence, carrying that occurrence's date as `due` and its own `done`
   const tasksByDate = useMemo(() => {
+    const days = calendarDays(calView, calMonth);
     const map = new Map();
-    for (const t of tasks) {
-      if (!t?.due) continue;
+    for (const t of expandTasks(tasks, ymd(days[0]), ymd(days[days.length - 1]))) {
       if (!map.has(t.due)) map.set(t.due, []);
       map.get(t.due).push(t);
     }
     return map;
+  }, [tasks, calView, calMonth]);
+
+  // Due Dates panel: Overdue / Today / This week / Later / Done
+  const today = ymd(new Date());
+  const taskGroups = useMemo(() => groupTasks(tasks, today), [tasks, today]);
+
+  const blocksByDate = useMemo(() => {
+    const map = new Map();
+    for (const b of studyBlocks) {
+      if (!map.has(b.date)) map.set(b.date, []);
+      map.get(b.date).push(b);
+    }
+    return map;
+  }, [studyBlocks]);
+
+  // Replan once a day, and straight away when a block was missed. A failed run isn't
+  // retried until tomorrow (or a manual Replan), so it alerts once rather than in a loop.
+  const autoPlanningRef = useRef(false);
+  useEffect(() => {
+    if (!user || !plannerSettings.enabled || plannerSettings.planFailed === today) return;
+    if (!loaded.notes || !loaded.tasks || !loaded.cards || !loaded.blocks) return;
+    if (autoPlanningRef.current || !navigator.onLine) return;
+    const missed = studyBlocks.filter((b) => !b.done && b.date < today);
+    if (missed.length || plannerSettings.lastPlanned !== today) {
+      autoPlanningRef.current = true;
+      autoPlanStudyBlocks(missed).finally(() => (autoPlanningRef.current = false));
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, plannerSettings.enabled, plannerSettings.lastPlanned, plannerSettings.planFailed, loaded, studyBlocks, today]);
+
+  // Tasks on the clicked day, listed under the calendar
+  const selectedDayTasks = useMemo(
+    () => (selectedDay ? expandTasks(tasks, selectedDay, selectedDay) : []),
+    [tasks, selectedDay]
+  );
+
+  const taskClasses = useMemo(() => {
+    const set = new Set();
+    for (const t of tasks) {
+      const c = (t.className || "").trim();
+      if (c) set.add(c);
+    }
+    return Array.from(set).sort((a, b) => a.localeCompare(b));
   }, [tasks]);
 
+  // Deck list ("" = Unsorted)
+  const deckNames = useMemo(() => {
+    const set = new Set();
+    for (const c of cards) {
+      const d = (c.deck || "").trim();
+      if (d) set.add(d);
+    }
+    return Array.from(set).sort((a, b) => a.localeCompare(b));
+  }, [cards]);
+
+  const deckCards = useMemo(() => {
+    if (deckFilter === "ALL") return cards;
+    return cards.filter((c) => (c.deck || "").trim() === deckFilter);
+  }, [cards, deckFilter]);
+
+  // Diff between two revisions (or a revision and the current draft)
+  const revisionDiff = useMemo(() => {
+    if (!historyOpen) return null;
+    const from = revisions.find((r) => r.id === diffFrom);
+    if (!from) return null;
+    const toBody = diffTo === "current" ? draftBody : revisions.find((r) => r.id === diffTo)?.body;
+    if (toBody == null) return null;
+    const ops = diffLines(from.body, toBody);
+    return { ...diffStats(ops), rows: collapseUnchanged(ops) };
+  }, [historyOpen, revisions, diffFrom, diffTo, draftBody]);
+
   // Study deck
   const studyDeck = useMemo(() => {
-    return studyOnlyThisNote && activeNoteId
-      ? cards.filter((c) => c.noteId === activeNoteId)
-      : cards;
-  }, [cards, studyOnlyThisNote, activeNoteId]);
+    const now = Date.now();
+    const scoped = (
+      studyOnlyThisNote && activeNoteId
+        ? deckCards.filter((c) => c.noteId === activeNoteId)
+        : deckCards
+    ).filter((c) => !c.suspended);
+    const list = studyDueOnly ? scoped.filter((c) => isDue(c, now)) : scoped;
+
+    // Most overdue first; never-reviewed cards after scheduled ones
+    return [...list].sort((a, b) => (a.due == null) - (b.due == null) || (a.due ?? 0) - (b.due ?? 0));
+  }, [deckCards, studyOnlyThisNote, studyDueOnly, activeNoteId]);
+
+  const pendingCount = pending.notes + pending.tasks + pending.cards + pending.blocks;
+
+  const dueCount = useMemo(() => {
+    const now = Date.now();
+    return deckCards.filter((c) => isDue(c, now)).length;
+  }, [deckCards]);
+
+  // Import preview table (apkg has its own headers; text may use its first row)
+  const importTable = useMemo(() => {
+    if (!importSource) return null;
+    if (importSource.headers) return importSource;
+
+    const width = Math.max(0, ...importSource.rows.map((r) => r.length));
+    const generic = Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+    if (!importHasHeader) return { headers: generic, rows: importSource.rows, schedules: [] };
+
+    const [head = [], ...rows] = importSource.rows;
+    const headers = generic.map((g, i) => head[i]?.trim() || g);
+    return { headers, rows, schedules: rows.map((r) => scheduleFromRow(headers, r)) };
+  }, [importSource, importHasHeader]);
+
+  const quizCard = useMemo(
+    () => cards.find((c) => c.id === quizQueue[quizPos]) || null,
+    [cards, quizQueue, quizPos]
+  );
+
+  // Concepts the student keeps missing in quizzes
+  const mostMissed = useMemo(() => {
+    return deckCards
+      .filter((c) => (c.quizMisses || 0) > 0)
+      .sort(
+        (a, b) =>
+          b.quizMisses - a.quizMisses ||
+          b.quizMisses / (b.quizAttempts || 1) - a.quizMisses / (a.quizAttempts || 1)
+      )
+      .slice(0, 10);
+  }, [deckCards]);
+
+  const studyCard = useMemo(
+    () => cards.find((c) => c.id === studyQueue[0]) || null,
+    [cards, studyQueue]
+  );
 
   /* ---------------- actions ---------------- */
 
@@ -277,61 +1166,298 @@ export default function App() {
     }
   }
   async function logout() {
+    // Stop pushes to this browser while the rules still let us remove its device. Offline the
+    // delete would wait for the server; the worker drops pushes for a signed-out user anyway.
+    if (navigator.onLine) await unregisterPush(user.uid).catch(console.error);
     await signOut(auth);
   }
 
-  async function createNote() {
-    if (!user) return;
-    const id = uid();
-    await setDoc(doc(db, "users", user.uid, "notes", id), {
-      title: "New Note",
-      className: "",
-      body: "",
-      pinned: false,
-      createdAt: serverTimestamp(),
-      updatedAt: serverTimestamp(),
-    });
-    setActiveNoteId(id);
+  // Reads whole collections rather than the live queries, which skip docs missing their orderBy field
+  async function downloadBackup() {
+    const collections = {};
+    for (const name of BACKUP_COLLECTIONS) {
+      const snap = await getDocs(collection(db, "users", user.uid, name));
+      collections[name] = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    }
+    const archive = buildBackup(collections);
+    const json = JSON.stringify(archive, null, 2);
+    downloadBlob(new Blob([json], { type: "application/json" }), `intense-notes-backup-${ymd(new Date())}.json`);
   }
 
-  async function saveNote(manual = false) {
-    if (!user || !activeNoteId) return;
-
-    if (manual) setBusy("Saving...");
-    setSaveState("saving");
-
+  async function backupAccount() {
+    if (!user) return;
+    setBusy("Backing up…");
     try {
-      await setDoc(
-        doc(db, "users", user.uid, "notes", activeNoteId),
-        {
-          title: draftTitle.trim() || "Untitled",
-          className: draftClass.trim(),
-          body: draftBody,
-          updatedAt: serverTimestamp(),
-        },
-        { merge: true }
-      );
-
-      setSaveState("saved");
-      if (manual) setBusy("");
+      await downloadBackup();
+    } catch (e) {
+      console.error(e);
+      alert("Backup failed: " + (e?.message || e));
+    } finally {
+      setBusy("");
+    }
+  }
 
-      window.clearTimeout(saveDebounceRef.current);
-      saveDebounceRef.current = window.setTimeout(() => setSaveState("idle"), 1200);
+  async function readBackupFile(file) {
+    if (!file) return;
+    try {
+      setRestoreArchive(parseBackup(await file.text()));
     } catch (e) {
       console.error(e);
-      setSaveState("error");
-      if (manual) setBusy("");
-      alert("Save failed: " + (e?.message || e));
+      alert("Can't restore this file: " + (e?.message || e));
     }
   }
 
-  // Autosave debounce: triggers after typing stops
-  useEffect(() => {
-    if (!user || !activeNoteId) return;
-    if (ignoreAutosaveRef.current) return;
+  async function restoreBackup(mode) {
+    if (!user || !restoreArchive) return;
+    if (
+      mode === "replace" &&
+      !confirm(
+        "Replace ALL notes, tasks and flashcards in this account with the backup? A backup of the current data is downloaded first. Attached PDFs and recordings of the current notes are deleted; the backup's own attachments are kept only if their files are still in this account."
+      )
+    ) {
+      return;
+    }
+    // Each batch is awaited, and offline commits only settle once the connection returns
+    if (!navigator.onLine) {
+      alert("Restoring needs a connection.");
+      return;
+    }
 
-    if (saveDebounceRef.current) window.clearTimeout(saveDebounceRef.current);
-    setSaveState("saving");
+    const plan = planRestore(restoreArchive, uid);
+    setBusy("Restoring…");
+    let total = 0;
+    let dropped = 0;
+    try {
+      // Attachments are copied to the restored notes; files that can't be read (another
+      // account's, or deleted since) are left out
+      const withFiles = plan.notes.filter((n) => n.data.attachments?.length);
+      for (const [i, { id, data }] of withFiles.entries()) {
+        setBusy(`Copying attachments ${i + 1}/${withFiles.length}…`);
+        const copies = [];
+        for (const att of data.attachments) {
+          try {
+            copies.push(await copyAttachment(user.uid, id, att));
+          } catch (e) {
+            console.warn("Attachment not restored", att.path, e);
+            dropped++;
+          }
+        }
+        data.attachments = copies;
+      }
+      setBusy("Restoring…");
+
+      // Restored docs are written before the old ones are deleted, so a restore that fails
+      // part-way leaves extra docs rather than missing ones
+      const groups = [];
+      for (const name of BACKUP_COLLECTIONS) {
+        for (const { id, data } of plan[name]) {
+          groups.push([(b) => b.set(doc(db, "users", user.uid, name, id), data)]);
+        }
+      }
+      const replacedFiles = [];
+      if (mode === "replace") {
+        await downloadBackup();
+        for (const name of BACKUP_COLLECTIONS) {
+          const snap = await getDocs(collection(db, "users", user.uid, name));
+          for (const d of snap.docs) {
+            const group = [(b) => b.delete(d.ref)];
+            // Subcollections aren't removed with their parent doc
+            if (name === "notes") {
+              cancelIndex(d.id);
+              replacedFiles.push(...(d.get("attachments") || []));
+              const revs = await getDocs(collection(d.ref, "revisions"));
+              for (const r of revs.docs) group.push((b) => b.delete(r.ref));
+            }
+            groups.push(group);
+          }
+        }
+      }
+      total = groups.reduce((n, g) => n + g.length, 0);
+      await commitInBatches(groups);
+      await deleteAttachments(replacedFiles).catch((e) => console.error("Deleting replaced attachments failed", e));
+
+      if (mode === "replace") {
+        setActiveNoteId(null);
+        revisionStateRef.current = {};
+      }
+      setRestoreArchive(null);
+
+      // Ask my notes: index the restored notes and forget the replaced ones
+      const restored = plan.notes.map(({ id, data }) => ({ id, ...data }));
+      const keep = [...(mode === "replace" ? [] : notes.map((n) => n.id)), ...restored.map((n) => n.id)];
+      let indexWarning = "";
+      try {
+        await reindexNotes(restored, keep, "Indexing restored notes");
+      } catch (e) {
+        console.error(e);
+        indexWarning = `\n${describeApiError(e, "Indexing for Ask my notes")} Use “Index all notes” to try again.`;
+      }
+
+      const c = backupCounts(restoreArchive);
+      const droppedWarning = dropped
+        ? `\n${dropped} attached file${dropped === 1 ? "" : "s"} couldn't be read from this account's storage and ${dropped === 1 ? "was" : "were"} left out.`
+        : "";
+      alert(`Restored ${c.notes} notes, ${c.tasks} tasks and ${c.flashcards} flashcards.${droppedWarning}${indexWarning}`);
+    } catch (e) {
+      console.error(e);
+      const partial = e?.committed ? ` after ${e.committed} of ${total} writes` : "";
+      alert(
+        `Restore failed${partial}: ${e?.message || e}` +
+          (mode === "replace" && e?.committed ? "\nThe data from before the restore was downloaded first." : "")
+      );
+    } finally {
+      setBusy("");
+    }
+  }
+
+  // Must run from a click: browsers ignore permission prompts that aren't user-initiated
+  async function enableReminders() {
+    if (!("Notification" in window)) {
+      alert("This browser can't show notifications.");
+      return;
+    }
+    const permission = Notification.permission === "granted" ? "granted" : await Notification.requestPermission();
+    setNotifPermission(permission);
+    if (permission !== "granted") return;
+
+    setReminderSettings((s) => ({ ...s, enabled: true }));
+    // Background checks when the app is installed (Chromium); elsewhere reminders
+    // arrive when the worker next runs or a tab is open
+    navigator.serviceWorker?.ready
+      .then((reg) => reg.periodicSync?.register("reminders", { minInterval: 60 * 60 * 1000 }))
+      .catch(() => {});
+  }
+
+  function toggleDefaultOffset(minutes) {
+    setReminderSettings((s) => ({
+      ...s,
+      offsets: s.offsets.includes(minutes)
+        ? s.offsets.filter((m) => m !== minutes)
+        : [...s.offsets, minutes].sort((a, b) => a - b),
+    }));
+  }
+
+  function testReminder() {
+    const sw = navigator.serviceWorker?.controller;
+    if (sw) sw.postMessage({ type: "reminders:test" });
+    else new Notification("Intense Notes", { body: "Reminders are on. 🔔" });
+  }
+
+  async function createNote() {
+    if (!user) return;
+    const id = uid();
+    queueWrite(
+      setDoc(doc(db, "users", user.uid, "notes", id), {
+        title: "New Note",
+        className: "",
+        body: "",
+        pinned: false,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      }),
+      "Note create"
+    );
+    setActiveNoteId(id);
+  }
+
+  function writeRevision(noteId, content, reason) {
+    return setDoc(doc(db, "users", user.uid, "notes", noteId, "revisions", uid()), {
+      title: content.title,
+      className: content.className,
+      body: content.body,
+      reason,
+      at: Date.now(),
+      createdAt: serverTimestamp(),
+    });
+  }
+
+  // Coalesced snapshots after each save; see planRevisions()
+  function recordRevisions(noteId, next) {
+    const state = revisionStateRef.current[noteId] || {};
+    const opened = openedRef.current?.noteId === noteId ? openedRef.current : null;
+    const plan = planRevisions({
+      lastRevision: state.lastRevision,
+      lastSaved: state.lastSaved,
+      opened,
+      next,
+    });
+
+    revisionStateRef.current[noteId] = {
+      lastRevision: plan.length ? { ...plan[plan.length - 1].content, at: Date.now() } : state.lastRevision,
+      lastSaved: next,
+    };
+
+    for (const r of plan) {
+      writeRevision(noteId, r.content, r.reason).catch((e) => console.error("Revision snapshot failed", e));
+    }
+  }
+
+  // Writes the drafts (or `content`) over the open note. Offline the write is queued and
+  // counted as pending; only real rejections (e.g. permissions) surface as errors.
+  function saveNote(manual = false, content = noteContent({ title: draftTitle, className: draftClass, body: draftBody })) {
+    if (!user || !activeNoteId || conflictRef.current) return;
+
+    const noteId = activeNoteId;
+    const base = baseRef.current.noteId === noteId ? baseRef.current : null;
+
+    setDoc(
+      doc(db, "users", user.uid, "notes", noteId),
+      {
+        ...content,
+        editorId: EDITOR_ID,
+        baseUpdatedAt: base?.updatedAt ?? null,
+        updatedAt: serverTimestamp(),
+      },
+      { merge: true }
+    ).catch((e) => {
+      console.error(e);
+      setSaveState("error");
+      setSaveError(e?.message || String(e));
+      if (manual) alert("Save failed: " + (e?.message || e));
+    });
+    recordRevisions(noteId, content);
+    // Keeps "Ask my notes" up to date (waits for typing to pause unless saved by hand)
+    scheduleIndex({ id: noteId, ...content }, manual ? 0 : undefined);
+
+    setSaveState("saved");
+    setSaveError("");
+
+    window.clearTimeout(saveDebounceRef.current);
+    saveDebounceRef.current = window.setTimeout(() => setSaveState("idle"), 1200);
+  }
+
+  // Conflict dialog: both sides are kept in history whichever way it is resolved
+  function resolveConflict(choice) {
+    const c = conflictRef.current;
+    if (!c || c.noteId !== activeNoteId) return;
+
+    const mine = noteContent({ title: draftTitle, className: draftClass, body: draftBody });
+    writeRevision(c.noteId, c.theirs, "conflict-theirs").catch((e) => console.error(e));
+    writeRevision(c.noteId, mine, "conflict-mine").catch((e) => console.error(e));
+
+    // Their version becomes the base, so the next save is recorded as building on it
+    baseRef.current = { noteId: c.noteId, updatedAt: c.theirsAt, editorId: c.theirsEditor, content: c.theirs };
+    conflictRef.current = null;
+    setConflict(null);
+
+    if (choice === "theirs") {
+      loadDrafts(c.theirs);
+    } else if (choice === "mine") {
+      saveNote(true, mine);
+    } else {
+      const merged = { ...mine, body: mergeText };
+      loadDrafts(merged);
+      saveNote(true, merged);
+    }
+  }
+
+  // Autosave debounce: triggers after typing stops
+  useEffect(() => {
+    if (!user || !activeNoteId) return;
+    if (ignoreAutosaveRef.current || conflictRef.current) return;
+
+    if (saveDebounceRef.current) window.clearTimeout(saveDebounceRef.current);
+    setSaveState("saving");
 
     saveDebounceRef.current = window.setTimeout(() => {
       saveNote(false);
@@ -347,16 +1473,52 @@ export default function App() {
     if (!user || !activeNoteId) return;
     const ok = confirm("Delete this note? This cannot be undone.");
     if (!ok) return;
-    await deleteDoc(doc(db, "users", user.uid, "notes", activeNoteId));
+    const noteId = activeNoteId;
+    const attachments = activeNote?.attachments || [];
+    queueWrite(deleteDoc(doc(db, "users", user.uid, "notes", noteId)), "Delete");
     setActiveNoteId(null);
+    deleteAttachments(attachments).catch((e) => console.error(e));
+
+    // Subcollections aren't removed with their parent doc
+    getDocs(collection(db, "users", user.uid, "notes", noteId, "revisions"))
+      .then((revs) => revs.docs.forEach((d) => queueWrite(deleteDoc(d.ref), "Delete")))
+      .catch((e) => console.error(e));
+    delete revisionStateRef.current[noteId];
+
+    // Nor is its part of the "Ask my notes" index
+    cancelIndex(noteId);
+    getDocs(query(collection(db, "users", user.uid, "noteChunks"), where("noteId", "==", noteId)))
+      .then((chunks) => chunks.docs.forEach((d) => queueWrite(deleteDoc(d.ref), "Delete")))
+      .catch((e) => console.error(e));
+  }
+
+  async function restoreRevision(rev) {
+    if (!user || !activeNoteId) return;
+    const when = new Date(rev.at).toLocaleString();
+    const ok = confirm(`Restore the version from ${when}? The current text is kept in history.`);
+    if (!ok) return;
+
+    writeRevision(
+      activeNoteId,
+      noteContent({ title: draftTitle, className: draftClass, body: draftBody }),
+      "before-restore"
+    ).catch((e) => console.error(e));
+
+    // Autosave persists the restored drafts
+    setDraftTitle(rev.title || "");
+    setDraftClass(rev.className || "");
+    setDraftBody(rev.body || "");
   }
 
   async function togglePin(note) {
     if (!user) return;
-    await setDoc(
-      doc(db, "users", user.uid, "notes", note.id),
-      { pinned: !note.pinned, updatedAt: serverTimestamp() },
-      { merge: true }
+    queueWrite(
+      setDoc(
+        doc(db, "users", user.uid, "notes", note.id),
+        { pinned: !note.pinned, updatedAt: serverTimestamp() },
+        { merge: true }
+      ),
+      "Pin"
     );
   }
 
@@ -366,124 +1528,880 @@ export default function App() {
       alert("Task title and due date required.");
       return;
     }
+    const repeat = normalizeRepeat(
+      {
+        freq: repeatFreq,
+        interval: repeatInterval,
+        byDay: repeatDays,
+        until: repeatEnd === "until" ? repeatUntil : null,
+        count: repeatEnd === "count" ? repeatCount : null,
+      },
+      taskDue
+    );
+    if (repeat?.until && repeat.until < taskDue) {
+      alert("The repeat end date is before the first due date.");
+      return;
+    }
+
     const id = uid();
-    try {
-      await setDoc(doc(db, "users", user.uid, "tasks", id), {
+    queueWrite(
+      setDoc(doc(db, "users", user.uid, "tasks", id), {
         title: taskTitle.trim(),
         className: taskClass.trim(),
         due: taskDue,
+        dueTime: taskTime,
+        priority: taskPriority,
+        estimate: Number(taskEstimate) > 0 ? Math.round(Number(taskEstimate)) : null,
+        reminders: taskReminder === "default" ? null : taskReminder === "none" ? [] : [Number(taskReminder)],
         done: false,
+        ...(repeat ? { repeat, exceptions: [], doneDates: [] } : {}),
         createdAt: serverTimestamp(),
+      }),
+      "Task save"
+    );
+    setTaskTitle("");
+    setTaskClass("");
+    setTaskDue("");
+    setTaskTime("");
+    setTaskEstimate("");
+    setTaskReminder("default");
+    setRepeatFreq("");
+  }
+
+  // Replaces every undone block with a fresh plan; done blocks count as work already done
+  // The plan and its writes (batch => void): undone blocks replaced by the new ones, and
+  // the day recorded in users/{uid}/meta/planner for the other tabs and devices
+  function buildStudyPlan() {
+    const plan = planStudy({
+      tasks,
+      notes,
+      cards,
+      blocks: studyBlocks,
+      availability: plannerSettings.availability,
+      today,
+    });
+    const writes = [
+      ...studyBlocks.filter((b) => !b.done).map((b) => (batch) => batch.delete(doc(db, "users", user.uid, "studyBlocks", b.id))),
+      ...plan.blocks.map((b) => (batch) =>
+        batch.set(doc(db, "users", user.uid, "studyBlocks", uid()), { ...b, createdAt: serverTimestamp() })
+      ),
+      (batch) => batch.set(doc(db, "users", user.uid, "meta", "planner"), { lastPlanned: today, plannedAt: Date.now() }),
+    ];
+    return { plan, writes };
+  }
+
+  function planStudyBlocks() {
+    if (!user) return;
+    const { plan, writes } = buildStudyPlan();
+    // Firestore batches cap at 500 writes
+    for (let i = 0; i < writes.length; i += 400) {
+      const batch = writeBatch(db);
+      for (const w of writes.slice(i, i + 400)) w(batch);
+      queueWrite(batch.commit(), "Study plan");
+    }
+
+    setUnscheduled(plan.unscheduled);
+    setPlannerSettings((s) => ({ ...s, enabled: true, lastPlanned: today, planFailed: "" }));
+  }
+
+  // Every open tab (and device) sees the same missed blocks; the first to claim the plan in
+  // a transaction makes it, and the rest only note that today is planned. A claim younger
+  // than PLAN_CLAIM_MS stands even if its blocks haven't arrived here yet.
+  async function autoPlanStudyBlocks(missed) {
+    const metaRef = doc(db, "users", user.uid, "meta", "planner");
+    try {
+      const claimed = await runTransaction(db, async (tx) => {
+        const meta = (await tx.get(metaRef)).data() || {};
+        const stillMissed = (
+          await Promise.all(missed.map((b) => tx.get(doc(db, "users", user.uid, "studyBlocks", b.id))))
+        ).some((snap) => snap.exists() && !snap.data().done);
+        if (meta.lastPlanned === today && (!stillMissed || meta.plannedAt > Date.now() - PLAN_CLAIM_MS)) return false;
+        tx.set(metaRef, { lastPlanned: today, plannedAt: Date.now() });
+        return true;
       });
-      setTaskTitle("");
-      setTaskClass("");
-      setTaskDue("");
+      if (claimed) {
+        const { plan, writes } = buildStudyPlan();
+        await commitInBatches([writes]);
+        setUnscheduled(plan.unscheduled);
+      }
+      setPlannerSettings((s) => ({ ...s, lastPlanned: today }));
     } catch (e) {
       console.error(e);
-      alert("Task save failed: " + (e?.message || e));
+      setPlannerSettings((s) => ({ ...s, planFailed: today }));
+      alert(`Automatic study planning failed: ${e?.message || e}. It tries again tomorrow; use Replan to try now.`);
     }
   }
 
+  function toggleBlock(b) {
+    if (!user) return;
+    queueWrite(
+      setDoc(doc(db, "users", user.uid, "studyBlocks", b.id), { done: !b.done, doneAt: b.done ? null : Date.now() }, { merge: true }),
+      "Study block"
+    );
+  }
+
+  function setAvailability(day, minutes) {
+    setPlannerSettings((s) => {
+      const availability = [...s.availability];
+      availability[day] = Math.max(0, Math.min(24 * 60, Math.round(Number(minutes) || 0)));
+      return { ...s, availability };
+    });
+  }
+
+  function shiftCalendar(dir) {
+    if (calView === "month") setCalMonth((d) => addMonths(d, dir));
+    else setCalMonth((d) => addDaysTo(d, dir * (calView === "week" ? 7 : AGENDA_DAYS)));
+  }
+
+  function pickDay(key) {
+    setSelectedDay((cur) => (cur === key ? null : key));
+    setTaskDue(key);
+  }
+
+  // Occurrences of repeating tasks (t.occurrence set) are ticked off one date at a time
   async function toggleTask(t) {
     if (!user) return;
-    await setDoc(doc(db, "users", user.uid, "tasks", t.id), { done: !t.done }, { merge: true });
+    const update = t.occurrence
+      ? { doneDates: t.done ? arrayRemove(t.occurrence) : arrayUnion(t.occurrence) }
+      : { done: !t.done };
+    queueWrite(setDoc(doc(db, "users", user.uid, "tasks", t.id), update, { merge: true }), "Task save");
+  }
+
+  async function skipOccurrence(t) {
+    if (!user || !t.occurrence) return;
+    queueWrite(
+      setDoc(doc(db, "users", user.uid, "tasks", t.id), { exceptions: arrayUnion(t.occurrence) }, { merge: true }),
+      "Task save"
+    );
   }
 
   async function deleteTask(t) {
     if (!user) return;
-    await deleteDoc(doc(db, "users", user.uid, "tasks", t.id));
+    queueWrite(deleteDoc(doc(db, "users", user.uid, "tasks", t.id)), "Task delete");
+  }
+
+  function exportIcs() {
+    const list = tasks.filter((t) => icsClass === "ALL" || (t.className || "").trim() === icsClass);
+    if (list.length === 0) {
+      alert("No tasks to export.");
+      return;
+    }
+    const text = tasksToIcs(list, icsKind);
+    downloadBlob(new Blob([text], { type: "text/calendar" }), `${safeFilename(icsClass === "ALL" ? "tasks" : icsClass)}.ics`);
   }
 
+  // Entries whose UID is already in the account (imported before, or exported from here) are skipped
+  async function importIcs(file) {
+    if (!user || !file) return;
+    let items;
+    try {
+      items = parseIcs(await file.text());
+    } catch (e) {
+      console.error(e);
+      alert("Couldn't read that calendar file: " + (e?.message || e));
+      return;
+    }
+
+    const seen = new Set(tasks.map(taskUid));
+    const fresh = items.filter((it) => {
+      if (!it.uid) return true;
+      if (seen.has(it.uid)) return false;
+      seen.add(it.uid);
+      return true;
+    });
+    const skipped = items.length - fresh.length;
+    if (fresh.length === 0) {
+      alert(items.length ? `Nothing new: all ${items.length} entries are already in your tasks.` : "No tasks or events found.");
+      return;
+    }
+
+    // Firestore batches cap at 500 writes
+    for (let i = 0; i < fresh.length; i += 400) {
+      const batch = writeBatch(db);
+      for (const it of fresh.slice(i, i + 400)) {
+        batch.set(doc(db, "users", user.uid, "tasks", uid()), {
+          title: it.title.slice(0, 300),
+          className: it.className || (icsClass === "ALL" ? "" : icsClass),
+          due: it.due,
+          dueTime: it.dueTime,
+          done: it.done,
+          ...(it.repeat ? { repeat: it.repeat } : {}),
+          ...(it.rrule ? { rrule: it.rrule } : {}),
+          ...(it.repeat || it.rrule ? { exceptions: it.exceptions, doneDates: [] } : {}),
+          ...(it.uid ? { icalUid: it.uid } : {}),
+          createdAt: serverTimestamp(),
+        });
+      }
+      queueWrite(batch.commit(), "Calendar import");
+    }
+    alert(`Imported ${fresh.length} tasks` + (skipped ? `, skipped ${skipped} already imported.` : "."));
+  }
+
+  // Opens the page picker; single-page PDFs and photos are imported straight away
   async function importPdf(file) {
     if (!file) return;
-    setBusy("Extracting PDF…");
+    if (file.type.startsWith("image/")) return importImage(file);
+    setBusy("Opening PDF…");
     try {
-      const text = await extractPdfText(file);
-      setDraftBody((prev) => {
-        const header = `--- PDF IMPORT: ${file.name} ---`;
-        const block = `\n\n${header}\n${text}\n--- /PDF ---\n`;
-        return prev ? prev + block : block.trimStart();
-      });
+      const pdf = await openPdf(file);
+      if (pdf.numPages === 1) {
+        await extractPdf(file, pdf, [1]);
+        pdf.destroy();
+        return;
+      }
+      const all = Array.from({ length: pdf.numPages }, (_, i) => i + 1);
+      setPdfThumbs({});
+      setPdfImport({ file, pdf, numPages: pdf.numPages, pages: all, range: formatPageRange(all) });
+    } catch (e) {
+      console.error(e);
+      alert("Couldn't open this PDF.");
+    } finally {
+      setBusy("");
+    }
+  }
+
+  // The drafts belong to whichever note is open now; an import started in another note
+  // (OCR can take minutes) is dropped rather than landing in the wrong one
+  function appendImport(noteId, header, text, footer) {
+    if (activeNoteIdRef.current !== noteId) {
+      alert("The import was cancelled because another note was opened while it ran.");
+      return false;
+    }
+    setDraftBody((prev) => {
+      const block = `\n\n${header}\n${text}\n${footer}\n`;
+      return prev ? prev + block : block.trimStart();
+    });
+    return true;
+  }
+
+  async function extractPdf(file, pdf, pages) {
+    const noteId = activeNoteId;
+    setBusy(`Extracting ${pages.length === 1 ? "1 page" : `${pages.length} pages`}…`);
+    try {
+      const text = await extractPdfText(pdf, { pages, onProgress: setImportProgress });
+      if (!appendImport(noteId, `--- PDF IMPORT: ${file.name} ---`, text, "--- /PDF ---")) return;
+      if (noteId) {
+        attachFile(noteId, file).catch((e) => {
+          console.error(e);
+          alert(
+            navigator.onLine
+              ? `The text was imported, but ${file.name} couldn't be stored with the note.`
+              : `The text was imported. ${file.name} can't be stored with the note while offline; import it again once you're online to keep the original.`
+          );
+        });
+      }
     } catch (e) {
       console.error(e);
       alert("PDF import failed.");
     } finally {
       setBusy("");
+      setImportProgress(null);
     }
   }
 
+  // Photos of whiteboards or handwritten pages, read with on-device OCR
+  async function importImage(file) {
+    const noteId = activeNoteId;
+    setBusy("Reading image…");
+    try {
+      const text = await extractImageText(file, {
+        onProgress: (fraction) => setImportProgress({ page: 1, done: 0, total: 1, ocr: true, fraction }),
+      });
+      if (!text) {
+        alert("No text found in this image.");
+        return;
+      }
+      appendImport(noteId, `--- IMAGE IMPORT: ${file.name} ---`, text, "--- /IMAGE ---");
+    } catch (e) {
+      console.error(e);
+      alert("Image import failed.");
+    } finally {
+      setBusy("");
+      setImportProgress(null);
+    }
+  }
+
+  // Stores a file with the note (imported PDFs, recordings); throws if the upload fails
+  async function attachFile(noteId, file, extra) {
+    const att = await uploadAttachment(user.uid, noteId, file, uid(), extra);
+    // An update, not a merge: a note deleted meanwhile (on any device) must not come back
+    // holding only this file. Its upload is removed instead.
+    queueWrite(
+      updateDoc(doc(db, "users", user.uid, "notes", noteId), { attachments: arrayUnion(att) }).catch((e) => {
+        if (e?.code !== "not-found") throw e;
+        return deleteAttachments([att]);
+      }),
+      "Attach file"
+    );
+    return att;
+  }
+
+  async function removeAttachment(att) {
+    if (!user || !activeNoteId) return;
+    if (!confirm(`Remove ${att.name} from this note? The imported text stays.`)) return;
+    if (pdfView?.attachmentId === att.id) setPdfView(null);
+    if (audioView?.attachmentId === att.id) setAudioView(null);
+    queueWrite(
+      setDoc(doc(db, "users", user.uid, "notes", activeNoteId), { attachments: arrayRemove(att) }, { merge: true }),
+      "Remove attachment"
+    );
+    deleteAttachments([att]).catch((e) => console.error(e));
+  }
+
+  function openPdfAt(attachmentId, n = null) {
+    setPdfView({ noteId: activeNoteIdRef.current, attachmentId, page: n ? { n } : null });
+  }
+
+  function playRecording(attachmentId, s = null) {
+    setAudioView({ noteId: activeNoteIdRef.current, attachmentId, offset: s == null ? null : { s } });
+  }
+
+  // Preview clicks on [Page N] and [hh:mm:ss] links (see linkPageMarkers, linkTimestamps)
+  function onPreviewClick(e) {
+    const link = e.target.closest("a.page-link, a.time-link");
+    if (!link) return;
+    e.preventDefault();
+    if (link.classList.contains("time-link")) playRecording(link.dataset.attachment, Number(link.dataset.offset));
+    else openPdfAt(link.dataset.attachment, Number(link.dataset.page));
+  }
+
+  function quotePdf(text, page) {
+    const name = viewerPdf ? `${viewerPdf.name}, ` : "";
+    const quote = `> ${text}\n> — ${name}[Page ${page}]\n`;
+    setDraftBody((prev) => (prev.trim() ? `${prev.trimEnd()}\n\n${quote}` : quote));
+  }
+
+  function setPdfPages(pages) {
+    setPdfImport((cur) => cur && { ...cur, pages, range: formatPageRange(pages) });
+  }
+
+  function togglePdfPage(n) {
+    const pages = pdfImport.pages.includes(n) ? pdfImport.pages.filter((p) => p !== n) : [...pdfImport.pages, n];
+    setPdfPages(pages.sort((a, b) => a - b));
+  }
+
+  async function confirmPdfImport() {
+    const { file, pdf, pages } = pdfImport;
+    setPdfImport(null);
+    await extractPdf(file, pdf, pages);
+    pdf.destroy();
+  }
+
+  function cancelPdfImport() {
+    pdfImport?.pdf.destroy();
+    setPdfImport(null);
+  }
+
   async function summarize() {
+    const noteId = activeNoteId;
+    const controller = new AbortController();
+    const markers = summaryMarkers(summarySettings.style);
+    const open = `\n\n${markers.open}\n`;
+    const close = `\n${markers.close}\n`;
+    let text = "";
+
+    // Rewrites the summary block being streamed (the last one), leaving edits elsewhere alone
+    const writeSummary = (first) => {
+      if (activeNoteIdRef.current !== noteId) return;
+      setDraftBody((prev) => {
+        if (first) return `${prev}${open}${text}${close}`;
+        const start = prev.lastIndexOf(open);
+        const end = start < 0 ? -1 : prev.indexOf(close, start + open.length);
+        if (end < 0) return prev;
+        return prev.slice(0, start + open.length) + text + prev.slice(end);
+      });
+    };
+
+    setAiStream(controller);
     setBusy("Summarizing…");
     try {
-      const res = await fetch("/api/summarize", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ text: draftBody }),
+      await summarizeLong(draftBody, {
+        style: summarySettings.style,
+        words: summaryWords(summarySettings.length),
+        signal: controller.signal,
+        onProgress: (p) => {
+          setSummaryProgress(p);
+          if (p.total > 1) {
+            setBusy(p.stage === "merge" ? "Merging summaries…" : `Summarizing part ${Math.min(p.done + 1, p.total)}/${p.total}…`);
+          }
+        },
+        onDelta: (delta) => {
+          const first = !text;
+          text += delta;
+          writeSummary(first);
+        },
       });
-      if (!res.ok) throw new Error(await res.text());
-      const data = await res.json();
-      setDraftBody((prev) => `${prev}\n\n=== AI SUMMARY ===\n${data.summary}\n=== /SUMMARY ===\n`);
+    } catch (e) {
+      if (e.name !== "AbortError") {
+        console.error(e);
+        alert(describeApiError(e, "Summarize"));
+      }
+    } finally {
+      setBusy("");
+      setSummaryProgress(null);
+      setAiStream(null);
+    }
+  }
+
+  async function ask() {
+    const question = askQuestion.trim();
+    if (!question) return;
+    setAskLoading(true);
+    try {
+      const data = await askNotes(question);
+      setAskResult({ question, answer: data.answer, sources: data.sources || [] });
+    } catch (e) {
+      console.error(e);
+      alert(describeApiError(e, "Ask"));
+    } finally {
+      setAskLoading(false);
+    }
+  }
+
+  // Indexes `list` ({ id, title, className, body }), then drops the chunks of every note
+  // not in keepIds
+  async function reindexNotes(list, keepIds, label) {
+    for (let i = 0; i < list.length; i++) {
+      setBusy(`${label} ${i + 1}/${list.length}…`);
+      await indexNote(list[i]);
+    }
+    await pruneIndex(keepIds);
+  }
+
+  // Builds the index from scratch: every note, then drops chunks of notes that are gone
+  async function indexAllNotes() {
+    if (!notes.length) return;
+    try {
+      await reindexNotes(notes, notes.map((n) => n.id), "Indexing notes");
     } catch (e) {
       console.error(e);
-      alert("Summarize failed. (Check /api/summarize + OPENAI_API_KEY)");
+      alert(describeApiError(e, "Indexing"));
     } finally {
       setBusy("");
     }
   }
 
+  function openSource(source) {
+    if (!notes.some((n) => n.id === source.noteId)) {
+      alert("That note no longer exists. Use “Index all notes” to tidy up the index.");
+      return;
+    }
+    setActiveNoteId(source.noteId);
+    // Answers from a PDF import open the original at the cited page; like linkPageMarkers,
+    // the import's own file, else the note's first PDF
+    const pdfs = (notes.find((n) => n.id === source.noteId).attachments || []).filter(
+      (a) => a.contentType === "application/pdf"
+    );
+    const pdf = pdfs.find((a) => a.name === source.file) || pdfs[0];
+    if (pdf && source.page != null) setPdfView({ noteId: source.noteId, attachmentId: pdf.id, page: { n: source.page } });
+  }
+
   async function makeFlashcards() {
     if (!user || !activeNoteId) return;
+    const controller = new AbortController();
+    let saved = 0;
+    setAiStream(controller);
     setBusy("Generating flashcards…");
     try {
-      const res = await fetch("/api/flashcards", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ text: draftBody }),
+      // Each card is saved as soon as it arrives, so it shows up in the panel right away
+      await postStream(
+        "/api/flashcards",
+        { text: draftBody },
+        {
+          signal: controller.signal,
+          onEvent: (event, c) => {
+            if (event !== "card" || saved >= 25) return;
+            const id = uid();
+            queueWrite(
+              setDoc(doc(db, "users", user.uid, "flashcards", id), {
+                noteId: activeNoteId,
+                noteTitle: draftTitle || "Untitled",
+                question: String(c.question || "").slice(0, 500),
+                answer: String(c.answer || "").slice(0, 1500),
+                deck: deckFilter === "ALL" ? "" : deckFilter,
+                createdAt: serverTimestamp(),
+              }),
+              "Flashcard save"
+            );
+            saved++;
+            setBusy(`Generating flashcards… ${saved} saved`);
+          },
+        }
+      );
+      if (saved === 0) alert("No cards returned.");
+    } catch (e) {
+      if (e.name !== "AbortError") {
+        console.error(e);
+        alert(describeApiError(e, "Flashcards"));
+      }
+    } finally {
+      setBusy("");
+      setAiStream(null);
+    }
+  }
+
+  async function loadQuizChoices(card) {
+    setQuizChoices(null);
+    setQuizChoicesError("");
+    setQuizLoading(true);
+    try {
+      setQuizChoices(await apiJson("/api/quiz", { mode: "choices", question: card.question, answer: card.answer }));
+    } catch (e) {
+      console.error(e);
+      setQuizChoicesError(describeApiError(e, "Quiz"));
+    } finally {
+      setQuizLoading(false);
+    }
+  }
+
+  function showQuizCard(queue, pos) {
+    setQuizPos(pos);
+    setQuizResponse("");
+    setQuizResult(null);
+    const card = cards.find((c) => c.id === queue[pos]);
+    if (card && quizType === "choice") loadQuizChoices(card);
+  }
+
+  function startQuiz() {
+    if (studyDeck.length === 0) {
+      alert("No flashcards to quiz on.");
+      return;
+    }
+    const queue = studyDeck.map((c) => c.id);
+    for (let i = queue.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [queue[i], queue[j]] = [queue[j], queue[i]];
+    }
+    stopStudy();
+    setQuizMode(true);
+    setQuizQueue(queue);
+    setQuizTally({ right: 0, total: 0 });
+    showQuizCard(queue, 0);
+  }
+
+  function stopQuiz() {
+    setQuizMode(false);
+    setQuizQueue([]);
+    setQuizChoices(null);
+    setQuizChoicesError("");
+    setQuizResult(null);
+  }
+
+  function nextQuizCard() {
+    if (quizPos >= quizQueue.length - 1) {
+      alert(`Quiz done: ${quizTally.right} / ${quizTally.total} correct.`);
+      stopQuiz();
+      return;
+    }
+    showQuizCard(quizQueue, quizPos + 1);
+  }
+
+  function recordQuizResult(card, result) {
+    setQuizResult(result);
+    setQuizTally((t) => ({ right: t.right + (result.correct ? 1 : 0), total: t.total + 1 }));
+    if (!user) return;
+    setDoc(
+      doc(db, "users", user.uid, "flashcards", card.id),
+      {
+        quizAttempts: increment(1),
+        quizMisses: increment(result.correct ? 0 : 1),
+        lastQuizScore: result.score,
+        lastQuizAt: Date.now(),
+      },
+      { merge: true }
+    ).catch((e) => console.error(e));
+  }
+
+  function pickQuizChoice(i) {
+    if (!quizCard || !quizChoices || quizResult) return;
+    const correct = i === quizChoices.correctIndex;
+    recordQuizResult(quizCard, {
+      score: correct ? 100 : 0,
+      correct,
+      explanation: correct ? "" : `Answer: ${quizCard.answer}`,
+      picked: i,
+    });
+  }
+
+  async function submitQuizAnswer() {
+    if (!quizCard || !quizResponse.trim() || quizResult) return;
+    setQuizLoading(true);
+    try {
+      const data = await apiJson("/api/quiz", {
+        mode: "grade",
+        question: quizCard.question,
+        answer: quizCard.answer,
+        response: quizResponse,
       });
-      if (!res.ok) throw new Error(await res.text());
-      const data = await res.json();
+      recordQuizResult(quizCard, data);
+    } catch (e) {
+      console.error(e);
+      alert(describeApiError(e, "Grading"));
+    } finally {
+      setQuizLoading(false);
+    }
+  }
 
-      const arr = Array.isArray(data.cards) ? data.cards : [];
-      if (arr.length === 0) {
-        alert("No cards returned.");
-        return;
+  async function addCard() {
+    if (!user) return;
+    if (!cardQuestion.trim() || !cardAnswer.trim()) {
+      alert("Question and answer required.");
+      return;
+    }
+    const id = uid();
+    queueWrite(
+      setDoc(doc(db, "users", user.uid, "flashcards", id), {
+        noteId: activeNoteId || null,
+        noteTitle: activeNoteId ? draftTitle || "Untitled" : "",
+        question: cardQuestion.trim().slice(0, 500),
+        answer: cardAnswer.trim().slice(0, 1500),
+        deck: cardDeck.trim(),
+        createdAt: serverTimestamp(),
+      }),
+      "Card save"
+    );
+    setCardQuestion("");
+    setCardAnswer("");
+  }
+
+  function startEditCard(c) {
+    setEditingCardId(c.id);
+    setEditQuestion(c.question || "");
+    setEditAnswer(c.answer || "");
+    setEditDeck(c.deck || "");
+  }
+
+  async function saveCardEdit() {
+    if (!user || !editingCardId) return;
+    if (!editQuestion.trim() || !editAnswer.trim()) {
+      alert("Question and answer required.");
+      return;
+    }
+    queueWrite(
+      setDoc(
+        doc(db, "users", user.uid, "flashcards", editingCardId),
+        {
+          question: editQuestion.trim().slice(0, 500),
+          answer: editAnswer.trim().slice(0, 1500),
+          deck: editDeck.trim(),
+        },
+        { merge: true }
+      ),
+      "Card save"
+    );
+    setEditingCardId(null);
+  }
+
+  async function moveCard(c, deck) {
+    if (!user) return;
+    queueWrite(setDoc(doc(db, "users", user.uid, "flashcards", c.id), { deck }, { merge: true }), "Card move");
+  }
+
+  async function toggleSuspend(c) {
+    if (!user) return;
+    queueWrite(
+      setDoc(doc(db, "users", user.uid, "flashcards", c.id), { suspended: !c.suspended }, { merge: true }),
+      "Card save"
+    );
+  }
+
+  async function deleteCard(c) {
+    if (!user) return;
+    const ok = confirm("Delete this flashcard?");
+    if (!ok) return;
+    queueWrite(deleteDoc(doc(db, "users", user.uid, "flashcards", c.id)), "Card delete");
+  }
+
+  function loadImportSource(source) {
+    setImportSource(source);
+    const lower = (source.headers || source.rows[0] || []).map((h) => String(h).trim().toLowerCase());
+    const at = (names, fallback) => {
+      const i = lower.findIndex((h) => names.includes(h));
+      return i >= 0 ? i : fallback;
+    };
+    setImportHasHeader(!source.headers && lower.includes("question") && lower.includes("answer"));
+    setImportMap({
+      question: at(["question", "front", "term"], 0),
+      answer: at(["answer", "back", "definition"], 1),
+      deck: at(["deck"], -1),
+    });
+  }
+
+  async function readImportFile(file) {
+    if (!file) return;
+    setBusy("Reading file…");
+    try {
+      if (/\.apkg$/i.test(file.name)) {
+        const table = await readApkg(file);
+        loadImportSource({ name: file.name, ...table });
+      } else {
+        const text = await file.text();
+        const delimiter = /\.tsv$/i.test(file.name) ? "\t" : undefined;
+        loadImportSource({ name: file.name, rows: parseDelimited(text, delimiter) });
       }
+    } catch (e) {
+      console.error(e);
+      alert("Import failed: " + (e?.message || e));
+    } finally {
+      setBusy("");
+    }
+  }
 
-      const toSave = arr.slice(0, 25);
-      for (const c of toSave) {
-        const id = uid();
-        await setDoc(doc(db, "users", user.uid, "flashcards", id), {
-          noteId: activeNoteId,
-          noteTitle: draftTitle || "Untitled",
-          question: String(c.question || "").slice(0, 500),
-          answer: String(c.answer || "").slice(0, 1500),
+  // Tab-separated pastes are Quizlet's format, where quotes are just text
+  function readImportPaste() {
+    const delimiter = detectDelimiter(importPaste);
+    const rows = parseDelimited(importPaste, delimiter, { quotes: delimiter !== "\t" });
+    if (rows.length === 0) {
+      alert("Nothing to import.");
+      return;
+    }
+    loadImportSource({ name: "Pasted text", rows });
+  }
+
+  function cancelImport() {
+    setImportSource(null);
+    setImportPaste("");
+  }
+
+  async function importCards() {
+    if (!user || !importTable) return;
+    const note = notes.find((n) => n.id === importNoteId) || null;
+
+    const docs = [];
+    importTable.rows.forEach((r, i) => {
+      const question = String(r[importMap.question] ?? "").trim();
+      const answer = String(r[importMap.answer] ?? "").trim();
+      if (!question || !answer) return;
+      const deck = importMap.deck >= 0 ? String(r[importMap.deck] ?? "").trim() : "";
+      docs.push({
+        noteId: note?.id || null,
+        noteTitle: note ? note.title || "Untitled" : "",
+        question: question.slice(0, 500),
+        answer: answer.slice(0, 1500),
+        deck: deck || importDeck.trim(),
+        ...(importTable.schedules?.[i] || {}),
+      });
+    });
+
+    if (docs.length === 0) {
+      alert("No rows with both a question and an answer.");
+      return;
+    }
+
+    // Firestore batches cap at 500 writes
+    for (let i = 0; i < docs.length; i += 400) {
+      const batch = writeBatch(db);
+      for (const d of docs.slice(i, i + 400)) {
+        batch.set(doc(db, "users", user.uid, "flashcards", uid()), {
+          ...d,
           createdAt: serverTimestamp(),
         });
       }
-      alert(`Saved ${toSave.length} flashcards.`);
+      queueWrite(batch.commit(), "Import");
+    }
+    alert(`Imported ${docs.length} flashcards.`);
+    cancelImport();
+  }
+
+  async function exportCards(format) {
+    if (deckCards.length === 0) {
+      alert("No flashcards to export.");
+      return;
+    }
+    const base = safeFilename(deckFilter === "ALL" ? "flashcards" : deckFilter || "Unsorted");
+    try {
+      if (format === "apkg") {
+        setBusy("Building Anki package…");
+        downloadBlob(await writeApkg(deckCards), `${base}.apkg`);
+      } else {
+        const delimiter = format === "tsv" ? "\t" : ",";
+        const text = toDelimited(cardsToRows(deckCards), delimiter);
+        const type = format === "tsv" ? "text/tab-separated-values" : "text/csv";
+        downloadBlob(new Blob([text], { type }), `${base}.${format}`);
+      }
     } catch (e) {
       console.error(e);
-      alert("Flashcards failed. (Check /api/flashcards + OPENAI_API_KEY)");
+      alert("Export failed: " + (e?.message || e));
     } finally {
       setBusy("");
     }
   }
 
+  // "Class folder" needs a single folder picked in the notes list; without one it means all notes
+  const exportScopeNow =
+    exportScope === "folder" && !classFolders.slice(1).includes(classFilter) ? "all" : exportScope;
+
+  // The open note is exported with its unsaved drafts
+  function notesForExport() {
+    const withDrafts = (n) =>
+      n.id === activeNoteId ? { ...n, title: draftTitle.trim() || "Untitled", className: draftClass.trim(), body: draftBody } : n;
+    if (exportScopeNow === "note") return activeNote ? [withDrafts(activeNote)] : [];
+    const list = exportScopeNow === "folder" ? notes.filter((n) => (n.className || "").trim() === classFilter) : notes;
+    return list.map(withDrafts).sort(byPinnedThenRecent);
+  }
+
+  async function exportNotes(format) {
+    const list = notesForExport();
+    if (list.length === 0) {
+      alert("No notes to export.");
+      return;
+    }
+    const base = safeFilename(
+      exportScopeNow === "note" ? list[0].title : exportScopeNow === "folder" ? classFilter : "Intense Notes"
+    );
+    try {
+      if (format === "md") {
+        if (exportScopeNow === "note") {
+          downloadBlob(new Blob([noteToMarkdown(list[0])], { type: "text/markdown" }), `${base}.md`);
+        } else {
+          setBusy("Zipping notes…");
+          downloadBlob(await notesToMarkdownZip(list), `${base}.zip`);
+        }
+      } else {
+        const html = notesToHtml(list, base);
+        if (format === "print") printHtml(html);
+        else downloadBlob(new Blob([html], { type: "text/html" }), `${base}.html`);
+      }
+    } catch (e) {
+      console.error(e);
+      alert("Export failed: " + (e?.message || e));
+    } finally {
+      setBusy("");
+    }
+  }
+
+  // [hh:mm:ss] stamps made while recording this note link to that point of the recording
+  // (lib/recording.js)
   function timestamp() {
-    const t = new Date().toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
-    setDraftBody((prev) => `${prev}\n[${t}] `);
+    const rec = recordingRef.current;
+    const stamp = rec?.noteId === activeNoteId ? rec.mark() : clockStamp();
+    setDraftBody((prev) => `${prev}\n[${stamp}] `);
   }
 
-  function startTranscription() {
-    if (!speechSupported || !speechRef.current) {
+  // Transcribes and, with a note open, records the audio to keep with it
+  async function startTranscription() {
+    const canRecord = !!activeNoteId && recordingSupported();
+    if ((!speechSupported || !speechRef.current) && !canRecord) {
       alert("Transcription not supported here. Try Chrome/Edge.");
       return;
     }
-    try {
-      speechRef.current.start();
-      setIsTranscribing(true);
-    } catch {
-      setIsTranscribing(true);
+    if (speechSupported && speechRef.current) {
+      try {
+        speechRef.current.start();
+        setIsTranscribing(true);
+      } catch {
+        setIsTranscribing(true);
+      }
+    }
+    if (canRecord && !recordingRef.current) {
+      try {
+        const rec = await startRecording();
+        recordingRef.current = { ...rec, noteId: activeNoteId };
+        setRecording({ noteId: activeNoteId, startedAt: rec.startedAt });
+      } catch (e) {
+        console.error(e);
+        alert("Couldn't record audio (is the microphone blocked?). The transcript still works without it.");
+      }
     }
   }
   function stopTranscription() {
@@ -492,6 +2410,28 @@ export default function App() {
     } finally {
       setIsTranscribing(false);
     }
+    const rec = recordingRef.current;
+    if (rec) {
+      recordingRef.current = null;
+      setRecording(null);
+      saveRecording(rec);
+    }
+  }
+  async function saveRecording(rec) {
+    const { file, duration, stamps } = await rec.stop();
+    if (!file.size || !user) return;
+    setBusy("Saving recording…");
+    try {
+      await attachFile(rec.noteId, file, { startedAt: rec.startedAt, duration, stamps });
+    } catch (e) {
+      console.error(e);
+      downloadBlob(file, file.name);
+      alert(
+        `The recording couldn't be stored with the note${navigator.onLine ? "" : " while offline"}, so it was downloaded instead.`
+      );
+    } finally {
+      setBusy("");
+    }
   }
   function insertTranscriptIntoNote() {
     if (!transcript.trim()) return;
@@ -503,25 +2443,100 @@ export default function App() {
 
   function startStudy() {
     if (studyDeck.length === 0) {
-      alert("No flashcards to study yet.");
+      alert(studyDueOnly && cards.length ? "Nothing due today. 🎉" : "No flashcards to study yet.");
       return;
     }
+    stopQuiz();
     setStudyMode(true);
-    setStudyIndex(0);
+    setStudyQueue(studyDeck.map((c) => c.id));
     setStudyFlipped(false);
   }
   function stopStudy() {
     setStudyMode(false);
     setStudyFlipped(false);
-    setStudyIndex(0);
+    setStudyQueue([]);
   }
-  function nextCard() {
+
+  async function gradeCard(grade) {
+    if (!user || !studyCard) return;
+    const card = studyCard;
+
+    // "Again" cards come back at the end of this session
+    const rest = studyQueue.slice(1);
+    const next = grade === "again" ? [...rest, card.id] : rest;
+
     setStudyFlipped(false);
-    setStudyIndex((i) => Math.min(i + 1, Math.max(0, studyDeck.length - 1)));
+    setStudyQueue(next);
+    if (next.length === 0) {
+      alert("Done! 🎉");
+      stopStudy();
+    }
+
+    queueWrite(
+      setDoc(doc(db, "users", user.uid, "flashcards", card.id), schedule(card, grade), { merge: true }),
+      "Review save"
+    );
   }
-  function prevCard() {
-    setStudyFlipped(false);
-    setStudyIndex((i) => Math.max(i - 1, 0));
+
+  // One task (or one occurrence of a repeating task) in the Due Dates list, agenda and day view
+  function renderTask(t) {
+    const allDone = isRecurring(t) && !t.occurrence;
+    const meta = [
+      t.className || "—",
+      t.due + (t.dueTime ? ` ${t.dueTime}` : ""),
+      t.estimate ? `⏱ ${formatEstimate(t.estimate)}` : "",
+      isRecurring(t) ? `🔁 ${describeRepeat(t.repeat)}` : "",
+      Array.isArray(t.reminders)
+        ? t.reminders.length
+          ? `🔔 ${t.reminders.map(describeOffset).join(", ")}`
+          : "🔕"
+        : "",
+    ];
+    return (
+      <div key={t.occurrence ? `${t.id}:${t.occurrence}` : t.id} className={`details-card task prio-${t.priority || "medium"}`}>
+        <div className="row">
+          {allDone ? (
+            <span className="pill">✅ All done</span>
+          ) : (
+            <button className={t.done ? "btn-ok" : ""} onClick={() => toggleTask(t)}>
+              {t.done ? "✅ Done" : "⬜ Not done"}
+            </button>
+          )}
+          {t.occurrence && !t.done ? <button onClick={() => skipOccurrence(t)}>Skip</button> : null}
+          <div className="spacer" />
+          <button
+            className="btn-danger"
+            onClick={() => deleteTask(t)}
+            title={isRecurring(t) ? "Deletes every occurrence" : undefined}
+          >
+            Del
+          </button>
+        </div>
+        <div style={{ fontWeight: 950, marginTop: 10 }}>
+          {t.priority === "high" ? "‼️ " : ""}
+          {t.title}
+        </div>
+        <div className="muted">{meta.filter(Boolean).join(" • ")}</div>
+      </div>
+    );
+  }
+
+  function renderBlock(b) {
+    return (
+      <div key={b.id} className={`details-card study-block ${b.done ? "done" : ""}`}>
+        <div className="row">
+          <button className={b.done ? "btn-ok" : ""} onClick={() => toggleBlock(b)}>
+            {b.done ? "✅ Studied" : "📚 Mark done"}
+          </button>
+          <div className="spacer" />
+          <span className="pill">{formatEstimate(b.minutes)}</span>
+        </div>
+        <div style={{ fontWeight: 950, marginTop: 10 }}>{b.title}</div>
+        <div className="muted">
+          {b.className || "—"} • for {b.deadline}
+        </div>
+      </div>
+    );
   }
 
   /* ---------------- UI ---------------- */
@@ -565,8 +2580,15 @@ export default function App() {
 
         <div className="row">
           {busy ? <span className="pill">{busy}</span> : null}
+          {aiStream ? <button onClick={() => aiStream.abort()}>Cancel</button> : null}
+          {!online || pendingCount ? (
+            <span className="pill" title="Changes are saved on this device and sync automatically">
+              {online ? "Syncing" : "Offline"}
+              {pendingCount ? ` • ${pendingCount} pending` : ""}
+            </span>
+          ) : null}
           {saveState !== "idle" ? (
-            <span className="pill">
+            <span className="pill" title={saveError || undefined}>
               {saveState === "saving"
                 ? "Saving…"
                 : saveState === "saved"
@@ -577,11 +2599,118 @@ export default function App() {
           <button onClick={() => setTheme((t) => (t === "dark" ? "light" : "dark"))}>
             {theme === "dark" ? "☀️ Light" : "🌙 Dark"}
           </button>
+          <button className={remindersOpen ? "btn-primary" : ""} onClick={() => setRemindersOpen((v) => !v)}>
+            {reminderSettings.enabled && notifPermission === "granted" ? "🔔" : "🔕"} Reminders
+          </button>
+          <button onClick={backupAccount} title="Download all notes, tasks and flashcards as JSON">
+            Backup
+          </button>
+          <label className="pill" style={{ cursor: "pointer" }} title="Restore from a backup file">
+            Restore
+            <input
+              type="file"
+              accept="application/json,.json"
+              style={{ display: "none" }}
+              onChange={(e) => {
+                readBackupFile(e.target.files?.[0] || null);
+                e.target.value = "";
+              }}
+            />
+          </label>
           <button className="btn-danger" onClick={logout}>
             Logout
           </button>
         </div>
-      </div>
+      </div>
+
+      {remindersOpen ? (
+        <div className="details-card" style={{ marginBottom: 14 }}>
+          <div className="row" style={{ justifyContent: "space-between" }}>
+            <b>Due-date reminders</b>
+            <button onClick={() => setRemindersOpen(false)}>Close</button>
+          </div>
+
+          {notifPermission === "unsupported" ? (
+            <div className="muted" style={{ marginTop: 6 }}>This browser can’t show notifications.</div>
+          ) : notifPermission === "denied" ? (
+            <div className="muted" style={{ marginTop: 6 }}>
+              Notifications are blocked for this site. Allow them in the browser’s site settings (the icon left of the
+              address bar), then come back here.
+            </div>
+          ) : notifPermission !== "granted" || !reminderSettings.enabled ? (
+            <div className="row" style={{ marginTop: 8 }}>
+              <button className="btn-primary" onClick={enableReminders}>
+                Turn on reminders
+              </button>
+              <span className="muted">
+                {notifPermission === "granted" ? "Reminders are off." : "Your browser will ask to allow notifications."}
+              </span>
+            </div>
+          ) : (
+            <>
+              <div className="row" style={{ marginTop: 8 }}>
+                <span className="pill">
+                  {reminderSchedule.length} reminder{reminderSchedule.length === 1 ? "" : "s"} in the next 3 weeks
+                </span>
+                <button onClick={testReminder}>Send test</button>
+                <button onClick={() => setReminderSettings((s) => ({ ...s, enabled: false }))}>Turn off</button>
+              </div>
+
+              <div className="muted" style={{ marginTop: 10 }}>Default reminders (tasks can override these):</div>
+              <div className="row" style={{ marginTop: 6, flexWrap: "wrap" }}>
+                {REMINDER_OFFSETS.map((o) => (
+                  <label key={o.minutes} className="pill" style={{ cursor: "pointer" }}>
+                    <input
+                      type="checkbox"
+                      checked={reminderSettings.offsets.includes(o.minutes)}
+                      onChange={() => toggleDefaultOffset(o.minutes)}
+                      style={{ marginRight: 8 }}
+                    />
+                    {o.label}
+                  </label>
+                ))}
+              </div>
+
+              <div className="row" style={{ marginTop: 10 }}>
+                <span className="muted">Tasks without a time are due at</span>
+                <input
+                  type="time"
+                  value={reminderSettings.allDayTime}
+                  onChange={(e) => setReminderSettings((s) => ({ ...s, allDayTime: e.target.value || "09:00" }))}
+                  style={{ width: 130 }}
+                />
+              </div>
+
+              <div className="muted" style={{ marginTop: 10 }}>
+                {pushReady === null
+                  ? null
+                  : pushReady
+                  ? "Reminders arrive on this device even with Intense Notes closed, as long as the browser is running."
+                  : "This browser can’t receive background reminders, so they only arrive while Intense Notes is open in a tab. Keep a tab open, or pinned, to be reminded."}
+              </div>
+            </>
+          )}
+        </div>
+      ) : null}
+
+      {restoreArchive ? (
+        <div className="details-card" style={{ marginBottom: 14 }}>
+          <b>Restore backup</b>
+          <div className="muted" style={{ marginTop: 6 }}>
+            From {new Date(restoreArchive.exportedAt).toLocaleString()} • {restoreArchive.notes.length} notes •{" "}
+            {restoreArchive.tasks.length} tasks • {restoreArchive.flashcards.length} flashcards
+          </div>
+          <div className="row" style={{ marginTop: 8 }}>
+            <button className="btn-primary" onClick={() => restoreBackup("merge")}>
+              Merge into account
+            </button>
+            <button className="btn-danger" onClick={() => restoreBackup("replace")}>
+              Replace everything
+            </button>
+            <button onClick={() => setRestoreArchive(null)}>Cancel</button>
+          </div>
+        </div>
+      ) : null}
 
       <div className="cols">
         {/* LEFT: Notes */}
@@ -597,7 +2726,8 @@ export default function App() {
             <input
               value={noteSearch}
               onChange={(e) => setNoteSearch(e.target.value)}
-              placeholder="Search notes…"
+              placeholder='Search… class:Bio "phrase" -word'
+              title={'Operators: class:Bio  deck:Chem  type:note|card|task  pinned:yes  done:no  before:2026-09-01  after:2026-09-01  "exact phrase"  -exclude'}
               style={{ flex: 1 }}
             />
             <select
@@ -614,8 +2744,10 @@ export default function App() {
           </div>
 
           <div className="list">
+            {searching ? <div className="muted">Notes ({filteredNotes.length})</div> : null}
             {filteredNotes.map((n) => {
               const preview = String(n.body || "").trim().slice(0, 90);
+              const segments = noteSnippets.get(n.id);
               return (
                 <div
                   key={n.id}
@@ -631,9 +2763,16 @@ export default function App() {
                       {n.pinned ? "📌 " : ""}
                       {n.title || "Untitled"}
                     </div>
-                    <div className="muted">
-                      {(n.className || "—") + (preview ? " • " + preview + "…" : "")}
-                    </div>
+                    {segments ? (
+                      <div className="muted">
+                        {(n.className || "—") + " • "}
+                        <Highlight segments={segments} />
+                      </div>
+                    ) : (
+                      <div className="muted">
+                        {(n.className || "—") + (preview ? " • " + preview + "…" : "")}
+                      </div>
+                    )}
                   </button>
 
                   <button className={n.pinned ? "btn-ok" : ""} onClick={() => togglePin(n)}>
@@ -642,9 +2781,148 @@ export default function App() {
                 </div>
               );
             })}
-            {filteredNotes.length === 0 ? <div className="muted">No matches.</div> : null}
+            {filteredNotes.length === 0 && !(searching && (searchResults.card.length || searchResults.task.length)) ? (
+              <div className="muted">No matches.</div>
+            ) : null}
+
+            {searching && searchResults.card.length ? (
+              <>
+                <div className="muted">Flashcards ({searchResults.card.length})</div>
+                {searchResults.card.slice(0, 30).map((r) => {
+                  const c = r.doc.item;
+                  return (
+                    <button
+                      key={r.doc.key}
+                      className="item"
+                      style={{ textAlign: "left" }}
+                      onClick={() => c.noteId && setActiveNoteId(c.noteId)}
+                      disabled={!c.noteId}
+                      title={c.noteId ? "Open source note" : "Not linked to a note"}
+                    >
+                      <div style={{ fontWeight: 950 }}>
+                        <Highlight segments={r.titleSegments} />
+                      </div>
+                      <div className="muted">
+                        {(c.deck || "Unsorted") + " • "}
+                        <Highlight segments={r.bodySegments} />
+                      </div>
+                    </button>
+                  );
+                })}
+              </>
+            ) : null}
+
+            {searching && searchResults.task.length ? (
+              <>
+                <div className="muted">Tasks ({searchResults.task.length})</div>
+                {searchResults.task.slice(0, 30).map((r) => {
+                  const t = r.doc.item;
+                  return (
+                    <button
+                      key={r.doc.key}
+                      className="item"
+                      style={{ textAlign: "left" }}
+                      onClick={() => {
+                        if (!t.due) return;
+                        setCalMonth(new Date(`${t.due}T00:00:00`));
+                        setSelectedDay(t.due);
+                      }}
+                      title="Show on calendar"
+                    >
+                      <div style={{ fontWeight: 950 }}>
+                        {t.done ? "✅ " : ""}
+                        <Highlight segments={r.titleSegments} />
+                      </div>
+                      <div className="muted">
+                        {t.className || "—"} • {t.due}
+                      </div>
+                    </button>
+                  );
+                })}
+              </>
+            ) : null}
           </div>
 
+          <details className="details-card">
+            <summary style={{ cursor: "pointer", fontWeight: 950 }}>Ask my notes</summary>
+            <div className="row" style={{ marginTop: 8 }}>
+              <input
+                value={askQuestion}
+                onChange={(e) => setAskQuestion(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && ask()}
+                placeholder="What did the professor say about glycolysis regulation?"
+                style={{ flex: 1 }}
+              />
+              <button className="btn-primary" onClick={ask} disabled={askLoading || !askQuestion.trim()}>
+                {askLoading ? "Asking…" : "Ask"}
+              </button>
+            </div>
+
+            {askResult ? (
+              <div className="ask-answer">
+                <div className="muted">{askResult.question}</div>
+                <p>
+                  {splitCitations(askResult.answer).map((part, i) => {
+                    const source = typeof part === "number" ? askResult.sources.find((s) => s.n === part) : null;
+                    if (typeof part !== "number") return <span key={i}>{part}</span>;
+                    return source ? (
+                      <button
+                        key={i}
+                        className="cite"
+                        onClick={() => openSource(source)}
+                        title={`${source.title}${source.page != null ? ` • p. ${source.page}` : ""}`}
+                      >
+                        {part}
+                      </button>
+                    ) : (
+                      <span key={i}>[{part}]</span>
+                    );
+                  })}
+                </p>
+                {askResult.sources.map((s) => (
+                  <button key={s.n} className="item" style={{ textAlign: "left" }} onClick={() => openSource(s)}>
+                    <div style={{ fontWeight: 950 }}>
+                      [{s.n}] {s.title}
+                      {s.page != null ? ` • p. ${s.page}` : ""}
+                    </div>
+                    <div className="muted">{s.snippet}…</div>
+                  </button>
+                ))}
+              </div>
+            ) : null}
+
+            <div className="row" style={{ marginTop: 8 }}>
+              <span className="muted" style={{ flex: 1 }}>
+                Notes are indexed as you save them.
+              </span>
+              <button onClick={indexAllNotes} disabled={!notes.length || !!busy}>
+                Index all notes
+              </button>
+            </div>
+          </details>
+
+          <details className="details-card">
+            <summary style={{ cursor: "pointer", fontWeight: 950 }}>Export</summary>
+            <div className="row" style={{ marginTop: 8 }}>
+              <select value={exportScopeNow} onChange={(e) => setExportScope(e.target.value)} style={{ flex: 1 }}>
+                <option value="note" disabled={!activeNote}>
+                  This note
+                </option>
+                <option value="folder" disabled={classFilter === "ALL"}>
+                  {classFilter === "ALL" ? "Class folder (pick one above)" : `Class: ${classFilter}`}
+                </option>
+                <option value="all">All notes</option>
+              </select>
+            </div>
+            <div className="row" style={{ marginTop: 8 }}>
+              <button onClick={() => exportNotes("md")}>Markdown{exportScopeNow === "note" ? "" : " (.zip)"}</button>
+              <button onClick={() => exportNotes("html")}>HTML</button>
+              <button onClick={() => exportNotes("print")} title="Opens the print dialog; choose “Save as PDF”">
+                Print / PDF
+              </button>
+            </div>
+          </details>
+
           <div className="row">
             <button className="btn-danger" onClick={deleteNote} disabled={!activeNoteId}>
               Delete
@@ -664,21 +2942,55 @@ export default function App() {
               <button onClick={timestamp} disabled={!activeNoteId}>
                 + Timestamp
               </button>
+              <button
+                className={historyOpen ? "btn-primary" : ""}
+                onClick={() => setHistoryOpen((v) => !v)}
+                disabled={!activeNoteId}
+              >
+                History
+              </button>
 
-              <label className="pill" style={{ cursor: "pointer" }}>
+              <label className="pill" style={{ cursor: "pointer" }} title="PDF, or a JPG/PNG photo to read with OCR">
                 Import PDF
                 <input
                   type="file"
-                  accept="application/pdf"
+                  accept="application/pdf,image/jpeg,image/png"
                   style={{ display: "none" }}
-                  onChange={(e) => importPdf(e.target.files?.[0] || null)}
+                  onChange={(e) => {
+                    importPdf(e.target.files?.[0] || null);
+                    e.target.value = "";
+                  }}
                 />
               </label>
 
-              <button onClick={summarize} disabled={!draftBody.trim()}>
+              <select
+                value={summarySettings.style}
+                onChange={(e) => setSummarySettings((s) => ({ ...s, style: e.target.value }))}
+                title="Summary style"
+                style={{ width: "auto" }}
+              >
+                {SUMMARY_STYLES.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={summarySettings.length}
+                onChange={(e) => setSummarySettings((s) => ({ ...s, length: e.target.value }))}
+                title="Target length"
+                style={{ width: "auto" }}
+              >
+                {SUMMARY_LENGTHS.map((l) => (
+                  <option key={l.id} value={l.id}>
+                    {l.label} (~{l.words} words)
+                  </option>
+                ))}
+              </select>
+              <button onClick={summarize} disabled={!draftBody.trim() || !!aiStream}>
                 Summarize
               </button>
-              <button onClick={makeFlashcards} disabled={!draftBody.trim() || !activeNoteId}>
+              <button onClick={makeFlashcards} disabled={!draftBody.trim() || !activeNoteId || !!aiStream}>
                 Flashcards
               </button>
             </div>
@@ -697,24 +3009,269 @@ export default function App() {
               placeholder="Class / Folder"
               disabled={!activeNoteId}
             />
-            <textarea
-              value={draftBody}
-              onChange={(e) => setDraftBody(e.target.value)}
-              placeholder="Write notes…"
-              disabled={!activeNoteId}
-            />
+            <div className="row" style={{ marginBottom: 10 }}>
+              {[
+                ["edit", "Write"],
+                ["split", "Split"],
+                ["preview", "Preview"],
+              ].map(([v, label]) => (
+                <button
+                  key={v}
+                  className={editorView === v ? "btn-primary" : ""}
+                  onClick={() => setEditorView(v)}
+                >
+                  {label}
+                </button>
+              ))}
+              <span className="muted">Markdown • $math$ • ```code```</span>
+            </div>
+            {importProgress ? (
+              <div className="summary-progress">
+                <progress value={importProgress.done + (importProgress.ocr ? importProgress.fraction : 0)} max={importProgress.total} />
+                <span className="muted">
+                  {importProgress.ocr
+                    ? `OCR page ${importProgress.page} (${importProgress.done + 1}/${importProgress.total}) • ${Math.round(importProgress.fraction * 100)}%`
+                    : `Reading page ${importProgress.page} (${importProgress.done + 1}/${importProgress.total})`}
+                </span>
+              </div>
+            ) : null}
+            {summaryProgress && summaryProgress.total > 1 ? (
+              <div className="summary-progress">
+                <progress value={summaryProgress.done} max={summaryProgress.total} />
+                <span className="muted">
+                  {summaryProgress.stage === "merge"
+                    ? `Merging summaries ${summaryProgress.done}/${summaryProgress.total}`
+                    : `Summarized ${summaryProgress.done}/${summaryProgress.total} parts`}
+                </span>
+              </div>
+            ) : null}
+            {pdfAttachments.length || recordings.length ? (
+              <div className="row" style={{ marginBottom: 10 }}>
+                <span className="muted">Attached:</span>
+                {recordings.map((a) => (
+                  <span key={a.id} className="attachment">
+                    <button
+                      className={playerRecording?.id === a.id ? "btn-primary" : ""}
+                      onClick={() => (playerRecording?.id === a.id ? setAudioView(null) : playRecording(a.id))}
+                      title={a.name}
+                    >
+                      Recording {new Date(a.startedAt).toLocaleString([], { dateStyle: "short", timeStyle: "short" })} •{" "}
+                      {formatOffset(a.duration)}
+                    </button>
+                    <button onClick={() => removeAttachment(a)} title="Remove attachment">
+                      ×
+                    </button>
+                  </span>
+                ))}
+                {pdfAttachments.map((a) => (
+                  <span key={a.id} className="attachment">
+                    <button
+                      className={viewerPdf?.id === a.id ? "btn-primary" : ""}
+                      onClick={() => (viewerPdf?.id === a.id ? setPdfView(null) : openPdfAt(a.id))}
+                      title="Open beside the editor"
+                    >
+                      {a.name}
+                    </button>
+                    <button onClick={() => removeAttachment(a)} title="Remove attachment">
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            ) : null}
+            {playerRecording ? (
+              <AudioPlayer attachment={playerRecording} offset={audioView.offset} onClose={() => setAudioView(null)} />
+            ) : null}
+            <div className={viewerPdf ? "editor-with-pdf" : ""}>
+              <div className={editorView === "split" ? "editor-split" : ""}>
+                {editorView !== "preview" ? (
+                  <textarea
+                    value={draftBody}
+                    onChange={(e) => setDraftBody(e.target.value)}
+                    placeholder="Write notes…"
+                    disabled={!activeNoteId}
+                  />
+                ) : null}
+                {editorView !== "edit" ? (
+                  <div
+                    className="md-preview"
+                    onClick={onPreviewClick}
+                    // Sanitized in lib/markdown.js
+                    dangerouslySetInnerHTML={{ __html: previewHtml }}
+                  />
+                ) : null}
+              </div>
+              {viewerPdf ? (
+                <PdfViewer
+                  attachment={viewerPdf}
+                  page={pdfView.page}
+                  onClose={() => setPdfView(null)}
+                  onQuote={quotePdf}
+                />
+              ) : null}
+            </div>
           </div>
 
+          {pdfImport ? (
+            <div className="details-card">
+              <div className="row" style={{ justifyContent: "space-between" }}>
+                <b>Import {pdfImport.file.name}</b>
+                <span className="muted">
+                  {pdfImport.pages.length} of {pdfImport.numPages} pages
+                </span>
+              </div>
+
+              <div className="row" style={{ marginTop: 8 }}>
+                <input
+                  value={pdfImport.range}
+                  onChange={(e) =>
+                    setPdfImport({
+                      ...pdfImport,
+                      range: e.target.value,
+                      pages: parsePageRange(e.target.value, pdfImport.numPages),
+                    })
+                  }
+                  placeholder="Pages, e.g. 1-5, 8, 10-"
+                  style={{ flex: 1, width: "auto" }}
+                />
+                <button onClick={() => setPdfPages(Array.from({ length: pdfImport.numPages }, (_, i) => i + 1))}>
+                  All
+                </button>
+                <button onClick={() => setPdfPages([])}>None</button>
+              </div>
+
+              <div className="pdf-thumbs">
+                {Array.from({ length: pdfImport.numPages }, (_, i) => i + 1).map((n) => (
+                  <button
+                    key={n}
+                    className={`pdf-thumb ${pdfImport.pages.includes(n) ? "selected" : ""}`}
+                    onClick={() => togglePdfPage(n)}
+                    title={`Page ${n}`}
+                  >
+                    {pdfThumbs[n] ? <img src={pdfThumbs[n]} alt="" /> : <div className="pdf-thumb-blank" />}
+                    <span>{n}</span>
+                  </button>
+                ))}
+              </div>
+
+              <div className="row" style={{ marginTop: 8 }}>
+                <button className="btn-primary" onClick={confirmPdfImport} disabled={!pdfImport.pages.length}>
+                  Import {pdfImport.pages.length === 1 ? "1 page" : `${pdfImport.pages.length} pages`}
+                </button>
+                <button onClick={cancelPdfImport}>Cancel</button>
+              </div>
+            </div>
+          ) : null}
+
+          {conflict && conflict.noteId === activeNoteId ? (
+            <div className="details-card conflict">
+              <b>This note was changed on another device</b>
+              <div className="muted" style={{ marginTop: 6 }}>
+                Saved there {new Date(conflict.theirsAt).toLocaleString()} while you had unsynced edits here.
+                Autosave is paused until you choose; both versions are kept in History.
+              </div>
+
+              <div className="muted" style={{ marginTop: 8 }}>Merged text (every line from both versions):</div>
+              <textarea value={mergeText} onChange={(e) => setMergeText(e.target.value)} style={{ minHeight: 160 }} />
+
+              <div className="row" style={{ marginTop: 8 }}>
+                <button className="btn-primary" onClick={() => resolveConflict("merge")}>
+                  Save merged
+                </button>
+                <button onClick={() => resolveConflict("mine")}>Keep mine</button>
+                <button onClick={() => resolveConflict("theirs")}>Take theirs</button>
+              </div>
+            </div>
+          ) : null}
+
+          {historyOpen && activeNoteId ? (
+            <div className="details-card">
+              <div className="row" style={{ justifyContent: "space-between" }}>
+                <b>History</b>
+                <button onClick={() => setHistoryOpen(false)}>Close</button>
+              </div>
+
+              {revisions.length === 0 ? (
+                <div className="muted" style={{ marginTop: 8 }}>
+                  No snapshots yet. One is kept every few minutes while you edit, and before big changes.
+                </div>
+              ) : (
+                <>
+                  <div className="row" style={{ marginTop: 8 }}>
+                    <select value={diffFrom} onChange={(e) => setDiffFrom(e.target.value)} style={{ flex: 1, width: "auto" }}>
+                      {revisions.map((r) => (
+                        <option key={r.id} value={r.id}>
+                          {new Date(r.at).toLocaleString()} • {r.reason}
+                        </option>
+                      ))}
+                    </select>
+                    <span className="muted">→</span>
+                    <select value={diffTo} onChange={(e) => setDiffTo(e.target.value)} style={{ flex: 1, width: "auto" }}>
+                      <option value="current">Current draft</option>
+                      {revisions.map((r) => (
+                        <option key={r.id} value={r.id}>
+                          {new Date(r.at).toLocaleString()} • {r.reason}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {revisionDiff ? (
+                    <>
+                      <div className="muted" style={{ marginTop: 8 }}>
+                        +{revisionDiff.added} / −{revisionDiff.removed} lines
+                      </div>
+                      <div className="diff">
+                        {revisionDiff.rows.map((r, i) =>
+                          r.type === "skip" ? (
+                            <div key={i} className="diff-line skip">
+                              ⋯ {r.count} unchanged lines
+                            </div>
+                          ) : (
+                            <div key={i} className={`diff-line ${r.type}`}>
+                              {r.type === "add" ? "+ " : r.type === "del" ? "− " : "  "}
+                              {r.text}
+                            </div>
+                          )
+                        )}
+                      </div>
+                    </>
+                  ) : null}
+
+                  <div className="row" style={{ marginTop: 8 }}>
+                    <button
+                      className="btn-primary"
+                      onClick={() => restoreRevision(revisions.find((r) => r.id === diffFrom))}
+                      disabled={!diffFrom}
+                    >
+                      Restore left version
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          ) : null}
+
           <div className="panel-head" style={{ marginTop: 2 }}>
             <b>Transcript</b>
             <div className="row">
-              <span className="pill">
-                {speechSupported ? (isTranscribing ? "LIVE" : "READY") : "UNSUPPORTED"}
+              <span className="pill" title={recording ? "Recording audio to keep with the note" : undefined}>
+                {recording
+                  ? `REC ${formatOffset((recordingNow - recording.startedAt) / 1000)}`
+                  : speechSupported
+                    ? isTranscribing
+                      ? "LIVE"
+                      : "READY"
+                    : "UNSUPPORTED"}
               </span>
-              <button className="btn-ok" onClick={startTranscription} disabled={!speechSupported || isTranscribing}>
+              <button
+                className="btn-ok"
+                onClick={startTranscription}
+                disabled={isTranscribing || (recording ? !speechSupported : !speechSupported && !recordingSupported())}
+              >
                 Start
               </button>
-              <button onClick={stopTranscription} disabled={!speechSupported || !isTranscribing}>
+              <button onClick={stopTranscription} disabled={!isTranscribing && !recording}>
                 Stop
               </button>
               <button onClick={insertTranscriptIntoNote} disabled={!transcript.trim() || !activeNoteId}>
@@ -743,49 +3300,198 @@ export default function App() {
           {/* Calendar */}
           <div className="panel-head">
             <b>Calendar</b>
-            <span className="pill">{monthLabel(calMonth)}</span>
+            <span className="pill">{calendarLabel(calView, calMonth)}</span>
           </div>
 
           <div className="row">
-            <button onClick={() => setCalMonth((d) => addMonths(d, -1))}>◀</button>
+            <button onClick={() => shiftCalendar(-1)}>◀</button>
             <button onClick={() => setCalMonth(new Date())}>Today</button>
-            <button onClick={() => setCalMonth((d) => addMonths(d, +1))}>▶</button>
+            <button onClick={() => shiftCalendar(+1)}>▶</button>
+            <div className="spacer" />
+            {[
+              ["month", "Month"],
+              ["week", "Week"],
+              ["agenda", "Agenda"],
+            ].map(([v, label]) => (
+              <button key={v} className={calView === v ? "btn-primary" : ""} onClick={() => setCalView(v)}>
+                {label}
+              </button>
+            ))}
           </div>
 
-          <div className="cal-grid">
-            {["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].map((d) => (
-              <div key={d} className="cal-dow">
-                {d}
+          {calView === "agenda" ? (
+            <div className="list">
+              {buildAgendaDays(calMonth).map((d) => {
+                const key = ymd(d);
+                const due = tasksByDate.get(key) || [];
+                const study = blocksByDate.get(key) || [];
+                if (due.length === 0 && study.length === 0) return null;
+                return (
+                  <div key={key}>
+                    <div className="muted" style={{ fontWeight: 950, margin: "6px 0" }}>
+                      {key === today ? "Today • " : ""}
+                      {d.toLocaleDateString(undefined, { weekday: "long", month: "short", day: "numeric" })}
+                    </div>
+                    <div className="list">
+                      {due.map(renderTask)}
+                      {study.map(renderBlock)}
+                    </div>
+                  </div>
+                );
+              })}
+              {buildAgendaDays(calMonth).every((d) => !tasksByDate.has(ymd(d)) && !blocksByDate.has(ymd(d))) ? (
+                <div className="muted">Nothing due in these {AGENDA_DAYS} days.</div>
+              ) : null}
+            </div>
+          ) : (
+            <div className="cal-grid">
+              {["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].map((d) => (
+                <div key={d} className="cal-dow">
+                  {d}
+                </div>
+              ))}
+
+              {calendarDays(calView, calMonth).map((d) => {
+                const key = ymd(d);
+                const due = tasksByDate.get(key) || [];
+                const study = blocksByDate.get(key) || [];
+                const isThisMonth = calView === "week" || d.getMonth() === calMonth.getMonth();
+                const isSelected = selectedDay === key;
+
+                const hasUndone = due.some((t) => !t.done);
+                const hasAny = due.length > 0;
+
+                return (
+                  <div
+                    key={key}
+                    className={`cal-day ${calView === "week" ? "week" : ""} ${isSelected ? "active" : ""}`}
+                    onClick={() => pickDay(key)}
+                    style={{ opacity: isThisMonth ? 1 : 0.38 }}
+                    title={key}
+                  >
+                    <div className="cal-date">{d.getDate()}</div>
+                    {hasAny ? <div className={`cal-dot ${hasUndone ? "warn" : "ok"}`} /> : null}
+                    {calView === "week" ? (
+                      due.map((t) => (
+                        <div
+                          key={t.occurrence ? `${t.id}:${t.occurrence}` : t.id}
+                          className={`cal-task prio-${t.priority || "medium"} ${t.done ? "done" : ""}`}
+                          title={t.title}
+                        >
+                          {t.dueTime ? `${t.dueTime} ` : ""}
+                          {t.title}
+                        </div>
+                      ))
+                    ) : (
+                      <div className="cal-meta">
+                        {[hasAny ? `${due.length} due` : "", study.length ? `${study.length} study` : ""]
+                          .filter(Boolean)
+                          .join(" • ")}
+                      </div>
+                    )}
+                    {calView === "week"
+                      ? study.map((b) => (
+                          <div key={b.id} className={`cal-task study ${b.done ? "done" : ""}`} title={b.title}>
+                            📚 {formatEstimate(b.minutes)} {b.className || b.title}
+                          </div>
+                        ))
+                      : null}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {selectedDay ? (
+            <div className="details-card">
+              <div className="row" style={{ justifyContent: "space-between" }}>
+                <b>
+                  {new Date(`${selectedDay}T00:00:00`).toLocaleDateString(undefined, {
+                    weekday: "long",
+                    month: "long",
+                    day: "numeric",
+                  })}
+                </b>
+                <button onClick={() => setSelectedDay(null)}>Close</button>
               </div>
-            ))}
+              <div className="list" style={{ marginTop: 8 }}>
+                {selectedDayTasks.map(renderTask)}
+                {(blocksByDate.get(selectedDay) || []).map(renderBlock)}
+                {selectedDayTasks.length === 0 && !blocksByDate.has(selectedDay) ? (
+                  <div className="muted">Nothing due. Add one below.</div>
+                ) : null}
+              </div>
+            </div>
+          ) : null}
+
+          {/* Study plan */}
+          <div className="panel-head" style={{ marginTop: 6 }}>
+            <b>Study plan</b>
+            {plannerSettings.enabled ? (
+              <span className="pill">
+                {formatEstimate((blocksByDate.get(today) || []).filter((b) => !b.done).reduce((m, b) => m + b.minutes, 0)) ||
+                  "Nothing"}{" "}
+                left today
+              </span>
+            ) : null}
+          </div>
 
-            {buildMonthGrid(calMonth).map((d) => {
-              const key = ymd(d);
-              const due = tasksByDate.get(key) || [];
-              const isThisMonth = d.getMonth() === calMonth.getMonth();
-              const isSelected = selectedDay === key;
+          <details className="details-card">
+            <summary style={{ cursor: "pointer", fontWeight: 950 }}>Daily availability</summary>
+            <div className="avail-grid" style={{ marginTop: 8 }}>
+              {WEEKDAYS.map((d, i) => (
+                <label key={d} className="muted">
+                  {d}
+                  <input
+                    type="number"
+                    min={0}
+                    step={15}
+                    value={plannerSettings.availability[i]}
+                    onChange={(e) => setAvailability(i, e.target.value)}
+                  />
+                </label>
+              ))}
+            </div>
+            <div className="muted" style={{ marginTop: 6 }}>Minutes you can study each day.</div>
+          </details>
 
-              const hasUndone = due.some((t) => !t.done);
-              const hasAny = due.length > 0;
+          <div className="row">
+            <button className="btn-primary" onClick={() => planStudyBlocks()}>
+              {plannerSettings.enabled ? "Replan" : "Plan my study time"}
+            </button>
+            {plannerSettings.enabled ? (
+              <button onClick={() => setPlannerSettings((s) => ({ ...s, enabled: false }))} title="Stop automatic replanning">
+                Pause
+              </button>
+            ) : null}
+            <span className="muted">
+              {plannerSettings.enabled ? "Replans daily and after missed blocks." : "Uses tasks, note length and due cards."}
+            </span>
+          </div>
 
-              return (
-                <div
-                  key={key}
-                  className={`cal-day ${isSelected ? "active" : ""}`}
-                  onClick={() => {
-                    setSelectedDay(key);
-                    setTaskDue(key);
-                  }}
-                  style={{ opacity: isThisMonth ? 1 : 0.38 }}
-                  title={key}
-                >
-                  <div className="cal-date">{d.getDate()}</div>
-                  {hasAny ? <div className={`cal-dot ${hasUndone ? "warn" : "ok"}`} /> : null}
-                  <div className="cal-meta">{hasAny ? `${due.length} due` : ""}</div>
+          {unscheduled.length ? (
+            <div className="details-card conflict">
+              <b>Not enough time before these deadlines</b>
+              {unscheduled.map((u, i) => (
+                <div key={i} className="muted">
+                  {u.title} • {formatEstimate(u.minutes)} short • due {u.deadline}
                 </div>
-              );
-            })}
-          </div>
+              ))}
+            </div>
+          ) : null}
+
+          {plannerSettings.enabled ? (
+            <div className="list">
+              {studyBlocks
+                .filter((b) => b.date === today || (!b.done && b.date > today && b.date <= ymd(addDaysTo(new Date(), 2))))
+                .map((b) => (
+                  <div key={b.id}>
+                    {b.date !== today ? <div className="muted">{b.date}</div> : null}
+                    {renderBlock(b)}
+                  </div>
+                ))}
+            </div>
+          ) : null}
 
           {/* Tasks */}
           <div className="panel-head" style={{ marginTop: 6 }}>
@@ -796,37 +3502,187 @@ export default function App() {
           <div>
             <input value={taskTitle} onChange={(e) => setTaskTitle(e.target.value)} placeholder="Assignment" />
             <input value={taskClass} onChange={(e) => setTaskClass(e.target.value)} placeholder="Class (optional)" />
-            <input type="date" value={taskDue} onChange={(e) => setTaskDue(e.target.value)} />
+            <div className="row">
+              <input type="date" value={taskDue} onChange={(e) => setTaskDue(e.target.value)} style={{ flex: 2 }} />
+              <input
+                type="time"
+                value={taskTime}
+                onChange={(e) => setTaskTime(e.target.value)}
+                title="Due time (optional)"
+                style={{ flex: 1 }}
+              />
+            </div>
+            <div className="row">
+              <select value={taskPriority} onChange={(e) => setTaskPriority(e.target.value)} style={{ flex: 1 }}>
+                {PRIORITIES.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.label} priority
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min={0}
+                step={15}
+                value={taskEstimate}
+                onChange={(e) => setTaskEstimate(e.target.value)}
+                placeholder="Estimate (min)"
+                style={{ flex: 1 }}
+              />
+            </div>
+            <select value={taskReminder} onChange={(e) => setTaskReminder(e.target.value)} title="Reminder for this task">
+              <option value="default">🔔 Default reminders</option>
+              <option value="none">🔕 No reminder</option>
+              {REMINDER_OFFSETS.map((o) => (
+                <option key={o.minutes} value={o.minutes}>
+                  🔔 {o.label}
+                </option>
+              ))}
+            </select>
+            <div className="row">
+              <select value={repeatFreq} onChange={(e) => setRepeatFreq(e.target.value)} style={{ flex: 1 }}>
+                <option value="">Doesn’t repeat</option>
+                <option value="daily">Daily</option>
+                <option value="weekly">Weekly</option>
+                <option value="monthly">Monthly</option>
+              </select>
+              {repeatFreq ? (
+                <label className="muted" title="Repeat every N days / weeks / months">
+                  every{" "}
+                  <input
+                    type="number"
+                    min={1}
+                    value={repeatInterval}
+                    onChange={(e) => setRepeatInterval(e.target.value)}
+                    style={{ width: 60 }}
+                  />
+                </label>
+              ) : null}
+            </div>
+            {repeatFreq === "weekly" ? (
+              <div className="row" title="Leave all off to repeat on the due date’s weekday">
+                {WEEKDAYS.map((d, i) => (
+                  <button
+                    key={d}
+                    className={repeatDays.includes(i) ? "btn-primary" : ""}
+                    onClick={() =>
+                      setRepeatDays((days) => (days.includes(i) ? days.filter((x) => x !== i) : [...days, i]))
+                    }
+                  >
+                    {d}
+                  </button>
+                ))}
+              </div>
+            ) : null}
+            {repeatFreq ? (
+              <div className="row">
+                <select value={repeatEnd} onChange={(e) => setRepeatEnd(e.target.value)} style={{ flex: 1 }}>
+                  <option value="never">No end</option>
+                  <option value="until">Until date</option>
+                  <option value="count">Number of times</option>
+                </select>
+                {repeatEnd === "until" ? (
+                  <input type="date" value={repeatUntil} onChange={(e) => setRepeatUntil(e.target.value)} style={{ flex: 1 }} />
+                ) : null}
+                {repeatEnd === "count" ? (
+                  <input
+                    type="number"
+                    min={1}
+                    value={repeatCount}
+                    onChange={(e) => setRepeatCount(e.target.value)}
+                    style={{ width: 80 }}
+                  />
+                ) : null}
+              </div>
+            ) : null}
             <button className="btn-primary" onClick={addTask}>
               Add
             </button>
           </div>
 
+          <details className="details-card">
+            <summary style={{ cursor: "pointer", fontWeight: 950 }}>Calendar file (.ics)</summary>
+            <div className="row" style={{ marginTop: 8 }}>
+              <select value={icsClass} onChange={(e) => setIcsClass(e.target.value)} style={{ flex: 1 }}>
+                <option value="ALL">All classes</option>
+                {taskClasses.map((c) => (
+                  <option key={c} value={c}>
+                    {c}
+                  </option>
+                ))}
+              </select>
+              <select value={icsKind} onChange={(e) => setIcsKind(e.target.value)} style={{ flex: 1 }}>
+                <option value="VTODO">As to-dos (VTODO)</option>
+                <option value="VEVENT">As all-day events (VEVENT)</option>
+              </select>
+            </div>
+            <div className="row" style={{ marginTop: 8 }}>
+              <button onClick={exportIcs}>Export .ics</button>
+              <label className="pill" style={{ cursor: "pointer" }} title="Entries without a class get the class picked above">
+                Import .ics
+                <input
+                  type="file"
+                  accept=".ics,text/calendar"
+                  style={{ display: "none" }}
+                  onChange={(e) => {
+                    importIcs(e.target.files?.[0] || null);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+            </div>
+          </details>
+
           <div className="list">
-            {tasks.map((t) => (
-              <div key={t.id} className="details-card">
-                <div className="row">
-                  <button className={t.done ? "btn-ok" : ""} onClick={() => toggleTask(t)}>
-                    {t.done ? "✅ Done" : "⬜ Not done"}
-                  </button>
-                  <div className="spacer" />
-                  <button className="btn-danger" onClick={() => deleteTask(t)}>
-                    Del
-                  </button>
+            {[
+              ["overdue", "Overdue"],
+              ["today", "Today"],
+              ["week", "This week"],
+              ["later", "Later"],
+            ].map(([k, label]) =>
+              taskGroups[k].length ? (
+                <div key={k} className="list">
+                  <div className={`muted task-group ${k}`}>
+                    {label} ({taskGroups[k].length})
+                    {taskGroups[k].some((t) => t.estimate)
+                      ? ` • ⏱ ${formatEstimate(taskGroups[k].reduce((sum, t) => sum + (Number(t.estimate) || 0), 0))}`
+                      : ""}
+                  </div>
+                  {taskGroups[k].map(renderTask)}
                 </div>
-                <div style={{ fontWeight: 950, marginTop: 10 }}>{t.title}</div>
-                <div className="muted">
-                  {t.className || "—"} • {t.due}
+              ) : null
+            )}
+            {taskGroups.done.length ? (
+              <details>
+                <summary className="muted" style={{ cursor: "pointer" }}>
+                  Done ({taskGroups.done.length})
+                </summary>
+                <div className="list" style={{ marginTop: 8 }}>
+                  {taskGroups.done.map(renderTask)}
                 </div>
-              </div>
-            ))}
+              </details>
+            ) : null}
             {tasks.length === 0 ? <div className="muted">No assignments yet.</div> : null}
           </div>
 
           {/* Flashcards */}
           <div className="panel-head" style={{ marginTop: 2 }}>
             <b>Flashcards</b>
-            <span className="pill">{cards.length} total</span>
+            <span className="pill">
+              {dueCount} due • {deckCards.length} total
+            </span>
+          </div>
+
+          <div className="row">
+            <select value={deckFilter} onChange={(e) => setDeckFilter(e.target.value)}>
+              <option value="ALL">All decks</option>
+              <option value="">Unsorted</option>
+              {deckNames.map((d) => (
+                <option key={d} value={d}>
+                  {d}
+                </option>
+              ))}
+            </select>
           </div>
 
           <div className="row">
@@ -839,9 +3695,28 @@ export default function App() {
               />
               Only this note
             </label>
+            <label className="pill" style={{ cursor: "pointer" }}>
+              <input
+                type="checkbox"
+                checked={studyDueOnly}
+                onChange={(e) => setStudyDueOnly(e.target.checked)}
+                style={{ marginRight: 8 }}
+              />
+              Due today
+            </label>
             <button className="btn-primary" onClick={startStudy}>
               Study
             </button>
+            <select
+              value={quizType}
+              onChange={(e) => setQuizType(e.target.value)}
+              disabled={quizMode}
+              style={{ width: "auto" }}
+            >
+              <option value="choice">Multiple choice</option>
+              <option value="typed">Typed answer</option>
+            </select>
+            <button onClick={startQuiz}>Quiz</button>
           </div>
 
           {studyMode ? (
@@ -854,7 +3729,8 @@ export default function App() {
               </div>
 
               <div className="muted" style={{ marginTop: 8 }}>
-                Card {studyIndex + 1} of {studyDeck.length} • Tap to flip
+                {studyQueue.length} left
+                {studyCard?.lapses ? ` • ${studyCard.lapses} lapses` : ""} • Tap to flip
               </div>
 
               <div
@@ -867,7 +3743,7 @@ export default function App() {
                   <div className="flip-face">
                     <div className="study-label">Question</div>
                     <div style={{ whiteSpace: "pre-wrap" }}>
-                      {studyDeck[studyIndex]?.question || ""}
+                      {studyCard?.question || ""}
                     </div>
                     <div className="muted" style={{ marginTop: 10 }}>
                       Tap to flip
@@ -877,7 +3753,7 @@ export default function App() {
                   <div className="flip-face flip-back">
                     <div className="study-label">Answer</div>
                     <div style={{ whiteSpace: "pre-wrap" }}>
-                      {studyDeck[studyIndex]?.answer || ""}
+                      {studyCard?.answer || ""}
                     </div>
                     <div className="muted" style={{ marginTop: 10 }}>
                       Tap to flip
@@ -887,40 +3763,356 @@ export default function App() {
               </div>
 
               <div className="row" style={{ marginTop: 10 }}>
-                <button onClick={prevCard} disabled={studyIndex === 0}>
-                  ← Prev
-                </button>
                 <button onClick={() => setStudyFlipped((v) => !v)}>
                   {studyFlipped ? "Show Q" : "Show A"}
                 </button>
-                <button
-                  onClick={() => {
-                    if (studyIndex >= studyDeck.length - 1) {
-                      alert("Done! 🎉");
-                      stopStudy();
-                      return;
-                    }
-                    nextCard();
-                  }}
-                  disabled={studyDeck.length === 0}
-                >
-                  Next →
+              </div>
+
+              {studyFlipped && studyCard ? (
+                <div className="row" style={{ marginTop: 10 }}>
+                  {GRADES.map((g) => (
+                    <button key={g.id} className={g.className} onClick={() => gradeCard(g.id)}>
+                      {g.label} <span className="muted">{previewInterval(studyCard, g.id)}</span>
+                    </button>
+                  ))}
+                </div>
+              ) : null}
+            </div>
+          ) : quizMode ? (
+            <div className="details-card" style={{ marginTop: 10 }}>
+              <div className="row" style={{ justifyContent: "space-between" }}>
+                <b>Quiz</b>
+                <button className="btn-danger" onClick={stopQuiz}>
+                  Exit
                 </button>
               </div>
+
+              <div className="muted" style={{ marginTop: 8 }}>
+                Question {quizPos + 1} of {quizQueue.length} • {quizTally.right} / {quizTally.total} correct
+              </div>
+
+              <div className="study-card" style={{ marginTop: 10 }}>
+                <div className="study-label">Question</div>
+                <div style={{ whiteSpace: "pre-wrap" }}>{quizCard?.question || ""}</div>
+              </div>
+
+              {quizType === "choice" ? (
+                <div className="list" style={{ marginTop: 10 }}>
+                  {quizLoading && !quizChoices ? <div className="muted">Generating choices…</div> : null}
+                  {quizChoicesError && !quizLoading ? (
+                    <>
+                      <div className="muted">{quizChoicesError}</div>
+                      <div className="row">
+                        <button onClick={() => quizCard && loadQuizChoices(quizCard)}>Retry</button>
+                        <button onClick={nextQuizCard}>Skip →</button>
+                      </div>
+                    </>
+                  ) : null}
+                  {(quizChoices?.choices || []).map((choice, i) => {
+                    const reveal = !!quizResult;
+                    const isRight = i === quizChoices.correctIndex;
+                    const cls = reveal ? (isRight ? "btn-ok" : quizResult.picked === i ? "btn-danger" : "") : "";
+                    return (
+                      <button
+                        key={i}
+                        className={cls}
+                        onClick={() => pickQuizChoice(i)}
+                        disabled={reveal && !isRight && quizResult.picked !== i}
+                        style={{ textAlign: "left", whiteSpace: "pre-wrap" }}
+                      >
+                        {choice}
+                      </button>
+                    );
+                  })}
+                </div>
+              ) : (
+                <div style={{ marginTop: 10 }}>
+                  <textarea
+                    value={quizResponse}
+                    onChange={(e) => setQuizResponse(e.target.value)}
+                    placeholder="Type your answer…"
+                    style={{ minHeight: 90 }}
+                    disabled={!!quizResult}
+                  />
+                  <button
+                    className="btn-primary"
+                    onClick={submitQuizAnswer}
+                    disabled={!quizResponse.trim() || !!quizResult || quizLoading}
+                  >
+                    {quizLoading ? "Grading…" : "Check"}
+                  </button>
+                </div>
+              )}
+
+              {quizResult ? (
+                <div className="details-card" style={{ marginTop: 10 }}>
+                  <b>{quizResult.correct ? "✅ Correct" : "❌ Not quite"}</b>
+                  {quizType === "typed" ? <span className="muted"> • {quizResult.score}/100</span> : null}
+                  {quizResult.explanation ? (
+                    <div style={{ marginTop: 8, whiteSpace: "pre-wrap" }}>{quizResult.explanation}</div>
+                  ) : null}
+                  {quizType === "typed" ? (
+                    <div className="muted" style={{ marginTop: 8, whiteSpace: "pre-wrap" }}>
+                      Reference: {quizCard?.answer}
+                    </div>
+                  ) : null}
+                  <div className="row" style={{ marginTop: 10 }}>
+                    <button className="btn-primary" onClick={nextQuizCard}>
+                      Next →
+                    </button>
+                  </div>
+                </div>
+              ) : null}
             </div>
           ) : (
-            <div className="list">
-              {cards.slice(0, 20).map((c) => (
-                <details key={c.id} className="details-card">
+            <>
+              {mostMissed.length ? (
+                <details className="details-card">
                   <summary style={{ cursor: "pointer", fontWeight: 950 }}>
-                    {c.question}
-                    {c.noteTitle ? <div className="muted">from: {c.noteTitle}</div> : null}
+                    Most missed ({mostMissed.length})
                   </summary>
-                  <div style={{ marginTop: 8 }}>{c.answer}</div>
+                  <div className="list" style={{ marginTop: 8 }}>
+                    {mostMissed.map((c) => (
+                      <div key={c.id}>
+                        <div style={{ fontWeight: 950 }}>{c.question}</div>
+                        <div className="muted">
+                          missed {c.quizMisses} of {c.quizAttempts || c.quizMisses}
+                          {c.deck ? ` • ${c.deck}` : ""}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
                 </details>
-              ))}
-              {cards.length === 0 ? <div className="muted">No flashcards yet.</div> : null}
-            </div>
+              ) : null}
+
+              <details className="details-card">
+                <summary style={{ cursor: "pointer", fontWeight: 950 }}>+ New card</summary>
+                <div style={{ marginTop: 8 }}>
+                  <textarea
+                    value={cardQuestion}
+                    onChange={(e) => setCardQuestion(e.target.value)}
+                    placeholder="Question"
+                    style={{ minHeight: 70 }}
+                  />
+                  <textarea
+                    value={cardAnswer}
+                    onChange={(e) => setCardAnswer(e.target.value)}
+                    placeholder="Answer"
+                    style={{ minHeight: 70 }}
+                  />
+                  <input
+                    value={cardDeck}
+                    onChange={(e) => setCardDeck(e.target.value)}
+                    placeholder="Deck (optional)"
+                    list="deck-names"
+                  />
+                  <button className="btn-primary" onClick={addCard}>
+                    Add card
+                  </button>
+                </div>
+              </details>
+
+              <details className="details-card">
+                <summary style={{ cursor: "pointer", fontWeight: 950 }}>Import / Export</summary>
+
+                {importTable ? (
+                  <div style={{ marginTop: 8 }}>
+                    <div className="muted">
+                      {importSource.name} • {importTable.rows.length} rows
+                    </div>
+
+                    {!importSource.headers ? (
+                      <label className="pill" style={{ cursor: "pointer", marginTop: 8 }}>
+                        <input
+                          type="checkbox"
+                          checked={importHasHeader}
+                          onChange={(e) => setImportHasHeader(e.target.checked)}
+                          style={{ marginRight: 8 }}
+                        />
+                        First row is a header
+                      </label>
+                    ) : null}
+
+                    {[
+                      ["question", "Question"],
+                      ["answer", "Answer"],
+                      ["deck", "Deck"],
+                    ].map(([key, label]) => (
+                      <div key={key} className="row" style={{ marginTop: 8 }}>
+                        <span className="muted" style={{ width: 70 }}>
+                          {label}
+                        </span>
+                        <select
+                          value={importMap[key]}
+                          onChange={(e) =>
+                            setImportMap((m) => ({ ...m, [key]: Number(e.target.value) }))
+                          }
+                          style={{ flex: 1, width: "auto" }}
+                        >
+                          {key === "deck" ? <option value={-1}>— none —</option> : null}
+                          {importTable.headers.map((h, i) => (
+                            <option key={i} value={i}>
+                              {h}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+
+                    <input
+                      value={importDeck}
+                      onChange={(e) => setImportDeck(e.target.value)}
+                      placeholder="Deck for rows without one (optional)"
+                      list="deck-names"
+                    />
+                    <select value={importNoteId} onChange={(e) => setImportNoteId(e.target.value)}>
+                      <option value="">Not linked to a note</option>
+                      {notes.map((n) => (
+                        <option key={n.id} value={n.id}>
+                          {n.title || "Untitled"}
+                        </option>
+                      ))}
+                    </select>
+
+                    <div className="list" style={{ marginTop: 8 }}>
+                      {importTable.rows.slice(0, 5).map((r, i) => (
+                        <div key={i} className="details-card">
+                          <div style={{ fontWeight: 950 }}>{r[importMap.question] || "—"}</div>
+                          <div className="muted">{r[importMap.answer] || "—"}</div>
+                          <div className="muted">
+                            {(importMap.deck >= 0 && r[importMap.deck]) || importDeck || "Unsorted"}
+                            {importTable.schedules?.[i]?.interval != null
+                              ? ` • ${importTable.schedules[i].interval}d interval`
+                              : ""}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+
+                    <div className="row" style={{ marginTop: 8 }}>
+                      <button className="btn-primary" onClick={importCards}>
+                        Import {importTable.rows.length}
+                      </button>
+                      <button onClick={cancelImport}>Cancel</button>
+                    </div>
+                  </div>
+                ) : (
+                  <div style={{ marginTop: 8 }}>
+                    <textarea
+                      value={importPaste}
+                      onChange={(e) => setImportPaste(e.target.value)}
+                      placeholder={"Paste Quizlet / CSV / TSV\nterm<TAB>definition"}
+                      style={{ minHeight: 90 }}
+                    />
+                    <div className="row">
+                      <button onClick={readImportPaste} disabled={!importPaste.trim()}>
+                        Preview paste
+                      </button>
+                      <label className="pill" style={{ cursor: "pointer" }}>
+                        Open file
+                        <input
+                          type="file"
+                          accept=".csv,.tsv,.txt,.apkg"
+                          style={{ display: "none" }}
+                          onChange={(e) => {
+                            readImportFile(e.target.files?.[0] || null);
+                            e.target.value = "";
+                          }}
+                        />
+                      </label>
+                    </div>
+                    <div className="row" style={{ marginTop: 8 }}>
+                      <span className="muted">Export {deckCards.length}:</span>
+                      <button onClick={() => exportCards("csv")}>CSV</button>
+                      <button onClick={() => exportCards("tsv")}>TSV</button>
+                      <button onClick={() => exportCards("apkg")}>Anki</button>
+                    </div>
+                  </div>
+                )}
+              </details>
+
+              <datalist id="deck-names">
+                {deckNames.map((d) => (
+                  <option key={d} value={d} />
+                ))}
+              </datalist>
+
+              <div className="list">
+                {deckCards.slice(0, cardLimit).map((c) =>
+                  editingCardId === c.id ? (
+                    <div key={c.id} className="details-card">
+                      <textarea
+                        value={editQuestion}
+                        onChange={(e) => setEditQuestion(e.target.value)}
+                        placeholder="Question"
+                        style={{ minHeight: 70 }}
+                      />
+                      <textarea
+                        value={editAnswer}
+                        onChange={(e) => setEditAnswer(e.target.value)}
+                        placeholder="Answer"
+                        style={{ minHeight: 70 }}
+                      />
+                      <input
+                        value={editDeck}
+                        onChange={(e) => setEditDeck(e.target.value)}
+                        placeholder="Deck"
+                        list="deck-names"
+                      />
+                      <div className="row">
+                        <button className="btn-primary" onClick={saveCardEdit}>
+                          Save
+                        </button>
+                        <button onClick={() => setEditingCardId(null)}>Cancel</button>
+                      </div>
+                    </div>
+                  ) : (
+                    <details
+                      key={c.id}
+                      className="details-card"
+                      style={{ opacity: c.suspended ? 0.55 : 1 }}
+                    >
+                      <summary style={{ cursor: "pointer", fontWeight: 950 }}>
+                        {c.suspended ? "⏸ " : ""}
+                        {c.question}
+                        <div className="muted">
+                          {c.deck || "Unsorted"}
+                          {c.noteTitle ? ` • from: ${c.noteTitle}` : ""}
+                        </div>
+                      </summary>
+                      <div style={{ marginTop: 8, whiteSpace: "pre-wrap" }}>{c.answer}</div>
+                      <div className="row" style={{ marginTop: 10 }}>
+                        <button onClick={() => startEditCard(c)}>Edit</button>
+                        <button className={c.suspended ? "btn-ok" : ""} onClick={() => toggleSuspend(c)}>
+                          {c.suspended ? "Unsuspend" : "Suspend"}
+                        </button>
+                        <button className="btn-danger" onClick={() => deleteCard(c)}>
+                          Del
+                        </button>
+                        <select
+                          value={c.deck || ""}
+                          onChange={(e) => moveCard(c, e.target.value)}
+                          title="Move to deck"
+                        >
+                          <option value="">Unsorted</option>
+                          {deckNames.map((d) => (
+                            <option key={d} value={d}>
+                              {d}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    </details>
+                  )
+                )}
+                {deckCards.length > cardLimit ? (
+                  <button onClick={() => setCardLimit((n) => n + 20)}>
+                    Show more ({deckCards.length - cardLimit})
+                  </button>
+                ) : null}
+                {deckCards.length === 0 ? <div className="muted">No flashcards yet.</div> : null}
+              </div>
+            </>
           )}
         </section>
       </div>
@@ -1,11 +1,20 @@
 import { initializeApp } from "firebase/app";
-import { getAuth, GoogleAuthProvider } from "firebase/auth";
-import { getFirestore } from "firebase/firestore";
+import { connectAuthEmulator, getAuth, GoogleAuthProvider } from "firebase/auth";
+import {
+  connectFirestoreEmulator,
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+} from "firebase/firestore";
+import { getMessaging, isSupported } from "firebase/messaging";
+import { connectStorageEmulator, getStorage } from "firebase/storage";
 
 const firebaseConfig = {
   apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
   authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
   projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
   appId: import.meta.env.VITE_FIREBASE_APP_ID,
 };
 
@@ -13,4 +22,32 @@ const app = initializeApp(firebaseConfig);
 
 export const auth = getAuth(app);
 export const provider = new GoogleAuthProvider();
-export const db = getFirestore(app);
\ No newline at end of file
+
+// Offline-first: reads and writes go through an IndexedDB cache shared by every open tab,
+// and queued writes sync when the connection comes back.
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+});
+
+// Attachments (original PDFs of imports)
+export const storage = getStorage(app);
+
+// Web Push for reminders (lib/push.js); resolves to null where the browser can't receive it
+export const messaging = isSupported()
+  .then((ok) => (ok ? getMessaging(app) : null))
+  .catch(() => null);
+
+// Local emulators (see README): VITE_FIRESTORE_EMULATOR_HOST=127.0.0.1:8080,
+// VITE_AUTH_EMULATOR_URL=http://127.0.0.1:9099 and VITE_STORAGE_EMULATOR_HOST=127.0.0.1:9199
+// in .env.local
+if (import.meta.env.VITE_FIRESTORE_EMULATOR_HOST) {
+  const [host, port] = import.meta.env.VITE_FIRESTORE_EMULATOR_HOST.split(":");
+  connectFirestoreEmulator(db, host, Number(port));
+}
+if (import.meta.env.VITE_AUTH_EMULATOR_URL) {
+  connectAuthEmulator(auth, import.meta.env.VITE_AUTH_EMULATOR_URL, { disableWarnings: true });
+}
+if (import.meta.env.VITE_STORAGE_EMULATOR_HOST) {
+  const [host, port] = import.meta.env.VITE_STORAGE_EMULATOR_HOST.split(":");
+  connectStorageEmulator(storage, host, Number(port));
+}
@@ -0,0 +1,86 @@
+// Task views: occurrences in a date range, sorting, and the Overdue / Today / This week
+// grouping of the Due Dates panel. Entries are task objects with `due` set to the
+// occurrence date (plus `occurrence` for repeating tasks), so one-off and repeating
+// tasks render and toggle the same way.
+import { addDays, isRecurring, nextOpenOccurrence, occurrencesBetween } from "./recurrence.js";
+
+export const PRIORITIES = [
+  { id: "high", label: "High" },
+  { id: "medium", label: "Medium" },
+  { id: "low", label: "Low" },
+];
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+// Missed occurrences of repeating tasks stay listed as overdue this long
+const OVERDUE_LOOKBACK_DAYS = 14;
+
+function entry(task, o) {
+  return isRecurring(task) ? { ...task, due: o.date, done: o.done, occurrence: o.date } : task;
+}
+
+// By date, then due time (untimed last), then priority, then title
+export function compareEntries(a, b) {
+  if (a.due !== b.due) return a.due < b.due ? -1 : 1;
+  const at = a.dueTime || "99:99";
+  const bt = b.dueTime || "99:99";
+  if (at !== bt) return at < bt ? -1 : 1;
+  const ap = PRIORITY_RANK[a.priority] ?? 1;
+  const bp = PRIORITY_RANK[b.priority] ?? 1;
+  if (ap !== bp) return ap - bp;
+  return String(a.title || "").localeCompare(String(b.title || ""));
+}
+
+export function expandTasks(tasks, from, to) {
+  const out = [];
+  for (const t of tasks) {
+    if (!t?.due) continue;
+    for (const o of occurrencesBetween(t, from, to)) out.push(entry(t, o));
+  }
+  return out.sort(compareEntries);
+}
+
+// today: "YYYY-MM-DD"; weeks run Sunday to Saturday like the calendar grid.
+export function groupTasks(tasks, today) {
+  const dow = new Date(`${today}T00:00:00`).getDay();
+  const weekEnd = addDays(today, 6 - dow);
+  const groups = { overdue: [], today: [], week: [], later: [], done: [] };
+
+  for (const t of tasks) {
+    if (!t?.due) continue;
+
+    if (!isRecurring(t)) {
+      if (t.done) groups.done.push(t);
+      else if (t.due < today) groups.overdue.push(t);
+      else if (t.due === today) groups.today.push(t);
+      else if (t.due <= weekEnd) groups.week.push(t);
+      else groups.later.push(t);
+      continue;
+    }
+
+    const open = occurrencesBetween(t, addDays(today, -OVERDUE_LOOKBACK_DAYS), weekEnd).filter((o) => !o.done);
+    for (const o of open) {
+      const e = entry(t, o);
+      if (o.date < today) groups.overdue.push(e);
+      else if (o.date === today) groups.today.push(e);
+      else groups.week.push(e);
+    }
+    if (open.length === 0) {
+      const next = nextOpenOccurrence(t, addDays(weekEnd, 1));
+      if (next) groups.later.push(entry(t, { date: next, done: false }));
+      // A finished series (no `occurrence`) is listed once under Done
+      else groups.done.push(t);
+    }
+  }
+
+  for (const k of ["overdue", "today", "week", "later"]) groups[k].sort(compareEntries);
+  groups.done.sort((a, b) => compareEntries(b, a));
+  return groups;
+}
+
+// 90 -> "1h 30m"
+export function formatEstimate(minutes) {
+  const m = Math.round(Number(minutes) || 0);
+  if (m <= 0) return "";
+  const h = Math.floor(m / 60);
+  return h ? `${h}h${m % 60 ? ` ${m % 60}m` : ""}` : `${m}m`;
+}
@@ -0,0 +1,355 @@
+// Anki .apkg read/write. An .apkg is a zip holding a SQLite collection
+// (collection.anki21 or collection.anki2, schema 11) plus a "media" map.
+import JSZip from "jszip";
+import initSqlJs from "sql.js";
+import sqlWasmUrl from "sql.js/dist/sql-wasm-browser.wasm?url";
+
+const DAY_SEC = 24 * 60 * 60;
+const FIELD_SEP = "\x1f";
+
+let sqlPromise = null;
+function getSql() {
+  if (!sqlPromise) sqlPromise = initSqlJs({ locateFile: () => sqlWasmUrl });
+  return sqlPromise;
+}
+
+function rowsOf(db, sql) {
+  const res = db.exec(sql);
+  if (!res.length) return [];
+  const { columns, values } = res[0];
+  return values.map((v) => Object.fromEntries(columns.map((c, i) => [c, v[i]])));
+}
+
+function decodeEntities(s) {
+  return s
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&amp;/g, "&");
+}
+
+// Anki fields are HTML; cards here are plain text.
+export function htmlToText(html) {
+  return decodeEntities(
+    String(html || "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(div|p|li)>/gi, "\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function textToHtml(text) {
+  return String(text || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\n/g, "<br>");
+}
+
+function parseJson(s) {
+  try {
+    return s ? JSON.parse(s) : {};
+  } catch {
+    return {};
+  }
+}
+
+// Anki scheduling -> the fields used by lib/srs.js
+function scheduleFromAnki(card, crt) {
+  if (!card) return {};
+  // New cards have no schedule to bring over, but may still be suspended
+  if (card.type === 0) return card.queue === -1 ? { suspended: true } : {};
+  const out = {
+    ease: card.factor ? card.factor / 1000 : undefined,
+    interval: Math.max(0, card.ivl || 0),
+    reps: card.reps || 0,
+    lapses: card.lapses || 0,
+  };
+  // The queue says how due is counted: intraday learning (1) in epoch seconds, review (2)
+  // and day learning (3) in days since collection creation. Suspended and buried cards
+  // keep the due of the queue they left, which their type tells.
+  const inSeconds = card.queue === 1 || (card.queue < 0 && card.type !== 2);
+  out.due = inSeconds ? card.due * 1000 : (crt + card.due * DAY_SEC) * 1000;
+  if (card.queue === -1) out.suspended = true;
+  for (const k of Object.keys(out)) if (out[k] === undefined) delete out[k];
+  return out;
+}
+
+// Reads an .apkg into a table for the import mapping preview:
+// { headers, rows, schedules } where schedules[i] holds SRS fields for rows[i].
+// The last column is always the Anki deck name.
+export async function readApkg(file) {
+  const zip = await JSZip.loadAsync(await file.arrayBuffer());
+  const entry = zip.file("collection.anki21") || zip.file("collection.anki2");
+  if (!entry || (zip.file("collection.anki21b") && !zip.file("collection.anki21"))) {
+    throw new Error(
+      'Unsupported .apkg format. In Anki, export with "Support older Anki versions" checked.'
+    );
+  }
+
+  const SQL = await getSql();
+  const db = new SQL.Database(new Uint8Array(await entry.async("arraybuffer")));
+
+  try {
+    const [col] = rowsOf(db, "SELECT crt, models, decks FROM col");
+    const models = parseJson(col?.models);
+    const crt = col?.crt || 0;
+
+    let deckNames = {};
+    for (const d of Object.values(parseJson(col?.decks))) deckNames[d.id] = d.name;
+    if (Object.keys(deckNames).length === 0) {
+      try {
+        for (const d of rowsOf(db, "SELECT id, name FROM decks")) deckNames[d.id] = d.name;
+      } catch {
+        deckNames = {};
+      }
+    }
+
+    const notes = rowsOf(db, "SELECT id, mid, flds FROM notes ORDER BY id");
+    const cards = rowsOf(
+      db,
+      "SELECT nid, did, ord, type, queue, due, ivl, factor, reps, lapses FROM cards ORDER BY ord"
+    );
+    const firstCard = new Map();
+    for (const c of cards) if (!firstCard.has(c.nid)) firstCard.set(c.nid, c);
+
+    let width = 0;
+    for (const n of notes) width = Math.max(width, n.flds.split(FIELD_SEP).length);
+
+    const firstModel = models[String(notes[0]?.mid)];
+    const fieldNames = (firstModel?.flds || []).map((f) => f.name);
+    const headers = Array.from({ length: width }, (_, i) => fieldNames[i] || `Field ${i + 1}`);
+    headers.push("Deck");
+
+    const rows = [];
+    const schedules = [];
+    for (const n of notes) {
+      const fields = n.flds.split(FIELD_SEP).map(htmlToText);
+      while (fields.length < width) fields.push("");
+      const card = firstCard.get(n.id);
+      fields.push(card ? deckNames[card.did] || "" : "");
+      rows.push(fields);
+      schedules.push(scheduleFromAnki(card, crt));
+    }
+
+    return { headers, rows, schedules };
+  } finally {
+    db.close();
+  }
+}
+
+const SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const DEFAULT_DCONF = {
+  1: {
+    id: 1,
+    name: "Default",
+    mod: 0,
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    dyn: false,
+    new: { bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true },
+    lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 },
+    rev: { bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 200 },
+  },
+};
+
+function deckJson(id, name, mod) {
+  return {
+    id,
+    name,
+    mod,
+    usn: -1,
+    desc: "",
+    dyn: 0,
+    conf: 1,
+    collapsed: false,
+    extendNew: 10,
+    extendRev: 50,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0],
+  };
+}
+
+async function checksum(text) {
+  const bytes = new TextEncoder().encode(text);
+  const hash = new Uint8Array(await crypto.subtle.digest("SHA-1", bytes));
+  return ((hash[0] << 24) | (hash[1] << 16) | (hash[2] << 8) | hash[3]) >>> 0;
+}
+
+function guid() {
+  const chars = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+  let out = "";
+  for (let i = 0; i < 10; i++) out += chars[Math.floor(Math.random() * chars.length)];
+  return out;
+}
+
+// Flashcard docs -> .apkg Blob (Basic note type, one deck per `deck` value, SRS state kept).
+export async function writeApkg(cards) {
+  const SQL = await getSql();
+  const db = new SQL.Database();
+
+  try {
+    db.run(SCHEMA);
+
+    const nowMs = Date.now();
+    const nowSec = Math.floor(nowMs / 1000);
+    const today = new Date(nowMs);
+    today.setHours(0, 0, 0, 0);
+    const crt = Math.floor(today.getTime() / 1000);
+
+    const decks = { 1: deckJson(1, "Default", nowSec) };
+    const deckIds = new Map([["", 1]]);
+    let nextDeckId = nowMs;
+    for (const c of cards) {
+      const name = (c.deck || "").trim();
+      if (deckIds.has(name)) continue;
+      const id = nextDeckId++;
+      deckIds.set(name, id);
+      decks[id] = deckJson(id, name, nowSec);
+    }
+
+    const mid = nowMs + cards.length + 1;
+    const model = {
+      id: mid,
+      name: "Intense Notes Basic",
+      type: 0,
+      mod: nowSec,
+      usn: -1,
+      sortf: 0,
+      did: 1,
+      tags: [],
+      vers: [],
+      req: [[0, "any", [0]]],
+      flds: ["Front", "Back"].map((name, ord) => ({
+        name,
+        ord,
+        sticky: false,
+        rtl: false,
+        font: "Arial",
+        size: 20,
+        media: [],
+      })),
+      tmpls: [
+        {
+          name: "Card 1",
+          ord: 0,
+          qfmt: "{{Front}}",
+          afmt: "{{FrontSide}}<hr id=answer>{{Back}}",
+          did: null,
+          bqfmt: "",
+          bafmt: "",
+        },
+      ],
+      css: ".card { font-family: arial; font-size: 20px; text-align: center; }",
+      latexPre:
+        "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+      latexPost: "\\end{document}",
+    };
+
+    const conf = {
+      nextPos: cards.length + 1,
+      estTimes: true,
+      activeDecks: [1],
+      sortType: "noteFld",
+      timeLim: 0,
+      sortBackwards: false,
+      addToCur: true,
+      curDeck: 1,
+      newSpread: 0,
+      dueCounts: true,
+      curModel: mid,
+      collapseTime: 1200,
+    };
+
+    db.run("INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, '{}')", [
+      crt,
+      nowMs,
+      nowMs,
+      JSON.stringify(conf),
+      JSON.stringify({ [mid]: model }),
+      JSON.stringify(decks),
+      JSON.stringify(DEFAULT_DCONF),
+    ]);
+
+    let id = nowMs;
+    for (let i = 0; i < cards.length; i++) {
+      const c = cards[i];
+      const front = textToHtml(c.question);
+      const back = textToHtml(c.answer);
+      const nid = id++;
+      const cid = id++;
+
+      db.run("INSERT INTO notes VALUES (?, ?, ?, ?, -1, '', ?, ?, ?, 0, '')", [
+        nid,
+        guid(),
+        mid,
+        nowSec,
+        front + FIELD_SEP + back,
+        c.question || "",
+        await checksum(c.question || ""),
+      ]);
+
+      // new (0) / learning (1) / review (2), mirroring lib/srs.js state
+      let type = 0;
+      let due = i + 1;
+      const reviewed = typeof c.due === "number";
+      if (reviewed && (c.interval || 0) >= 1) {
+        type = 2;
+        due = Math.floor((c.due / 1000 - crt) / DAY_SEC);
+      } else if (reviewed) {
+        type = 1;
+        due = Math.floor(c.due / 1000);
+      }
+      const queue = c.suspended ? -1 : type;
+
+      db.run(
+        "INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, '')",
+        [
+          cid,
+          nid,
+          deckIds.get((c.deck || "").trim()),
+          nowSec,
+          type,
+          queue,
+          due,
+          c.interval || 0,
+          Math.round((c.ease || 2.5) * 1000),
+          c.reps || 0,
+          c.lapses || 0,
+          type === 1 ? 1001 : 0,
+        ]
+      );
+    }
+
+    const zip = new JSZip();
+    zip.file("collection.anki2", db.export());
+    zip.file("media", "{}");
+    return zip.generateAsync({ type: "blob" });
+  } finally {
+    db.close();
+  }
+}
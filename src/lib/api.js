@@ -0,0 +1,93 @@
+// Requests to the AI routes (api/). They are signed with the user's Firebase ID token;
+// failures throw ApiError with the route's structured error (see api/_guard.js).
+import { auth } from "../firebase";
+
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = "", retryAfter = 0 } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// POSTs JSON and returns the Response once it is known to be ok.
+export async function apiPost(path, body, { signal, headers = {} } = {}) {
+  const user = auth.currentUser;
+  if (!user) throw new ApiError("Sign in to use AI features.", { status: 401, code: "unauthenticated" });
+
+  const res = await fetch(path, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${await user.getIdToken()}`,
+      ...headers,
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!res.ok) {
+    let data = {};
+    try {
+      data = await res.json();
+    } catch {
+      // Not JSON (a proxy or platform error page)
+    }
+    throw new ApiError(data.error || `Request failed (${res.status}).`, {
+      status: res.status,
+      code: data.code || "",
+      retryAfter: Number(data.retryAfter || res.headers.get("Retry-After")) || 0,
+    });
+  }
+  return res;
+}
+
+export async function apiJson(path, body, options) {
+  return (await apiPost(path, body, options)).json();
+}
+
+// Runs fn() again after the wait a "rate_limited" error asks for, up to `retries` times.
+// For batches of requests (long summaries, indexing every note).
+export async function withRateRetry(fn, { signal, retries = 3 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (!(e instanceof ApiError) || e.code !== "rate_limited" || attempt >= retries) throw e;
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(new DOMException("Aborted", "AbortError"));
+        };
+        const timer = setTimeout(() => {
+          signal?.removeEventListener("abort", onAbort);
+          resolve();
+        }, (e.retryAfter || 10) * 1000);
+        signal?.addEventListener("abort", onAbort, { once: true });
+      });
+    }
+  }
+}
+
+function formatWait(seconds) {
+  if (seconds < 90) return `${seconds} s`;
+  if (seconds < 90 * 60) return `${Math.round(seconds / 60)} min`;
+  return `${Math.round(seconds / 3600)} h`;
+}
+
+// Message for an alert after `what` ("Summarize", "Flashcards"...) failed.
+export function describeApiError(e, what) {
+  if (e instanceof ApiError) {
+    if (e.code === "unauthenticated") return `${what}: ${e.message}`;
+    if (e.code === "rate_limited") return `${what}: too many AI requests. Try again in ${formatWait(e.retryAfter || 60)}.`;
+    if (e.code === "quota_exceeded") {
+      return `${what}: you've used today's AI allowance. It resets in ${formatWait(e.retryAfter || 0)}.`;
+    }
+    if (e.code === "too_large") return `${what}: this is too long for one AI request. Try a shorter selection or note.`;
+    if (e.code === "ai_disabled") return `${what}: AI features are turned off on this server.`;
+    return `${what} failed: ${e.message}`;
+  }
+  if (!navigator.onLine) return `${what} needs an internet connection.`;
+  return `${what} failed. Please try again.`;
+}
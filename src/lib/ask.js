@@ -0,0 +1,76 @@
+// "Ask my notes" client (api/ask.js).
+//
+// Saved notes are sent to the index, which only embeds the chunks that changed. Autosave
+// runs about every second while typing, so indexing waits until a note has been left
+// alone for INDEX_DELAY_MS (or until another note is opened); offline it waits for the
+// connection. Answers cite sources as [n]; splitCitations() turns them into parts the
+// UI can make clickable.
+import { auth } from "../firebase";
+import { apiJson, withRateRetry } from "./api";
+
+const INDEX_DELAY_MS = 20000;
+
+const pending = new Map(); // noteId -> { uid, note, timer }
+
+export function askNotes(question, { signal } = {}) {
+  return apiJson("/api/ask", { question }, { signal });
+}
+
+export function indexNote(note, { signal } = {}) {
+  return withRateRetry(
+    () =>
+      apiJson(
+        "/api/ask",
+        { mode: "index", noteId: note.id, title: note.title || "", className: note.className || "", body: note.body || "" },
+        { signal }
+      ),
+    { signal }
+  );
+}
+
+// Drops index chunks of notes that no longer exist (after deletes elsewhere or a restore)
+export function pruneIndex(noteIds) {
+  return apiJson("/api/ask", { mode: "prune", keep: noteIds });
+}
+
+function run(noteId) {
+  const entry = pending.get(noteId);
+  if (!entry || !navigator.onLine) return;
+  clearTimeout(entry.timer);
+  pending.delete(noteId);
+  // Queued by an account that has since signed out
+  if (entry.uid !== auth.currentUser?.uid) return;
+  indexNote(entry.note).catch((e) => console.warn("Indexing failed", e));
+}
+
+// note: { id, title, className, body } as just saved
+export function scheduleIndex(note, delay = INDEX_DELAY_MS) {
+  const prev = pending.get(note.id);
+  if (prev) clearTimeout(prev.timer);
+  pending.set(note.id, { uid: auth.currentUser?.uid, note, timer: setTimeout(() => run(note.id), delay) });
+}
+
+export function flushIndex() {
+  for (const noteId of [...pending.keys()]) run(noteId);
+}
+
+export function cancelIndex(noteId) {
+  clearTimeout(pending.get(noteId)?.timer);
+  pending.delete(noteId);
+}
+
+// On sign-out or a change of account nothing queued may be sent under the next user
+export function cancelAllIndex() {
+  for (const { timer } of pending.values()) clearTimeout(timer);
+  pending.clear();
+}
+
+if (typeof window !== "undefined") window.addEventListener("online", flushIndex);
+
+// "Glycolysis is regulated by PFK-1 [2][3]." -> ["Glycolysis is regulated by PFK-1 ", 2, 3, "."]
+export function splitCitations(answer) {
+  return String(answer || "")
+    .split(/\[(\d+)\]/)
+    .map((part, i) => (i % 2 ? Number(part) : part))
+    .filter((part) => part !== "");
+}
@@ -0,0 +1,86 @@
+// Files kept with a note (the original PDF of an import, lecture recordings) in Firebase
+// Storage under users/{uid}/notes/{noteId}/. The note doc lists them in `attachments`:
+//   [{ id, name, path, contentType, size, addedAt, ...extra }]
+// (recordings add { startedAt, duration, stamps }, see lib/recording.js)
+import { deleteObject, getBlob, ref, uploadBytesResumable } from "firebase/storage";
+import { storage } from "../firebase";
+
+// Files imported in this session, so the viewer doesn't wait for (or need) the download
+const local = new Map(); // attachment id -> Blob
+
+export async function uploadAttachment(uid, noteId, file, id, extra = {}) {
+  const path = `users/${uid}/notes/${noteId}/${id}`;
+  local.set(id, file);
+  // Resumable, so a long recording survives a flaky connection
+  await uploadBytesResumable(ref(storage, path), file, {
+    contentType: file.type || "application/octet-stream",
+    customMetadata: { name: file.name },
+  });
+  return {
+    id,
+    name: file.name,
+    path,
+    contentType: file.type || "application/octet-stream",
+    size: file.size,
+    addedAt: Date.now(),
+    ...extra,
+  };
+}
+
+export async function attachmentBlob(att) {
+  if (!local.has(att.id)) local.set(att.id, await getBlob(ref(storage, att.path)));
+  return local.get(att.id);
+}
+
+// Copies an attachment to another note of this user, so no two notes share a file
+// (deleting either note deletes its files). Restores use it; only files under
+// users/{uid}/ can be read, so attachments from another account throw.
+export async function copyAttachment(uid, noteId, att) {
+  if (!String(att.path || "").startsWith(`users/${uid}/`)) throw new Error("The file belongs to another account.");
+  const blob = await attachmentBlob(att);
+  // Anything besides the file's own fields (say, a recording's stamps) goes with the copy
+  const extra = { ...att };
+  for (const key of ["id", "name", "path", "contentType", "size"]) delete extra[key];
+  return uploadAttachment(uid, noteId, new File([blob], att.name, { type: att.contentType }), att.id, extra);
+}
+
+export function deleteAttachments(atts) {
+  return Promise.all(
+    (atts || []).map((att) => {
+      local.delete(att.id);
+      return deleteObject(ref(storage, att.path)).catch((e) => {
+        if (e?.code !== "storage/object-not-found") throw e;
+      });
+    })
+  );
+}
+
+const PAGE_LINK_RE = /\[Page (\d+)\]/g;
+const IMPORT_OPEN_RE = /^--- PDF IMPORT: (.*) ---$/;
+const IMPORT_CLOSE_RE = /^--- \/PDF ---$/;
+
+// Turns [Page N] markers into links for the preview. A marker inside a PDF import block
+// points at that import's file, one after a file name ("— notes.pdf, [Page 3]", as
+// quotes from the viewer are written) at that file; anything else at `fallback`, the
+// PDF in the viewer or the note's first one. pdfs: attachments.
+export function linkPageMarkers(body, pdfs, fallback = pdfs[0]) {
+  if (!pdfs.length) return body;
+  let current = null;
+  let inCode = false;
+  return String(body || "")
+    .split("\n")
+    .map((line) => {
+      const t = line.trim();
+      if (t.startsWith("```")) inCode = !inCode;
+      const open = IMPORT_OPEN_RE.exec(t);
+      if (open) current = pdfs.find((p) => p.name === open[1]) || null;
+      else if (IMPORT_CLOSE_RE.test(t)) current = null;
+      const pdf = current || pdfs.find((p) => line.includes(`${p.name}, [Page `)) || fallback;
+      if (inCode || !pdf) return line;
+      return line.replace(
+        PAGE_LINK_RE,
+        (m, n) => `<a href="#" class="page-link" data-attachment="${pdf.id}" data-page="${n}">${m}</a>`
+      );
+    })
+    .join("\n");
+}
@@ -0,0 +1,122 @@
+// Account backup archive: every doc of users/{uid}/notes|tasks|flashcards|studyBlocks
+// as portable JSON.
+//
+// {
+//   format: "intense-notes-backup",
+//   version: 2,
+//   exportedAt: "2026-10-19T12:00:00.000Z",
+//   notes: [{ id, ...fields }], tasks: [...], flashcards: [...], studyBlocks: [...]
+// }
+//
+// Version history: 1 had no studyBlocks.
+//
+// Firestore Timestamps are stored as { $timestamp: ms } so they survive the round trip.
+// A note's `attachments` (lib/attachments.js) are listed, but their files stay in Storage;
+// a restore copies the ones it can still read to the restored notes.
+import { Timestamp } from "firebase/firestore";
+
+export const BACKUP_FORMAT = "intense-notes-backup";
+export const BACKUP_VERSION = 2;
+export const BACKUP_COLLECTIONS = ["notes", "tasks", "flashcards", "studyBlocks"];
+
+// Added by the snapshot listeners, or sync bookkeeping that only means something
+// to the tabs that wrote it (see lib/sync.js); not restored
+const LOCAL_FIELDS = new Set(["id", "hasPendingWrites", "editorId", "baseUpdatedAt"]);
+
+function encode(value) {
+  if (value instanceof Timestamp) return { $timestamp: value.toMillis() };
+  if (Array.isArray(value)) return value.map(encode);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encode(v)]));
+  }
+  return value;
+}
+
+function decode(value) {
+  if (Array.isArray(value)) return value.map(decode);
+  if (value && typeof value === "object") {
+    if (Object.keys(value).length === 1 && typeof value.$timestamp === "number") {
+      return Timestamp.fromMillis(value.$timestamp);
+    }
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decode(v)]));
+  }
+  return value;
+}
+
+// collections: { notes: [{ id, ...data }], tasks, flashcards }
+export function buildBackup(collections, now = new Date()) {
+  const archive = { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: now.toISOString() };
+  for (const name of BACKUP_COLLECTIONS) {
+    archive[name] = (collections[name] || []).map(({ id, ...data }) => ({ id, ...encode(data) }));
+  }
+  return archive;
+}
+
+// Parses and validates an archive. Throws with a readable message before anything is written.
+export function parseBackup(text) {
+  let archive;
+  try {
+    archive = JSON.parse(String(text || "").replace(/^\uFEFF/, ""));
+  } catch {
+    throw new Error("This file is not valid JSON.");
+  }
+
+  if (!archive || archive.format !== BACKUP_FORMAT) {
+    throw new Error("This file is not an Intense Notes backup.");
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1) {
+    throw new Error("The backup has no valid schema version.");
+  }
+  if (archive.version > BACKUP_VERSION) {
+    throw new Error(
+      `The backup uses schema version ${archive.version}, but this app only reads up to version ${BACKUP_VERSION}. Update the app and try again.`
+    );
+  }
+
+  if (archive.version < 2 && archive.studyBlocks == null) archive.studyBlocks = [];
+
+  for (const name of BACKUP_COLLECTIONS) {
+    const list = archive[name];
+    if (!Array.isArray(list)) throw new Error(`The backup is missing its "${name}" list.`);
+    const ids = new Set();
+    list.forEach((item, i) => {
+      if (!item || typeof item !== "object" || Array.isArray(item)) {
+        throw new Error(`${name}[${i}] is not an object.`);
+      }
+      if (typeof item.id !== "string" || !item.id) throw new Error(`${name}[${i}] has no id.`);
+      if (ids.has(item.id)) throw new Error(`${name} contains the id "${item.id}" twice.`);
+      ids.add(item.id);
+    });
+  }
+  return archive;
+}
+
+export function backupCounts(archive) {
+  return Object.fromEntries(BACKUP_COLLECTIONS.map((name) => [name, archive[name].length]));
+}
+
+// Gives every doc a fresh id (so a merge never overwrites existing docs) and points
+// flashcards at their notes' and study blocks at their tasks' new ids. Links to docs
+// that aren't in the archive are cleared.
+// Returns { notes: [{ id, data }], tasks, flashcards, studyBlocks }.
+export function planRestore(archive, newId) {
+  const noteIds = new Map(archive.notes.map((n) => [n.id, newId()]));
+  const taskIds = new Map(archive.tasks.map((t) => [t.id, newId()]));
+  const strip = (item) =>
+    decode(Object.fromEntries(Object.entries(item).filter(([k]) => !LOCAL_FIELDS.has(k))));
+
+  return {
+    notes: archive.notes.map((n) => ({ id: noteIds.get(n.id), data: strip(n) })),
+    tasks: archive.tasks.map((t) => ({ id: taskIds.get(t.id), data: strip(t) })),
+    flashcards: archive.flashcards.map((c) => {
+      const data = strip(c);
+      if (data.noteId != null) data.noteId = noteIds.get(data.noteId) ?? null;
+      return { id: newId(), data };
+    }),
+    studyBlocks: archive.studyBlocks.map((b) => {
+      const data = strip(b);
+      if (data.taskId != null) data.taskId = taskIds.get(data.taskId) ?? null;
+      return { id: newId(), data };
+    }),
+  };
+}
@@ -0,0 +1,133 @@
+// CSV / TSV / Quizlet-paste parsing and serializing for flashcard import/export.
+
+// Picks the most likely separator from the first few non-empty lines.
+export function detectDelimiter(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .filter((l) => l.trim())
+    .slice(0, 10);
+  if (lines.length === 0) return "\t";
+
+  for (const d of ["\t", ";", ","]) {
+    if (lines.every((l) => l.includes(d))) return d;
+  }
+  return lines.some((l) => l.includes("\t")) ? "\t" : ",";
+}
+
+// RFC 4180 style parser: quoted fields may contain the delimiter, newlines and "" escapes.
+// Quizlet pastes are plain "term<TAB>definition" lines with no quoting at all, so a term
+// may start with a quote mark: parse them with { quotes: false }.
+export function parseDelimited(text, delimiter = detectDelimiter(text), { quotes = true } = {}) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (quotes && ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+function quoteField(value, delimiter) {
+  const s = value == null ? "" : String(value);
+  if (s.includes(delimiter) || /["\r\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+export function toDelimited(rows, delimiter = ",") {
+  return rows.map((r) => r.map((f) => quoteField(f, delimiter)).join(delimiter)).join("\r\n") + "\r\n";
+}
+
+// Flashcard docs -> export rows, scheduling columns included when present.
+export const CARD_EXPORT_HEADERS = [
+  "question",
+  "answer",
+  "deck",
+  "note",
+  "ease",
+  "interval",
+  "due",
+  "reps",
+  "lapses",
+  "suspended",
+];
+
+export function cardsToRows(cards) {
+  const rows = [CARD_EXPORT_HEADERS];
+  for (const c of cards) {
+    rows.push([
+      c.question || "",
+      c.answer || "",
+      c.deck || "",
+      c.noteTitle || "",
+      c.ease ?? "",
+      c.interval ?? "",
+      typeof c.due === "number" ? new Date(c.due).toISOString() : "",
+      c.reps ?? "",
+      c.lapses ?? "",
+      c.suspended ? "yes" : "",
+    ]);
+  }
+  return rows;
+}
+
+// Reads back the scheduling columns written by cardsToRows (by header name).
+export function scheduleFromRow(headers, row) {
+  const col = (name) => {
+    const i = headers.findIndex((h) => String(h).trim().toLowerCase() === name);
+    return i >= 0 ? String(row[i] ?? "").trim() : "";
+  };
+  const out = {};
+
+  const ease = parseFloat(col("ease"));
+  const interval = parseInt(col("interval"), 10);
+  const reps = parseInt(col("reps"), 10);
+  const lapses = parseInt(col("lapses"), 10);
+  const due = Date.parse(col("due"));
+
+  if (Number.isFinite(ease)) out.ease = ease;
+  if (Number.isFinite(interval)) out.interval = interval;
+  if (Number.isFinite(reps)) out.reps = reps;
+  if (Number.isFinite(lapses)) out.lapses = lapses;
+  if (Number.isFinite(due)) out.due = due;
+  if (col("suspended") === "yes") out.suspended = true;
+
+  return out;
+}
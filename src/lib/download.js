@@ -0,0 +1,22 @@
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// "Bio 101: Cells/Intro" -> "Bio 101 - Cells-Intro"
+export function safeFilename(name, fallback = "untitled") {
+  const s = String(name || "")
+    .replace(/[\\/]/g, "-")
+    .replace(/:/g, " -")
+    .replace(/[<>"|?*]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 80);
+  return s || fallback;
+}
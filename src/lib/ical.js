@@ -0,0 +1,208 @@
+// iCalendar (RFC 5545) import/export for tasks.
+//
+// Export writes each task as a VTODO (DTSTART/DUE on the due date) or VEVENT (DTSTART, and
+// for all-day events the exclusive DTEND of the next day), all-day or, for tasks with a
+// `dueTime`, at that floating local time, with RRULE/EXDATE for repeating tasks. Import
+// reads VTODO and VEVENT from any calendar (Google, Outlook, Canvas/Moodle feeds). Tasks
+// remember the UID they came in with as `icalUid`, which export reuses and import uses to
+// skip duplicates. Repeat rules the app can't expand are kept verbatim in `rrule` so they
+// still round-trip.
+import { firstOccurrence, isRecurring, parseRRule, toRRule } from "./recurrence";
+
+const PRODID = "-//Intense Notes//Tasks//EN";
+const UID_DOMAIN = "intense-notes";
+
+export function taskUid(task) {
+  return task.icalUid || `${task.id}@${UID_DOMAIN}`;
+}
+
+/* ---------------- export ---------------- */
+
+function escapeText(s) {
+  return String(s || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let cur = "";
+  let curLen = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (curLen + n > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+      curLen = 0;
+    }
+    cur += ch;
+    curLen += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+const icsDate = (ymd) => ymd.replace(/-/g, "");
+
+function nextDay(ymd) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+function stamp(now) {
+  return now.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+// kind: "VTODO" | "VEVENT"
+export function tasksToIcs(tasks, kind = "VTODO", now = new Date()) {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN"];
+
+  for (const t of tasks) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(t.due || "")) continue;
+    lines.push(`BEGIN:${kind}`, `UID:${escapeText(taskUid(t))}`, `DTSTAMP:${stamp(now)}`);
+    lines.push(`SUMMARY:${escapeText(t.title)}`);
+    if (t.className) lines.push(`CATEGORIES:${escapeText(t.className)}`);
+
+    const rrule = isRecurring(t) ? toRRule(t.repeat) : t.rrule;
+    // RFC 5545 counts DTSTART as an occurrence even when the rule doesn't produce it
+    const start = (isRecurring(t) && firstOccurrence(t)) || t.due;
+    const time = /^\d{2}:\d{2}$/.test(t.dueTime || "") ? `T${t.dueTime.replace(":", "")}00` : "";
+    const value = (ymd) => (time ? `:${icsDate(ymd)}${time}` : `;VALUE=DATE:${icsDate(ymd)}`);
+
+    lines.push(`DTSTART${value(start)}`);
+    // A to-do is due on its day; an all-day event ends (exclusively) the next day, and a
+    // timed one without DTEND ends when it starts
+    if (kind === "VTODO") lines.push(`DUE${value(start)}`);
+    else if (!time) lines.push(`DTEND${value(nextDay(start))}`);
+
+    if (rrule) lines.push(`RRULE:${rrule}`);
+    if (rrule && t.exceptions?.length) {
+      lines.push(`EXDATE${time ? ":" : ";VALUE=DATE:"}${t.exceptions.map((d) => icsDate(d) + time).join(",")}`);
+    }
+    if (kind === "VTODO" && !rrule) lines.push(`STATUS:${t.done ? "COMPLETED" : "NEEDS-ACTION"}`);
+    lines.push(`END:${kind}`);
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+/* ---------------- import ---------------- */
+
+function unescapeText(s) {
+  return String(s || "").replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+// "DTSTART;TZID=America/New_York:20261020T090000" -> { name, params, value }
+function parseLine(line) {
+  let i = 0;
+  let quoted = false;
+  for (; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ":" && !quoted) break;
+  }
+  const [name, ...rawParams] = line.slice(0, i).split(";");
+  const params = {};
+  for (const p of rawParams) {
+    const [k, v = ""] = p.split("=");
+    params[k.toUpperCase()] = v.replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+// Date-only values and floating / TZID times keep their wall-clock date; UTC times
+// ("...Z") are shown on the local calendar day.
+function toYmd(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!m) return null;
+  if (m[7]) {
+    const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]));
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+  return `${m[1]}-${m[2]}-${m[3]}`;
+}
+
+// "20261020T093000" -> "09:30" (local time for UTC values); null for dates
+function toTime(value) {
+  const m = /^\d{8}T(\d{2})(\d{2})\d{2}(Z)?$/.exec(value.trim());
+  if (!m) return null;
+  if (!m[3]) return `${m[1]}:${m[2]}`;
+  const d = new Date(Date.UTC(+value.slice(0, 4), +value.slice(4, 6) - 1, +value.slice(6, 8), +m[1], +m[2]));
+  return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+// Returns [{ uid, title, className, due, dueTime, done, repeat?, rrule?, exceptions }]
+export function parseIcs(text) {
+  // Unfold continuation lines first
+  const lines = String(text || "")
+    .replace(/\r\n[ \t]/g, "")
+    .replace(/\n[ \t]/g, "")
+    .split(/\r?\n/);
+
+  const items = [];
+  const stack = [];
+  let cur = null;
+  let prodId = "";
+
+  for (const raw of lines) {
+    if (!raw.trim()) continue;
+    const { name, params, value } = parseLine(raw);
+
+    if (name === "BEGIN") {
+      stack.push(value.toUpperCase());
+      if (value.toUpperCase() === "VTODO" || value.toUpperCase() === "VEVENT") cur = { props: [] };
+      continue;
+    }
+    if (name === "END") {
+      const kind = stack.pop();
+      if ((kind === "VTODO" || kind === "VEVENT") && cur) {
+        items.push(cur.props);
+        cur = null;
+      }
+      continue;
+    }
+    // Skip properties of nested components such as VALARM
+    const top = stack[stack.length - 1];
+    if (top === "VCALENDAR" && name === "PRODID") prodId = value;
+    if (cur && (top === "VTODO" || top === "VEVENT")) cur.props.push({ name, params, value });
+  }
+
+  const out = [];
+  for (const props of items) {
+    const get = (n) => props.find((p) => p.name === n);
+    // Edited single occurrences of a series share its UID; the series itself is enough
+    if (get("RECURRENCE-ID")) continue;
+
+    const start = toYmd(get("DTSTART")?.value || "");
+    const dueProp = get("DUE") || get("DTSTART");
+    let date = toYmd(dueProp?.value || "");
+    if (!date) continue;
+    // Older exports from this app wrote an exclusive DUE, the day after the due date
+    if (prodId === PRODID && get("DUE")?.params.VALUE === "DATE" && date === nextDay(start)) date = start;
+    const rule = get("RRULE")?.value || "";
+    const repeat = rule ? parseRRule(rule, date) : null;
+    const exceptions = props
+      .filter((p) => p.name === "EXDATE")
+      .flatMap((p) => p.value.split(","))
+      .map(toYmd)
+      .filter(Boolean);
+
+    out.push({
+      uid: unescapeText(get("UID")?.value || ""),
+      title: unescapeText(get("SUMMARY")?.value || "").trim() || "Untitled",
+      className: unescapeText((get("CATEGORIES")?.value || "").split(/(?<!\\),/)[0]).trim(),
+      due: date,
+      dueTime: toTime(dueProp.value) || "",
+      done: !rule && /^COMPLETED$/i.test(get("STATUS")?.value || ""),
+      ...(repeat ? { repeat } : rule ? { rrule: rule } : {}),
+      exceptions: rule ? exceptions : [],
+    });
+  }
+  return out;
+}
@@ -0,0 +1,33 @@
+// Renders note bodies (stored as plain text) to sanitized HTML for the preview.
+import { Marked } from "marked";
+import { markedHighlight } from "marked-highlight";
+import markedKatex from "marked-katex-extension";
+import hljs from "highlight.js/lib/common";
+import DOMPurify from "dompurify";
+import "katex/dist/katex.min.css";
+import "highlight.js/styles/github-dark.css";
+
+function createMarked(katexOptions) {
+  return new Marked(
+    markedHighlight({
+      emptyLangClass: "hljs",
+      langPrefix: "hljs language-",
+      highlight(code, lang) {
+        const language = hljs.getLanguage(lang) ? lang : "plaintext";
+        return hljs.highlight(code, { language }).value;
+      },
+    }),
+    markedKatex({ throwOnError: false, ...katexOptions }),
+    // Notes are typed like plain text, so single newlines are real line breaks
+    { gfm: true, breaks: true }
+  );
+}
+
+const marked = createMarked();
+// Exported documents can't load KaTeX's stylesheet and fonts, so math is emitted as MathML
+const standaloneMarked = createMarked({ output: "mathml" });
+
+export function renderMarkdown(text, { standalone = false } = {}) {
+  const html = (standalone ? standaloneMarked : marked).parse(String(text || ""));
+  return DOMPurify.sanitize(html);
+}
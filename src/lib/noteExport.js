@@ -0,0 +1,165 @@
+// Note export: Markdown files with front-matter (single .md or a zip of class folders)
+// and a printable HTML document. The blocks App.jsx inserts into note bodies
+// (AI summary, transcript, PDF and image imports) are kept as marked sections.
+import JSZip from "jszip";
+import hljsCss from "highlight.js/styles/github.css?inline";
+import { renderMarkdown } from "./markdown";
+import { safeFilename } from "./download";
+import { SUMMARY_STYLES } from "./summaryStyles";
+
+const BLOCKS = [
+  ...SUMMARY_STYLES.map((s) => ({
+    kind: "ai-summary",
+    label: s.blockLabel,
+    open: new RegExp(`^=== AI ${s.tag} ===$`),
+    close: new RegExp(`^=== /${s.tag} ===$`),
+  })),
+  { kind: "transcript", label: "Transcript", open: /^--- TRANSCRIPT ---$/, close: /^--- \/TRANSCRIPT ---$/ },
+  { kind: "pdf-import", label: "PDF import", open: /^--- PDF IMPORT: (.*) ---$/, close: /^--- \/PDF ---$/ },
+  { kind: "image-import", label: "Image import", open: /^--- IMAGE IMPORT: (.*) ---$/, close: /^--- \/IMAGE ---$/ },
+];
+
+// Splits a body into [{ kind: "text" | block kind, label, text }]. A block with no
+// closing marker is left as plain text.
+export function splitBlocks(body) {
+  const lines = String(body || "").split("\n");
+  const out = [];
+  let text = [];
+  const flushText = () => {
+    if (text.join("").trim()) out.push({ kind: "text", label: "", text: text.join("\n") });
+    text = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const block = BLOCKS.find((b) => b.open.test(line));
+    const end = block ? lines.findIndex((l, j) => j > i && block.close.test(l.trim())) : -1;
+    if (end === -1) {
+      text.push(lines[i]);
+      continue;
+    }
+
+    flushText();
+    const source = line.match(block.open)[1];
+    out.push({
+      kind: block.kind,
+      label: source ? `${block.label}: ${source}` : block.label,
+      text: lines.slice(i + 1, end).join("\n").trim(),
+    });
+    i = end;
+  }
+  flushText();
+  return out;
+}
+
+function isoDate(t) {
+  const ms = t?.seconds ? t.seconds * 1000 : typeof t === "number" ? t : null;
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+// JSON strings are valid YAML double-quoted scalars
+function frontMatter(note) {
+  const fields = [
+    ["title", JSON.stringify(note.title || "Untitled")],
+    ["class", JSON.stringify(note.className || "")],
+    ["pinned", String(!!note.pinned)],
+    ["created", isoDate(note.createdAt)],
+    ["updated", isoDate(note.updatedAt)],
+  ];
+  return ["---", ...fields.filter(([, v]) => v != null).map(([k, v]) => `${k}: ${v}`), "---"].join("\n");
+}
+
+export function noteToMarkdown(note) {
+  const parts = splitBlocks(note.body).map((s) =>
+    s.kind === "text"
+      ? s.text.trim()
+      : `<!-- begin ${s.kind} -->\n### ${s.label}\n\n${s.text}\n\n<!-- end ${s.kind} -->`
+  );
+  return `${frontMatter(note)}\n\n# ${note.title || "Untitled"}\n\n${parts.join("\n\n")}\n`;
+}
+
+function uniqueName(taken, base, ext) {
+  let name = `${base}${ext}`;
+  for (let n = 2; taken.has(name.toLowerCase()); n++) name = `${base} (${n})${ext}`;
+  taken.add(name.toLowerCase());
+  return name;
+}
+
+// One folder per class ("Unfiled" for none), one .md per note.
+export async function notesToMarkdownZip(notes) {
+  const zip = new JSZip();
+  const taken = new Set();
+  for (const n of notes) {
+    const folder = safeFilename(n.className, "Unfiled");
+    const file = uniqueName(taken, `${folder}/${safeFilename(n.title)}`, ".md");
+    zip.file(file, noteToMarkdown(n));
+  }
+  return zip.generateAsync({ type: "blob", compression: "DEFLATE" });
+}
+
+function escapeHtml(s) {
+  return String(s || "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function noteToHtml(note) {
+  const meta = [note.className, isoDate(note.updatedAt)?.slice(0, 10)].filter(Boolean).join(" • ");
+  const body = splitBlocks(note.body)
+    .map((s) => {
+      const html = renderMarkdown(s.text, { standalone: true });
+      if (s.kind === "text") return html;
+      return `<section class="block ${s.kind}"><div class="block-label">${escapeHtml(s.label)}</div>${html}</section>`;
+    })
+    .join("\n");
+  return `<article class="note">
+<h1>${escapeHtml(note.title || "Untitled")}</h1>
+${meta ? `<div class="meta">${escapeHtml(meta)}</div>` : ""}
+${body}
+</article>`;
+}
+
+const PRINT_CSS = `
+body { font: 15px/1.55 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #111; max-width: 780px; margin: 32px auto; padding: 0 20px; }
+h1 { font-size: 26px; margin: 0 0 4px; }
+.meta { color: #666; font-size: 13px; margin-bottom: 18px; }
+.note + .note { break-before: page; margin-top: 48px; }
+.block { border: 1px solid #ccd; border-left: 4px solid #6b5bff; border-radius: 6px; padding: 8px 14px; margin: 16px 0; break-inside: avoid; }
+.block.transcript { border-left-color: #00a6c0; }
+.block.pdf-import, .block.image-import { border-left-color: #999; }
+.block-label { font-size: 12px; font-weight: 700; letter-spacing: .04em; text-transform: uppercase; color: #555; }
+pre { background: #f6f8fa; padding: 10px; border-radius: 6px; overflow-x: auto; white-space: pre-wrap; }
+code { font-family: ui-monospace, Consolas, monospace; font-size: 13px; }
+table { border-collapse: collapse; } th, td { border: 1px solid #ccc; padding: 4px 8px; }
+img { max-width: 100%; }
+@page { margin: 18mm; }
+@media print { body { margin: 0; max-width: none; } }
+`;
+
+// Self-contained document: no scripts, no external stylesheets or fonts.
+export function notesToHtml(notes, title) {
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${hljsCss}${PRINT_CSS}</style>
+</head>
+<body>
+${notes.map(noteToHtml).join("\n")}
+</body>
+</html>
+`;
+}
+
+// Opens the browser print dialog (where "Save as PDF" lives) for an HTML document.
+export function printHtml(html) {
+  const frame = document.createElement("iframe");
+  frame.style.cssText = "position:fixed;right:0;bottom:0;width:0;height:0;border:0";
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    // Removing the frame while the dialog is open cancels printing in some browsers
+    setTimeout(() => frame.remove(), 60_000);
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
@@ -0,0 +1,100 @@
+// OCR for scanned PDF pages and photos (whiteboards, handwritten pages), on device.
+// tesseract.js runs the recognizer in its own Web Worker; the worker script, the wasm
+// core and the English model are shipped with the app (and precached by the service
+// worker), so nothing is fetched from a CDN and no image leaves the browser.
+import { createWorker, OEM } from "tesseract.js";
+import { simd } from "wasm-feature-detect";
+import workerPath from "tesseract.js/dist/worker.min.js?url";
+import coreSimdUrl from "tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url";
+import coreUrl from "tesseract.js-core/tesseract-core-lstm.wasm.js?url";
+import { layoutPages } from "./pdfLayout";
+
+// Longest side of the image handed to the recognizer (about 230 dpi for a Letter page);
+// phone photos are often 4000px+
+export const OCR_MAX_SIDE = 2600;
+
+let workerPromise = null;
+let onJobProgress = null; // progress callback of the running job (the worker runs one at a time)
+let queue = Promise.resolve();
+
+async function getWorker() {
+  if (!workerPromise) {
+    workerPromise = (async () => {
+      return createWorker("eng", OEM.LSTM_ONLY, {
+        workerPath,
+        corePath: (await simd()) ? coreSimdUrl : coreUrl,
+        // Served by the ocr-language-data plugin in vite.config.js
+        langPath: new URL(`${import.meta.env.BASE_URL}tesseract`, location.origin).href,
+        workerBlobURL: false,
+        cacheMethod: "none",
+        logger: (m) => {
+          if (m.status === "recognizing text") onJobProgress?.(m.progress);
+        },
+      });
+    })();
+    workerPromise.catch(() => {
+      workerPromise = null;
+    });
+  }
+  return workerPromise;
+}
+
+// Jobs share one worker; run them in order so progress goes to the right caller
+function enqueue(job) {
+  const run = queue.then(job, job);
+  queue = run.catch(() => {});
+  return run;
+}
+
+// Photos: apply EXIF rotation and scale down to OCR_MAX_SIDE
+export async function imageToCanvas(file) {
+  const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+  const scale = Math.min(1, OCR_MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas;
+}
+
+// Recognizes a canvas. Returns words as layout items (see lib/pdfLayout.js) in canvas
+// pixels divided by `scale`, so a page rendered at scale 2 comes back in PDF points.
+// onProgress(fraction) reports recognition progress.
+export function ocrCanvas(canvas, { scale = 1, onProgress } = {}) {
+  return enqueue(async () => {
+    const worker = await getWorker();
+    onJobProgress = onProgress;
+    try {
+      const { data } = await worker.recognize(canvas, {}, { text: false, blocks: true });
+      const items = [];
+      for (const block of data.blocks || []) {
+        for (const para of block.paragraphs) {
+          for (const line of para.lines) {
+            const height = line.rowAttributes?.rowHeight || line.bbox.y1 - line.bbox.y0;
+            const baseline = (line.baseline.y0 + line.baseline.y1) / 2 || line.bbox.y1;
+            for (const word of line.words) {
+              if (!word.text.trim()) continue;
+              items.push({
+                str: word.text,
+                x: word.bbox.x0 / scale,
+                y: baseline / scale,
+                width: (word.bbox.x1 - word.bbox.x0) / scale,
+                size: Math.round((height / scale) * 10) / 10,
+              });
+            }
+          }
+        }
+      }
+      return { width: canvas.width / scale, height: canvas.height / scale, items };
+    } finally {
+      onJobProgress = null;
+    }
+  });
+}
+
+// JPG/PNG import: same layout rebuilding as PDF pages. onProgress(fraction).
+export async function extractImageText(file, { onProgress } = {}) {
+  const page = await ocrCanvas(await imageToCanvas(file), { onProgress });
+  return layoutPages([{ number: 1, ...page }])[0].markdown.trim();
+}
@@ -1,18 +1,121 @@
 import * as pdfjsLib from "pdfjs-dist";
 import workerSrc from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+import { layoutPages } from "./pdfLayout";
+import { OCR_MAX_SIDE, ocrCanvas } from "./ocr";
 
 pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
 
-export async function extractPdfText(file) {
+export async function openPdf(file) {
   const buf = await file.arrayBuffer();
-  const pdf = await pdfjsLib.getDocument({ data: buf }).promise;
-
-  let out = "";
-  for (let p = 1; p <= pdf.numPages; p++) {
-    const page = await pdf.getPage(p);
-    const content = await page.getTextContent();
-    const strings = content.items.map((i) => i.str).join(" ");
-    out += `\n\n[Page ${p}]\n${strings}`;
+  return pdfjsLib.getDocument({ data: buf }).promise;
+}
+
+// Small preview of one page as a data URL (for the page picker)
+export async function renderThumbnail(pdf, pageNumber, width = 120) {
+  const page = await pdf.getPage(pageNumber);
+  const base = page.getViewport({ scale: 1 });
+  const viewport = page.getViewport({ scale: width / base.width });
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+  page.cleanup();
+  return canvas.toDataURL("image/jpeg", 0.7);
+}
+
+// Viewer page: renders page `pageNumber` into `el` at `width` CSS pixels as a canvas plus
+// pdf.js's selectable text layer (styled by .pdf-page .textLayer in index.css).
+// Returns the page's height at that width.
+export async function renderPage(pdf, pageNumber, el, width) {
+  const page = await pdf.getPage(pageNumber);
+  const base = page.getViewport({ scale: 1 });
+  const viewport = page.getViewport({ scale: width / base.width });
+  const ratio = window.devicePixelRatio || 1;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.floor(viewport.width * ratio);
+  canvas.height = Math.floor(viewport.height * ratio);
+  canvas.style.width = `${viewport.width}px`;
+  canvas.style.height = `${viewport.height}px`;
+  const text = document.createElement("div");
+  text.className = "textLayer";
+  el.style.setProperty("--total-scale-factor", String(viewport.scale));
+  el.replaceChildren(canvas, text);
+
+  try {
+    await page.render({
+      canvasContext: canvas.getContext("2d"),
+      viewport,
+      transform: ratio === 1 ? undefined : [ratio, 0, 0, ratio, 0, 0],
+    }).promise;
+    await new pdfjsLib.TextLayer({ textContentSource: page.streamTextContent(), container: text, viewport }).render();
+  } finally {
+    // Frees the page's decoded images and fonts; the canvas keeps the pixels
+    page.cleanup();
+  }
+  return viewport.height;
+}
+
+// Text items in page coordinates with y measured from the top (see lib/pdfLayout.js)
+async function pageItems(pdf, pageNumber) {
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: 1 });
+  const content = await page.getTextContent();
+  const items = [];
+  for (const i of content.items) {
+    if (!i.str || !i.str.trim()) continue;
+    const [a, b, c, d, e, f] = pdfjsLib.Util.transform(viewport.transform, i.transform);
+    const size = Math.hypot(c, d) || Math.hypot(a, b) || i.height;
+    items.push({ str: i.str, x: e, y: f, width: i.width, size: Math.round(size * 10) / 10 });
   }
-  return out.trim();
-}
\ No newline at end of file
+  page.cleanup();
+  return { number: pageNumber, width: viewport.width, height: viewport.height, items };
+}
+
+// Scanned pages have no text layer (or only a stray character or two)
+const hasTextLayer = (page) => page.items.reduce((n, i) => n + i.str.trim().length, 0) >= 3;
+
+async function ocrPage(pdf, pageNumber, onProgress) {
+  const page = await pdf.getPage(pageNumber);
+  const base = page.getViewport({ scale: 1 });
+  const scale = Math.min(4, OCR_MAX_SIDE / Math.max(base.width, base.height));
+  const viewport = page.getViewport({ scale });
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: ctx, viewport }).promise;
+  page.cleanup();
+  return { number: pageNumber, ...(await ocrCanvas(canvas, { scale, onProgress })) };
+}
+
+// pages: page numbers to import (default: all). Pages without a text layer are run
+// through OCR. onProgress({ page, done, total, ocr, fraction }) is called as each page
+// starts and, for OCR pages, as recognition goes on. Returns "[Page N]\n..." Markdown.
+export async function extractPdfText(fileOrPdf, { pages, onProgress } = {}) {
+  const pdf = fileOrPdf instanceof Blob ? await openPdf(fileOrPdf) : fileOrPdf;
+  const wanted = pages?.length ? pages : Array.from({ length: pdf.numPages }, (_, i) => i + 1);
+
+  const text = [];
+  const scanned = [];
+  for (const [done, p] of wanted.entries()) {
+    const report = (ocr, fraction = 0) => onProgress?.({ page: p, done, total: wanted.length, ocr, fraction });
+    report(false);
+    const page = await pageItems(pdf, p);
+    if (hasTextLayer(page)) {
+      text.push(page);
+    } else {
+      report(true);
+      scanned.push(await ocrPage(pdf, p, (fraction) => report(true, fraction)));
+    }
+  }
+
+  // OCR sizes are line heights, not font sizes: lay those pages out on their own
+  return [...layoutPages(text), ...layoutPages(scanned)]
+    .sort((a, b) => a.number - b.number)
+    .map((p) => `[Page ${p.number}]\n${p.markdown}`)
+    .join("\n\n")
+    .trim();
+}
@@ -0,0 +1,255 @@
+// Turns pdf.js text items back into readable Markdown (used by lib/pdf.js).
+//
+// Per page: items are grouped into lines by their baseline, two-column pages are read
+// column by column, and lines are joined into paragraphs unless the spacing, font size or
+// a bullet says otherwise. Across the import:
+//   - the most common font size is body text; larger lines become # / ## / ### headings,
+//   - lines at the top or bottom edge that repeat on most pages (running headers,
+//     footers, page numbers) are dropped,
+//   - runs of lines split into the same number of widely spaced cells become tables.
+//
+// A page here is { number, width, height, items: [{ str, x, y, width, size }] } with y
+// measured from the top of the page.
+
+const BULLET_RE = /^([•▪◦●○■□➢►▶‣∙·*–-]|\d{1,2}[.)]|[a-z][.)])\s+/;
+const PAGE_NUMBER_RE = /^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$/i;
+const EDGE = 0.08; // top/bottom share of the page where headers and footers live
+const HEADING_RATIO = 1.15;
+const MAX_HEADING_CHARS = 120;
+
+const round = (n) => Math.round(n * 2) / 2;
+
+/* ---------------- lines ---------------- */
+
+// Items that cross the middle of the page are rare on two-column pages
+function splitColumns(page) {
+  const mid = page.width / 2;
+  const chars = (list) => list.reduce((n, i) => n + i.str.length, 0);
+  const left = page.items.filter((i) => i.x + i.width <= mid + 4);
+  const right = page.items.filter((i) => i.x >= mid - 4 && i.x + i.width > mid + 4);
+  const spanning = page.items.filter((i) => !left.includes(i) && !right.includes(i));
+  const total = chars(page.items) || 1;
+  if (chars(left) / total > 0.2 && chars(right) / total > 0.2 && chars(spanning) / total < 0.1) {
+    return [[...spanning, ...left], right];
+  }
+  return [page.items];
+}
+
+function toLines(items) {
+  const sorted = [...items].sort((a, b) => a.y - b.y || a.x - b.x);
+  const lines = [];
+  for (const item of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(item.y - line.y) < Math.max(2, Math.min(item.size, line.size) * 0.5)) {
+      line.items.push(item);
+      line.size = Math.max(line.size, item.size);
+    } else {
+      lines.push({ y: item.y, size: item.size, items: [item] });
+    }
+  }
+
+  return lines.map((line) => {
+    const parts = line.items.sort((a, b) => a.x - b.x);
+    // Cells are separated by gaps wider than two characters; words by smaller ones
+    const cells = [[parts[0]]];
+    for (let i = 1; i < parts.length; i++) {
+      const gap = parts[i].x - (parts[i - 1].x + parts[i - 1].width);
+      if (gap > line.size * 2) cells.push([parts[i]]);
+      else cells[cells.length - 1].push(parts[i]);
+    }
+    const join = (list) =>
+      list
+        .reduce((text, item, i) => {
+          if (i === 0) return item.str;
+          const prev = list[i - 1];
+          const gap = item.x - (prev.x + prev.width);
+          const space = gap > line.size * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.str);
+          return text + (space ? " " : "") + item.str;
+        }, "")
+        .replace(/\s+/g, " ")
+        .trim();
+    const cellTexts = cells.map(join).filter(Boolean);
+    return {
+      y: line.y,
+      x: parts[0].x,
+      size: round(line.size),
+      text: cellTexts.join("  "),
+      cells: cellTexts,
+    };
+  });
+}
+
+export function pageLines(page) {
+  return splitColumns(page)
+    .flatMap(toLines)
+    .filter((l) => l.text);
+}
+
+/* ---------------- document-wide analysis ---------------- */
+
+function bodySize(pages) {
+  const weight = new Map();
+  for (const p of pages) {
+    for (const l of p.lines) weight.set(l.size, (weight.get(l.size) || 0) + l.text.length);
+  }
+  let best = 0;
+  let size = 0;
+  for (const [s, w] of weight) {
+    if (w > best) [best, size] = [w, s];
+  }
+  return size;
+}
+
+// Sizes clearly above body text, largest first -> heading level
+function headingLevels(pages, body) {
+  const sizes = new Set();
+  for (const p of pages) {
+    for (const l of p.lines) {
+      if (l.size >= body * HEADING_RATIO && l.text.length <= MAX_HEADING_CHARS) sizes.add(l.size);
+    }
+  }
+  const levels = new Map();
+  [...sizes].sort((a, b) => b - a).forEach((s, i) => levels.set(s, Math.min(3, i + 1)));
+  return levels;
+}
+
+const edgeKey = (text) => text.toLowerCase().replace(/\d+/g, "#").replace(/\s+/g, " ").trim();
+const atEdge = (line, page) => line.y < page.height * EDGE || line.y > page.height * (1 - EDGE);
+
+// Texts at the top/bottom edge seen on at least half the pages (3 pages minimum)
+function repeatedEdges(pages) {
+  const counts = new Map();
+  for (const p of pages) {
+    const seen = new Set(p.lines.filter((l) => atEdge(l, p)).map((l) => edgeKey(l.text)));
+    for (const k of seen) counts.set(k, (counts.get(k) || 0) + 1);
+  }
+  const min = Math.max(3, Math.ceil(pages.length / 2));
+  return new Set([...counts].filter(([, n]) => n >= min).map(([k]) => k));
+}
+
+/* ---------------- Markdown ---------------- */
+
+function tableMarkdown(rows) {
+  const width = rows[0].length;
+  const cell = (s) => s.replace(/\|/g, "\\|");
+  return [
+    `| ${rows[0].map(cell).join(" | ")} |`,
+    `| ${Array(width).fill("---").join(" | ")} |`,
+    ...rows.slice(1).map((r) => `| ${r.map(cell).join(" | ")} |`),
+  ].join("\n");
+}
+
+function pageMarkdown(page, levels, repeated) {
+  const lines = page.lines.filter(
+    (l) => !(atEdge(l, page) && (repeated.has(edgeKey(l.text)) || PAGE_NUMBER_RE.test(l.text)))
+  );
+
+  const blocks = [];
+  let para = null; // { kind: "p" | "li" | "h", text, size, lastY, level }
+
+  const flush = () => {
+    if (para) blocks.push(para.kind === "h" ? `${"#".repeat(para.level)} ${para.text}` : para.kind === "li" ? `- ${para.text}` : para.text);
+    para = null;
+  };
+  const append = (text) => {
+    // Words broken across lines: "regu-" + "lation"
+    if (/[a-z]-$/.test(para.text) && /^[a-z]/.test(text)) para.text = para.text.slice(0, -1) + text;
+    else para.text += ` ${text}`;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Tables: three or more consecutive lines with the same number (2+) of cells
+    if (line.cells.length >= 2) {
+      let j = i;
+      while (j + 1 < lines.length && lines[j + 1].cells.length === line.cells.length) j++;
+      if (j - i >= 2) {
+        flush();
+        blocks.push(tableMarkdown(lines.slice(i, j + 1).map((l) => l.cells)));
+        i = j;
+        continue;
+      }
+    }
+
+    const bullet = BULLET_RE.exec(line.text);
+    const level = !bullet && levels.get(line.size);
+    if (level) {
+      if (para?.kind === "h" && para.size === line.size && line.y - para.lastY < line.size * 2) append(line.text);
+      else {
+        flush();
+        para = { kind: "h", level, size: line.size, text: line.text };
+      }
+      para.lastY = line.y;
+      continue;
+    }
+
+    const gap = para ? line.y - para.lastY : Infinity;
+    const sameBlock =
+      para && para.kind !== "h" && gap > 0 && gap < Math.max(line.size, para.size) * 1.8 && para.size === line.size;
+
+    if (bullet) {
+      flush();
+      para = { kind: "li", size: line.size, text: line.text.slice(bullet[0].length) };
+    } else if (sameBlock) {
+      append(line.text);
+    } else {
+      flush();
+      para = { kind: "p", size: line.size, text: line.text };
+    }
+    para.lastY = line.y;
+  }
+  flush();
+
+  // List items sit on consecutive lines; everything else is separated by a blank line
+  return blocks
+    .map((b, i) => (i && b.startsWith("- ") && blocks[i - 1].startsWith("- ") ? `\n${b}` : `\n\n${b}`))
+    .join("")
+    .trim();
+}
+
+// pages: [{ number, width, height, items }] -> [{ number, markdown }]. Font sizes and
+// repeated headers are compared across all the pages given, so pages measured differently
+// (OCR) should be laid out in their own call.
+export function layoutPages(pages) {
+  const withLines = pages.map((p) => ({ ...p, lines: pageLines(p) }));
+  const body = bodySize(withLines);
+  const levels = headingLevels(withLines, body);
+  const repeated = withLines.length >= 3 ? repeatedEdges(withLines) : new Set();
+  return withLines.map((p) => ({ number: p.number, markdown: pageMarkdown(p, levels, repeated) }));
+}
+
+// "[Page N]\n..." for each page
+export function pagesToMarkdown(pages) {
+  return layoutPages(pages)
+    .map((p) => `[Page ${p.number}]\n${p.markdown}`)
+    .join("\n\n");
+}
+
+/* ---------------- page ranges ---------------- */
+
+// "1-3, 5, 8-" -> [1, 2, 3, 5, 8, ..., max]; out-of-range pages are ignored
+export function parsePageRange(text, max) {
+  const pages = new Set();
+  for (const part of String(text || "").split(",")) {
+    const m = /^\s*(\d*)\s*(?:(-|–)\s*(\d*))?\s*$/.exec(part);
+    if (!m || (!m[1] && !m[3])) continue;
+    const from = m[1] ? Number(m[1]) : 1;
+    const to = m[2] ? (m[3] ? Number(m[3]) : max) : from;
+    for (let p = Math.max(1, from); p <= Math.min(max, to); p++) pages.add(p);
+  }
+  return [...pages].sort((a, b) => a - b);
+}
+
+// [1, 2, 3, 5] -> "1-3, 5"
+export function formatPageRange(pages) {
+  const sorted = [...new Set(pages)].sort((a, b) => a - b);
+  const out = [];
+  for (let i = 0; i < sorted.length; i++) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+    out.push(j > i ? `${sorted[i]}-${sorted[j]}` : String(sorted[i]));
+    i = j;
+  }
+  return out.join(", ");
+}
@@ -0,0 +1,151 @@
+// Study planner: turns upcoming deadlines into study blocks (users/{uid}/studyBlocks).
+//
+// For every class with open tasks in the next two weeks it budgets:
+//   task   - the task's time estimate (45 min if none), per task occurrence
+//   review - re-reading that class's notes, by word count, before its nearest deadline
+//   cards  - the class's due flashcards (note class, or deck name for unlinked cards)
+// minus the minutes of blocks already done for the same item, then places the rest in
+// blocks of at most 50 min on days before each deadline, spreading the load over the
+// daily availability. Done blocks are kept; undone ones are replaced on every plan, so
+// missed blocks simply flow into the next plan.
+//
+// Block doc: { date, minutes, className, title, kind, taskId, occurrence, deadline, done }
+import { expandTasks } from "./agenda";
+import { addDays } from "./recurrence";
+import { isDue } from "./srs";
+
+// Minutes per weekday, Sun..Sat
+export const DEFAULT_AVAILABILITY = [60, 90, 90, 90, 90, 60, 60];
+export const PLAN_HORIZON_DAYS = 14;
+
+const DEFAULT_TASK_MINUTES = 45;
+const BLOCK_MAX = 50;
+const BLOCK_MIN = 15;
+// Below this a leftover isn't worth a block of its own
+const LEFTOVER_MIN = 10;
+const REVIEW_WPM = 150;
+const REVIEW_CAP = 90;
+const CARD_SECONDS = 30;
+const CARDS_CAP = 45;
+const KIND_ORDER = { cards: 0, task: 1, review: 2 };
+
+function words(text) {
+  return String(text || "").split(/\s+/).filter(Boolean).length;
+}
+
+export function blockItemKey(b) {
+  return b.kind === "task" ? `task:${b.taskId}:${b.occurrence || ""}` : `${b.kind}:${b.className}:${b.deadline}`;
+}
+
+// className -> { words, dueCards }
+export function studyLoad(notes, cards, now = Date.now()) {
+  const load = new Map();
+  const get = (c) => {
+    if (!load.has(c)) load.set(c, { words: 0, dueCards: 0 });
+    return load.get(c);
+  };
+  const noteClass = new Map();
+  for (const n of notes) {
+    const c = (n.className || "").trim();
+    noteClass.set(n.id, c);
+    if (c) get(c).words += words(n.body);
+  }
+  for (const card of cards) {
+    const c = noteClass.get(card.noteId) || (card.deck || "").trim();
+    if (c && isDue(card, now)) get(c).dueCards++;
+  }
+  return load;
+}
+
+function weekday(day) {
+  return new Date(`${day}T00:00:00`).getDay();
+}
+
+// Returns { blocks: [new block docs], unscheduled: [{ title, className, minutes, deadline }] }
+export function planStudy({ tasks, notes, cards, blocks, availability, today, now = Date.now() }) {
+  const horizon = addDays(today, PLAN_HORIZON_DAYS);
+  const load = studyLoad(notes, cards, now);
+
+  // Minutes already studied per item, and per day (done blocks stay on the calendar)
+  const doneByItem = new Map();
+  const used = new Map();
+  for (const b of blocks) {
+    if (!b.done) continue;
+    const key = blockItemKey(b);
+    doneByItem.set(key, (doneByItem.get(key) || 0) + b.minutes);
+    used.set(b.date, (used.get(b.date) || 0) + b.minutes);
+  }
+
+  // Work items
+  const items = [];
+  const nearest = new Map(); // className -> earliest deadline
+  for (const t of expandTasks(tasks, today, horizon)) {
+    if (t.done) continue;
+    const className = (t.className || "").trim();
+    const base = { className, deadline: t.due, taskId: t.id, occurrence: t.occurrence || null };
+    items.push({ ...base, kind: "task", title: t.title, minutes: Number(t.estimate) || DEFAULT_TASK_MINUTES });
+    if (className && !(nearest.get(className) <= t.due)) nearest.set(className, t.due);
+  }
+  for (const [className, deadline] of nearest) {
+    const l = load.get(className);
+    if (!l) continue;
+    const base = { className, deadline, taskId: null, occurrence: null };
+    const review = Math.min(REVIEW_CAP, Math.round(l.words / REVIEW_WPM));
+    const cardMinutes = Math.min(CARDS_CAP, Math.ceil((l.dueCards * CARD_SECONDS) / 60));
+    if (review) items.push({ ...base, kind: "review", title: `Review ${className} notes`, minutes: review });
+    if (cardMinutes) items.push({ ...base, kind: "cards", title: `${className} flashcards (${l.dueCards} due)`, minutes: cardMinutes });
+  }
+  items.sort((a, b) => (a.deadline < b.deadline ? -1 : a.deadline > b.deadline ? 1 : KIND_ORDER[a.kind] - KIND_ORDER[b.kind]));
+
+  const capacity = (day) => (Number(availability[weekday(day)]) || 0) - (used.get(day) || 0);
+  const planned = [];
+  const unscheduled = [];
+
+  for (const item of items) {
+    let left = item.minutes - (doneByItem.get(blockItemKey(item)) || 0);
+    if (left < LEFTOVER_MIN) continue;
+
+    // Work happens before the due date; something due today can still be worked on today
+    const last = item.deadline > today ? addDays(item.deadline, -1) : today;
+    const days = [];
+    for (let d = today; d <= last; d = addDays(d, 1)) days.push(d);
+    const daysUsed = new Set();
+
+    while (left >= LEFTOVER_MIN) {
+      const want = Math.min(BLOCK_MAX, left);
+      // Flashcards are due now: earliest free day. Everything else: the emptiest day,
+      // preferring days this item doesn't have a block on yet
+      const fits = days.filter((d) => capacity(d) >= Math.min(want, BLOCK_MIN));
+      if (fits.length === 0) break;
+      const day =
+        item.kind === "cards"
+          ? fits[0]
+          : fits.reduce((best, d) => {
+              const score = (x) => capacity(x) - (daysUsed.has(x) ? 1000 : 0);
+              return score(d) > score(best) ? d : best;
+            });
+
+      const minutes = Math.min(want, capacity(day));
+      planned.push({
+        date: day,
+        minutes,
+        className: item.className,
+        title: item.title,
+        kind: item.kind,
+        taskId: item.taskId,
+        occurrence: item.occurrence,
+        deadline: item.deadline,
+        done: false,
+      });
+      used.set(day, (used.get(day) || 0) + minutes);
+      daysUsed.add(day);
+      left -= minutes;
+    }
+
+    if (left >= LEFTOVER_MIN) {
+      unscheduled.push({ title: item.title, className: item.className, minutes: left, deadline: item.deadline });
+    }
+  }
+
+  return { blocks: planned.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0)), unscheduled };
+}
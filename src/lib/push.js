@@ -0,0 +1,50 @@
+// Background reminders through Web Push (Firebase Cloud Messaging).
+//
+// Each browser with reminders on registers itself under users/{uid}/pushDevices/{deviceId}
+// with its FCM token, its reminder settings and its time zone. The cron route
+// api/reminders.js builds every device's schedule from the user's tasks and pushes what is
+// due; src/sw.js shows it. Needs VITE_FIREBASE_VAPID_KEY (the project's Web Push key).
+import { deleteToken, getToken } from "firebase/messaging";
+import { deleteDoc, doc, serverTimestamp, setDoc } from "firebase/firestore";
+import { db, messaging } from "../firebase";
+
+const VAPID_KEY = import.meta.env.VITE_FIREBASE_VAPID_KEY;
+
+// Stable per browser, so registering again updates the same device
+function deviceId() {
+  let id = localStorage.getItem("pushDeviceId");
+  if (!id) {
+    id = crypto.randomUUID();
+    localStorage.setItem("pushDeviceId", id);
+  }
+  return id;
+}
+
+// Resolves to false when this browser (or deployment) can't receive pushes.
+export async function registerPush(uid, settings) {
+  const m = VAPID_KEY ? await messaging : null;
+  if (!m) return false;
+  const registration = await navigator.serviceWorker.ready;
+  const token = await getToken(m, { vapidKey: VAPID_KEY, serviceWorkerRegistration: registration });
+  // merge keeps `sent`, the ids the server already pushed
+  await setDoc(
+    doc(db, "users", uid, "pushDevices", deviceId()),
+    {
+      token,
+      offsets: settings.offsets,
+      allDayTime: settings.allDayTime,
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      updatedAt: serverTimestamp(),
+    },
+    { merge: true }
+  );
+  return true;
+}
+
+export async function unregisterPush(uid) {
+  const id = localStorage.getItem("pushDeviceId");
+  if (!id) return;
+  await deleteDoc(doc(db, "users", uid, "pushDevices", id));
+  const m = await messaging;
+  if (m) await deleteToken(m).catch(() => {});
+}
@@ -0,0 +1,134 @@
+// Lecture audio recorded alongside the live transcript, stored as a note attachment
+// (lib/attachments.js) with { startedAt, duration, stamps }. Transcript lines and the
+// editor's timestamps are wall-clock [hh:mm:ss] stamps; while a recording runs they carry
+// the date too ([2026-10-19 14:05:50]) and are kept in its `stamps` ([{ at, offset }],
+// offset in seconds). Only those link to the recording, and the date keeps a weekly
+// lecture's 10:05:00 from playing another week's audio. Recordings from before dated
+// stamps only link the times no other recording of the note has.
+
+const MIME_TYPES = ["audio/webm;codecs=opus", "audio/webm", "audio/mp4", "audio/ogg;codecs=opus"];
+// Plenty for speech, and 90 minutes come to about 21 MB (browsers default to ~128 kbps)
+const BITS_PER_SECOND = 32000;
+// Data is handed over every few seconds rather than in one piece at the end
+const TIMESLICE_MS = 5000;
+
+export const recordingSupported = () =>
+  typeof MediaRecorder !== "undefined" && !!navigator.mediaDevices?.getUserMedia;
+
+// Starts recording the microphone. Returns { startedAt, mark(date), stop() }:
+// mark() returns the stamp for `date` (default now) and ties it to this point of the
+// recording; stop() resolves to { file, duration, stamps } with the duration in seconds.
+export async function startRecording() {
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const mimeType = MIME_TYPES.find((t) => MediaRecorder.isTypeSupported(t)) || "";
+  const recorder = new MediaRecorder(stream, {
+    audioBitsPerSecond: BITS_PER_SECOND,
+    ...(mimeType ? { mimeType } : {}),
+  });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size) chunks.push(e.data);
+  };
+  recorder.start(TIMESLICE_MS);
+  const startedAt = Date.now();
+  const stamps = [];
+
+  const mark = (date = new Date()) => {
+    const at = `${dateStamp(date)} ${clockStamp(date)}`;
+    // The first use of a stamp wins: a second one in the same second is the same moment
+    if (!stamps.some((s) => s.at === at)) {
+      stamps.push({ at, offset: Math.max(0, Math.round((new Date(date) - startedAt) / 100) / 10) });
+    }
+    return at;
+  };
+
+  const stop = () =>
+    new Promise((resolve) => {
+      const duration = (Date.now() - startedAt) / 1000;
+      recorder.onstop = () => {
+        stream.getTracks().forEach((t) => t.stop());
+        const type = (recorder.mimeType || mimeType || "audio/webm").split(";")[0];
+        const ext = type === "audio/mp4" ? "m4a" : type.split("/")[1];
+        const when = new Date(startedAt);
+        const name = `Recording ${when.toLocaleDateString()} ${clockStamp(when)}.${ext}`.replace(/[/:]/g, "-");
+        resolve({ file: new File(chunks, name, { type }), duration, stamps: [...stamps] });
+      };
+      if (recorder.state === "inactive") recorder.onstop();
+      else recorder.stop();
+    });
+
+  return { startedAt, mark, stop };
+}
+
+// "14:05:50" (24-hour, so stamps read the same in every locale)
+export function clockStamp(date = new Date()) {
+  const d = new Date(date);
+  return [d.getHours(), d.getMinutes(), d.getSeconds()].map((n) => String(n).padStart(2, "0")).join(":");
+}
+
+// "2026-10-19" (local date)
+function dateStamp(date) {
+  const d = new Date(date);
+  return [d.getFullYear(), d.getMonth() + 1, d.getDate()].map((n) => String(n).padStart(2, "0")).join("-");
+}
+
+const STAMP_RE = /\[((?:\d{4}-\d{2}-\d{2} )?\d{2}:\d{2}:\d{2})\]/g;
+
+// Turns stamps marked during a recording into links for the preview (like linkPageMarkers)
+export function linkTimestamps(body, recordings) {
+  const marks = new Map(); // stamp -> { recording, offset }, or null when several recordings have it
+  for (const recording of recordings) {
+    for (const s of recording.stamps || []) {
+      marks.set(s.at, marks.has(s.at) ? null : { recording, offset: s.offset });
+    }
+  }
+  if (!marks.size) return body;
+  let inCode = false;
+  return String(body || "")
+    .split("\n")
+    .map((line) => {
+      if (line.trim().startsWith("```")) inCode = !inCode;
+      if (inCode) return line;
+      return line.replace(STAMP_RE, (m, at) => {
+        const hit = marks.get(at);
+        if (!hit) return m;
+        return `<a href="#" class="time-link" data-attachment="${hit.recording.id}" data-offset="${hit.offset}">${m}</a>`;
+      });
+    })
+    .join("\n");
+}
+
+// 83 -> "1:23", 3723 -> "1:02:03"
+export function formatOffset(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const ss = String(s % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${ss}` : `${m}:${ss}`;
+}
+
+// Seeks an <audio> element once it can; resolves when the position is set. MediaRecorder's
+// WebM files carry no duration, and Chrome only seeks in them after it has scanned to the
+// end, so do that first.
+export function seekAudio(audio, seconds) {
+  return new Promise((resolve) => {
+    const seek = () => {
+      if (audio.duration === Infinity) {
+        audio.addEventListener(
+          "durationchange",
+          () => {
+            audio.currentTime = seconds;
+            resolve();
+          },
+          { once: true }
+        );
+        audio.currentTime = 1e101;
+      } else {
+        audio.currentTime = seconds;
+        resolve();
+      }
+    };
+    if (audio.readyState >= 1) seek();
+    else audio.addEventListener("loadedmetadata", seek, { once: true });
+  });
+}
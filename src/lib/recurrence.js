@@ -0,0 +1,198 @@
+// Repeating tasks. A task's `due` is the first occurrence; `repeat` describes the rest,
+// modelled on RFC 5545 RRULE:
+//
+//   repeat:     { freq: "daily" | "weekly" | "monthly", interval: 1, byDay: [1, 3], until: "2026-12-18", count: null }
+//   exceptions: ["2026-11-25"]   occurrences that were skipped (EXDATE)
+//   doneDates:  ["2026-11-18"]   occurrences marked done; `done` stays for one-off tasks
+//
+// byDay uses getDay() numbering (Sun=0) and only applies to weekly rules; an empty list
+// means the weekday of `due`. `until` is inclusive. Skipped occurrences still count
+// towards `count`, as with EXDATE.
+
+export const FREQS = ["daily", "weekly", "monthly"];
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Safety net for rules with no end
+const MAX_OCCURRENCES = 3660;
+
+// Dates are handled as UTC midnights so DST never shifts a day
+function parseDay(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(s || ""));
+  return m ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+}
+
+function formatDay(t) {
+  return new Date(t).toISOString().slice(0, 10);
+}
+
+// "2026-10-19" + 3 -> "2026-10-22"
+export function addDays(day, n) {
+  return formatDay(parseDay(day) + n * DAY_MS);
+}
+
+export function isRecurring(task) {
+  return !!task?.repeat && FREQS.includes(task.repeat.freq) && parseDay(task.due) != null;
+}
+
+// Cleans form input into a stored rule, or null for "doesn't repeat".
+export function normalizeRepeat({ freq, interval, byDay, until, count }, due) {
+  if (!FREQS.includes(freq)) return null;
+  const start = parseDay(due);
+  const days = freq === "weekly" ? [...new Set((byDay || []).map(Number))].filter((d) => d >= 0 && d <= 6).sort() : [];
+  return {
+    freq,
+    interval: Math.max(1, Math.floor(Number(interval) || 1)),
+    byDay: days.length ? days : freq === "weekly" && start != null ? [new Date(start).getUTCDay()] : [],
+    until: parseDay(until) != null ? until : null,
+    count: Number(count) > 0 ? Math.floor(Number(count)) : null,
+  };
+}
+
+// Yields every occurrence date ("YYYY-MM-DD") in order, exceptions included.
+function* rawOccurrences(task) {
+  const start = parseDay(task.due);
+  const { freq, interval = 1, byDay = [], until, count } = task.repeat;
+  const end = parseDay(until) ?? Infinity;
+  const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  let n = 0;
+
+  const emit = function* (t) {
+    if (t < start) return false;
+    if (t > end || n >= limit) return true;
+    n++;
+    yield formatDay(t);
+    return false;
+  };
+
+  if (freq === "daily") {
+    for (let t = start; ; t += interval * DAY_MS) if (yield* emit(t)) return;
+  }
+
+  if (freq === "weekly") {
+    const days = byDay.length ? byDay : [new Date(start).getUTCDay()];
+    const weekStart = start - new Date(start).getUTCDay() * DAY_MS;
+    for (let w = weekStart; ; w += interval * 7 * DAY_MS) {
+      for (const d of days) if (yield* emit(w + d * DAY_MS)) return;
+    }
+  }
+
+  if (freq === "monthly") {
+    const s = new Date(start);
+    const dom = s.getUTCDate();
+    for (let i = 0; ; i += interval) {
+      const t = Date.UTC(s.getUTCFullYear(), s.getUTCMonth() + i, dom);
+      // Months without that day (e.g. the 31st) are skipped, as in RRULE
+      if (new Date(t).getUTCDate() !== dom) {
+        if (t > end) return;
+        continue;
+      }
+      if (yield* emit(t)) return;
+    }
+  }
+}
+
+// The first date the rule produces. `due` itself only counts if it matches the rule
+// (a weekly task due on a day missing from byDay starts on the next listed day), while
+// RFC 5545 always counts DTSTART, so exports start the series here.
+export function firstOccurrence(task) {
+  if (!isRecurring(task)) return task?.due || null;
+  for (const date of rawOccurrences(task)) return date;
+  return null;
+}
+
+// Occurrences of a task between `from` and `to` (inclusive, "YYYY-MM-DD"), one-off tasks
+// included, as [{ date, done }]. Skipped dates are left out.
+export function occurrencesBetween(task, from, to) {
+  if (!isRecurring(task)) {
+    return task?.due && task.due >= from && task.due <= to ? [{ date: task.due, done: !!task.done }] : [];
+  }
+  const skip = new Set(task.exceptions || []);
+  const done = new Set(task.doneDates || []);
+  const out = [];
+  for (const date of rawOccurrences(task)) {
+    if (date > to) break;
+    if (date >= from && !skip.has(date)) out.push({ date, done: done.has(date) });
+  }
+  return out;
+}
+
+// First occurrence on or after `from` that is neither done nor skipped, or null.
+export function nextOpenOccurrence(task, from) {
+  if (!isRecurring(task)) return !task?.done && task?.due >= from ? task.due : null;
+  const skip = new Set(task.exceptions || []);
+  const done = new Set(task.doneDates || []);
+  for (const date of rawOccurrences(task)) {
+    if (date >= from && !skip.has(date) && !done.has(date)) return date;
+  }
+  return null;
+}
+
+// "Every 2 weeks on Mon, Wed until 2026-12-18"
+export function describeRepeat(repeat) {
+  if (!repeat || !FREQS.includes(repeat.freq)) return "";
+  const unit = { daily: "day", weekly: "week", monthly: "month" }[repeat.freq];
+  const n = repeat.interval || 1;
+  let s = n === 1 ? `Every ${unit}` : `Every ${n} ${unit}s`;
+  if (repeat.freq === "weekly" && repeat.byDay?.length) s += ` on ${repeat.byDay.map((d) => WEEKDAYS[d]).join(", ")}`;
+  if (repeat.until) s += ` until ${repeat.until}`;
+  if (repeat.count) s += `, ${repeat.count} times`;
+  return s;
+}
+
+const RRULE_DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;WKST=SU;UNTIL=20261218". Weeks start on Sunday
+// here, while RRULE defaults to Monday, which matters for every-other-week rules.
+export function toRRule(repeat) {
+  if (!repeat || !FREQS.includes(repeat.freq)) return "";
+  const parts = [`FREQ=${repeat.freq.toUpperCase()}`];
+  if (repeat.interval > 1) parts.push(`INTERVAL=${repeat.interval}`);
+  if (repeat.freq === "weekly" && repeat.byDay?.length) parts.push(`BYDAY=${repeat.byDay.map((d) => RRULE_DAYS[d]).join(",")}`);
+  if (repeat.freq === "weekly") parts.push("WKST=SU");
+  if (repeat.until) parts.push(`UNTIL=${repeat.until.replace(/-/g, "")}`);
+  if (repeat.count) parts.push(`COUNT=${repeat.count}`);
+  return parts.join(";");
+}
+
+// The subset toRRule() writes. Returns null for rules it can't represent
+// (YEARLY, BYMONTHDAY, "2nd Tuesday", ...), which callers keep verbatim instead.
+export function parseRRule(rule, due) {
+  const fields = Object.fromEntries(
+    String(rule || "")
+      .replace(/^RRULE:/i, "")
+      .split(";")
+      .filter(Boolean)
+      .map((p) => {
+        const [k, v = ""] = p.split("=");
+        return [k.toUpperCase(), v.toUpperCase()];
+      })
+  );
+
+  const freq = { DAILY: "daily", WEEKLY: "weekly", MONTHLY: "monthly" }[fields.FREQ];
+  const known = new Set(["FREQ", "INTERVAL", "BYDAY", "UNTIL", "COUNT", "WKST"]);
+  if (!freq || Object.keys(fields).some((k) => !known.has(k))) return null;
+
+  let byDay = [];
+  if (fields.BYDAY) {
+    if (freq !== "weekly") return null;
+    byDay = fields.BYDAY.split(",").map((d) => RRULE_DAYS.indexOf(d));
+    if (byDay.some((d) => d < 0)) return null;
+  }
+  // Weeks are grouped Sunday to Saturday here; with another week start, an every-other-week
+  // rule whose days straddle it picks different weeks
+  const wkst = RRULE_DAYS.indexOf(fields.WKST || "MO");
+  if (Number(fields.INTERVAL) > 1 && byDay.some((d) => d < wkst) && byDay.some((d) => d >= wkst)) return null;
+
+  const u = /^(\d{4})(\d{2})(\d{2})/.exec(fields.UNTIL || "");
+  return normalizeRepeat(
+    {
+      freq,
+      interval: fields.INTERVAL,
+      byDay,
+      until: u ? `${u[1]}-${u[2]}-${u[3]}` : null,
+      count: fields.COUNT,
+    },
+    due
+  );
+}
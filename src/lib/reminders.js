@@ -0,0 +1,114 @@
+// Due-date reminders. The page turns tasks into a schedule of notification times and
+// hands it to the service worker (src/sw.js), which shows them while a tab is open; with
+// every tab closed the cron route api/reminders.js builds the same schedule and pushes them.
+// The extensions on imports let the API routes load this file with plain Node.
+//
+// task.reminders: offsets in minutes before the due time. Missing/null means the
+// default offsets from settings; [] means no reminder.
+import { expandTasks } from "./agenda.js";
+import { addDays } from "./recurrence.js";
+
+export const REMINDER_OFFSETS = [
+  { minutes: 0, label: "At due time" },
+  { minutes: 10, label: "10 minutes before" },
+  { minutes: 30, label: "30 minutes before" },
+  { minutes: 60, label: "1 hour before" },
+  { minutes: 120, label: "2 hours before" },
+  { minutes: 1440, label: "1 day before" },
+  { minutes: 2880, label: "2 days before" },
+  { minutes: 10080, label: "1 week before" },
+];
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  offsets: [1440],
+  // Tasks without a due time count as due at this time of day
+  allDayTime: "09:00",
+};
+
+// How far ahead the service worker is given reminders; the page refreshes it on every visit
+const SCHEDULE_DAYS = 21;
+// Reminders missed by less than this (device asleep, browser closed) are still shown late
+export const LATE_GRACE_MS = 6 * 60 * 60 * 1000;
+
+export function describeOffset(minutes) {
+  const known = REMINDER_OFFSETS.find((o) => o.minutes === minutes);
+  if (known) return known.label;
+  return minutes % 60 === 0 ? `${minutes / 60} hours before` : `${minutes} minutes before`;
+}
+
+// Wall-clock parts of `time` in `timeZone` (the runtime's own zone when missing)
+function zonedParts(time, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(time);
+  return Object.fromEntries(parts.map((p) => [p.type, p.value]));
+}
+
+// "2026-10-20" "09:00" in timeZone -> ms. Without a zone, the runtime's local time.
+function zonedTime(ymd, hhmm, timeZone) {
+  if (!timeZone) return new Date(`${ymd}T${hhmm}:00`).getTime();
+  const wall = Date.parse(`${ymd}T${hhmm}:00Z`);
+  const offset = (t) => {
+    const p = zonedParts(t, timeZone);
+    return Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second) - t;
+  };
+  // Twice, for times next to a daylight-saving change
+  const guess = wall - offset(wall);
+  return wall - offset(guess);
+}
+
+function dueAt(task, settings) {
+  const time = task.dueTime || settings.allDayTime || DEFAULT_REMINDER_SETTINGS.allDayTime;
+  return zonedTime(task.due, time, settings.timeZone);
+}
+
+// Returns [{ id, at, title, body, due }] sorted by time, for open tasks only.
+// settings.timeZone (IANA name) places due times in that zone rather than the runtime's,
+// which is how the server builds a device's schedule.
+export function buildReminderSchedule(tasks, settings, now = Date.now()) {
+  if (!settings?.enabled) return [];
+  const maxOffset = Math.max(...REMINDER_OFFSETS.map((o) => o.minutes));
+  const today = zonedParts(now, settings.timeZone);
+  const from = `${today.year}-${today.month}-${today.day}`;
+  const to = addDays(from, SCHEDULE_DAYS + Math.ceil(maxOffset / 1440));
+
+  const out = [];
+  for (const t of expandTasks(tasks, addDays(from, -1), to)) {
+    if (t.done) continue;
+    const offsets = Array.isArray(t.reminders) ? t.reminders : settings.offsets || [];
+    const due = dueAt(t, settings);
+    for (const minutes of offsets) {
+      const at = due - minutes * 60 * 1000;
+      if (at < now - LATE_GRACE_MS || at > now + SCHEDULE_DAYS * 24 * 60 * 60 * 1000) continue;
+      const when = new Date(due).toLocaleString(undefined, {
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+        timeZone: settings.timeZone,
+        ...(t.dueTime ? { hour: "numeric", minute: "2-digit" } : {}),
+      });
+      out.push({
+        id: `${t.id}:${t.due}:${minutes}`,
+        at,
+        title: t.title || "Task due",
+        body: [t.className, `Due ${when}`].filter(Boolean).join(" • "),
+        due: t.due,
+      });
+    }
+  }
+  return out.sort((a, b) => a.at - b.at);
+}
+
+// Reminders that should be showing now and haven't been shown yet.
+export function dueReminders(items, shownIds, now = Date.now()) {
+  const shown = new Set(shownIds);
+  return items.filter((r) => r.at <= now && r.at > now - LATE_GRACE_MS && !shown.has(r.id));
+}
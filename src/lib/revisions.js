@@ -0,0 +1,165 @@
+// Note revision snapshots (users/{uid}/notes/{id}/revisions) and line diffs between them.
+
+export const REVISION_INTERVAL_MS = 5 * 60 * 1000;
+const LARGE_CHANGE_CHARS = 800;
+
+// Big pastes, AI summaries, PDF imports and clears all count as large changes.
+export function isLargeChange(prevBody, nextBody) {
+  const a = String(prevBody || "");
+  const b = String(nextBody || "");
+  if (a && !b.trim()) return true;
+  return Math.abs(b.length - a.length) >= LARGE_CHANGE_CHARS;
+}
+
+function sameContent(a, b) {
+  return !!a && !!b && a.title === b.title && a.className === b.className && a.body === b.body;
+}
+
+// Decides which snapshots to write after a successful save, so autosave every
+// 900 ms produces at most one revision per REVISION_INTERVAL_MS:
+// - opened:       first save of the session keeps what the note looked like before
+// - before-large: the last saved state right before a large change
+// - autosave:     the new state, once the interval has passed (or after a large change)
+export function planRevisions({ lastRevision, lastSaved, opened, next, now = Date.now() }) {
+  const out = [];
+  const push = (reason, content) => {
+    const prev = out[out.length - 1]?.content || lastRevision;
+    if (content && !sameContent(prev, content)) out.push({ reason, content });
+  };
+
+  if (!lastRevision && opened && !sameContent(opened, next)) push("opened", opened);
+
+  const before = lastSaved || opened;
+  const large = isLargeChange(before?.body, next.body);
+  if (large && before && !sameContent(before, lastRevision)) push("before-large", before);
+
+  const due = !lastRevision || now - lastRevision.at >= REVISION_INTERVAL_MS;
+  if (large || due) push(large ? "large-change" : "autosave", next);
+
+  return out;
+}
+
+// Myers O(ND) line diff. Returns [{ type: "same" | "add" | "del", text }].
+// Common prefix/suffix are trimmed first so typical edits stay cheap.
+export function diffLines(aText, bText) {
+  const a = String(aText || "").split("\n");
+  const b = String(bText || "").split("\n");
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map((text) => ({ type: "same", text }));
+  const tail = a.slice(endA).map((text) => ({ type: "same", text }));
+  const mid = myers(a.slice(start, endA), b.slice(start, endB));
+  return [...head, ...mid, ...tail];
+}
+
+// Past this many edits the diff is shown as a full replace instead.
+const MAX_EDIT_DISTANCE = 1500;
+
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const replaceAll = () => [
+    ...a.map((text) => ({ type: "del", text })),
+    ...b.map((text) => ({ type: "add", text })),
+  ];
+  if (n === 0 || m === 0) return replaceAll();
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] keeps only diagonals -d-1..d+1, which is all the backtrack reads
+  const trace = [];
+  let done = false;
+
+  for (let d = 0; d <= max && !done; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        done = true;
+        break;
+      }
+    }
+  }
+  if (!done) return replaceAll();
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const at = (k) => vd[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: "same", text: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: "add", text: b[y - 1] });
+      else ops.push({ type: "del", text: a[x - 1] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+export function diffStats(ops) {
+  let added = 0;
+  let removed = 0;
+  for (const op of ops) {
+    if (op.type === "add") added++;
+    else if (op.type === "del") removed++;
+  }
+  return { added, removed };
+}
+
+// Folds long unchanged runs into { type: "skip", count } keeping `context` lines around edits.
+export function collapseUnchanged(ops, context = 2) {
+  const out = [];
+  let i = 0;
+  while (i < ops.length) {
+    if (ops[i].type !== "same") {
+      out.push(ops[i++]);
+      continue;
+    }
+    let j = i;
+    while (j < ops.length && ops[j].type === "same") j++;
+
+    const keepHead = i === 0 ? 0 : context;
+    const keepTail = j === ops.length ? 0 : context;
+    if (j - i > keepHead + keepTail + 1) {
+      out.push(...ops.slice(i, i + keepHead));
+      out.push({ type: "skip", count: j - i - keepHead - keepTail });
+      out.push(...ops.slice(j - keepTail, j));
+    } else {
+      out.push(...ops.slice(i, j));
+    }
+    i = j;
+  }
+  return out;
+}
@@ -0,0 +1,243 @@
+// Client-side search over notes, flashcards and tasks: inverted index, BM25 ranking,
+// query operators and highlighted snippets.
+//
+// Query syntax:
+//   word           must match (prefix match on the last word while typing)
+//   "exact phrase" must contain the phrase
+//   -word -"a b"   must not contain
+//   class:Bio  class:"Bio 101"  deck:Chem  type:note|card|task
+//   pinned:yes|no  done:yes|no  before:2026-09-01  after:2026-09-01
+//   -class:Bio     negates a filter
+
+const FILTER_FIELDS = new Set(["class", "deck", "type", "pinned", "done", "before", "after"]);
+const FIELD_BOOST = { title: 3, body: 1 };
+const K1 = 1.2;
+const B = 0.75;
+
+export function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function normalizeText(text) {
+  return String(text || "").toLowerCase().replace(/\s+/g, " ");
+}
+
+export function parseQuery(input) {
+  const q = { terms: [], phrases: [], excludeTerms: [], excludePhrases: [], filters: [] };
+  const re = /(-?)(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+  let m;
+
+  while ((m = re.exec(String(input || "")))) {
+    const [, neg, field, quoted, bare] = m;
+    const value = quoted ?? bare ?? "";
+
+    if (field && FILTER_FIELDS.has(field.toLowerCase())) {
+      if (value) q.filters.push({ field: field.toLowerCase(), value, neg: !!neg });
+      continue;
+    }
+
+    const phrase = quoted != null;
+    const text = field ? `${field}:${value}` : value;
+    if (phrase) {
+      const p = normalizeText(text).trim();
+      if (p) (neg ? q.excludePhrases : q.phrases).push(p);
+    } else {
+      const toks = tokenize(text);
+      (neg ? q.excludeTerms : q.terms).push(...toks);
+    }
+  }
+
+  // Plain text ending in a complete word (trailing space) shouldn't prefix-match
+  q.prefixLast = !/\s$/.test(String(input || "")) && !/"$/.test(String(input || ""));
+  return q;
+}
+
+export function isEmptyQuery(q) {
+  return (
+    q.terms.length === 0 &&
+    q.phrases.length === 0 &&
+    q.excludeTerms.length === 0 &&
+    q.excludePhrases.length === 0 &&
+    q.filters.length === 0
+  );
+}
+
+// docs: [{ key, type, item, title, body, className, deck, pinned, done, date }]
+export function buildIndex(docs) {
+  const postings = new Map(); // term -> Map(key -> weighted tf)
+  const lengths = new Map();
+  let total = 0;
+
+  for (const d of docs) {
+    let len = 0;
+    for (const field of ["title", "body"]) {
+      for (const t of tokenize(d[field])) {
+        let p = postings.get(t);
+        if (!p) postings.set(t, (p = new Map()));
+        p.set(d.key, (p.get(d.key) || 0) + FIELD_BOOST[field]);
+        len++;
+      }
+    }
+    lengths.set(d.key, len);
+    total += len;
+  }
+
+  return {
+    docs,
+    byKey: new Map(docs.map((d) => [d.key, d])),
+    postings,
+    terms: Array.from(postings.keys()).sort(),
+    lengths,
+    avgLength: docs.length ? total / docs.length : 0,
+  };
+}
+
+// Index terms starting with `prefix`, found by binary search over the sorted term list.
+function expandPrefix(index, prefix) {
+  const { terms } = index;
+  let lo = 0;
+  let hi = terms.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (terms[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  const out = [];
+  for (let i = lo; i < terms.length && terms[i].startsWith(prefix); i++) out.push(terms[i]);
+  return out;
+}
+
+function parseDay(s) {
+  const t = Date.parse(`${s}T00:00:00`);
+  return Number.isFinite(t) ? t : null;
+}
+
+function yesNo(v) {
+  const s = String(v).toLowerCase();
+  if (["yes", "y", "true", "1"].includes(s)) return true;
+  if (["no", "n", "false", "0"].includes(s)) return false;
+  return null;
+}
+
+// Unparseable values (e.g. "pinned:maybe") match everything rather than nothing.
+function matchesFilter(d, field, value) {
+  const v = String(value).toLowerCase();
+  if (field === "class") return String(d.className || "").toLowerCase().includes(v);
+  if (field === "deck") return String(d.deck || "").toLowerCase().includes(v);
+  if (field === "type") return d.type.startsWith(v);
+  if (field === "pinned") return yesNo(v) === null || !!d.pinned === yesNo(v);
+  if (field === "done") return yesNo(v) === null || !!d.done === yesNo(v);
+  const t = parseDay(value);
+  if (t === null) return true;
+  if (field === "before") return d.date != null && d.date < t;
+  if (field === "after") return d.date != null && d.date >= t + 24 * 60 * 60 * 1000;
+  return true;
+}
+
+function passesFilters(d, filters) {
+  return filters.every((f) => matchesFilter(d, f.field, f.value) !== f.neg);
+}
+
+// Returns [{ doc, score }] best first. An empty text query keeps `docs` order.
+export function search(index, q) {
+  const { docs, postings, lengths, avgLength } = index;
+  const n = docs.length;
+  const scores = new Map();
+  let candidates = null;
+
+  q.terms.forEach((term, i) => {
+    const expand = i === q.terms.length - 1 && q.prefixLast;
+    const matched = expand ? expandPrefix(index, term) : postings.has(term) ? [term] : [];
+    const hits = new Map();
+
+    for (const t of matched) {
+      const p = postings.get(t);
+      const idf = Math.log(1 + (n - p.size + 0.5) / (p.size + 0.5));
+      const exact = t === term ? 1 : 0.7;
+      for (const [key, tf] of p) {
+        const len = lengths.get(key) || 0;
+        const s = idf * ((tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * len) / (avgLength || 1)))) * exact;
+        hits.set(key, Math.max(hits.get(key) || 0, s));
+      }
+    }
+
+    // Every term must match (AND)
+    const keys = new Set(hits.keys());
+    candidates = candidates ? new Set([...candidates].filter((k) => keys.has(k))) : keys;
+    for (const [key, s] of hits) scores.set(key, (scores.get(key) || 0) + s);
+  });
+
+  const pool = candidates ? docs.filter((d) => candidates.has(d.key)) : docs;
+  const out = [];
+
+  for (const d of pool) {
+    if (!passesFilters(d, q.filters)) continue;
+
+    if (q.phrases.length || q.excludePhrases.length) {
+      const hay = normalizeText(`${d.title} ${d.body}`);
+      if (!q.phrases.every((p) => hay.includes(p))) continue;
+      if (q.excludePhrases.some((p) => hay.includes(p))) continue;
+    }
+    if (q.excludeTerms.length) {
+      const toks = new Set(tokenize(`${d.title} ${d.body}`));
+      if (q.excludeTerms.some((t) => toks.has(t))) continue;
+    }
+
+    out.push({ doc: d, score: (scores.get(d.key) || 0) + q.phrases.length });
+  }
+
+  if (q.terms.length || q.phrases.length) out.sort((a, b) => b.score - a.score);
+  return out;
+}
+
+// Snippet around the first hit as [{ text, hit }] segments, for <mark> highlighting.
+export function snippet(text, q, width = 110) {
+  const src = String(text || "").replace(/\s+/g, " ").trim();
+  if (!src) return [];
+  const lower = src.toLowerCase();
+
+  const needles = [...q.phrases, ...q.terms].filter(Boolean);
+  const ranges = [];
+  for (const needle of needles) {
+    const isPhrase = needle.includes(" ");
+    const re = new RegExp(
+      isPhrase ? escapeRe(needle) : `(?<![\\p{L}\\p{N}])${escapeRe(needle)}[\\p{L}\\p{N}]*`,
+      "gu"
+    );
+    let m;
+    while ((m = re.exec(lower))) {
+      ranges.push([m.index, m.index + m[0].length]);
+      if (m[0].length === 0) re.lastIndex++;
+    }
+  }
+
+  if (ranges.length === 0) {
+    return [{ text: src.slice(0, width) + (src.length > width ? "…" : ""), hit: false }];
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const first = ranges[0][0];
+  const start = Math.max(0, Math.min(first - Math.floor(width / 3), src.length - width));
+  const end = Math.min(src.length, start + width);
+
+  const segs = [];
+  let pos = start;
+  if (start > 0) segs.push({ text: "…", hit: false });
+  for (const [a, b] of ranges) {
+    if (b <= pos || a >= end) continue;
+    const s = Math.max(a, pos);
+    if (s > pos) segs.push({ text: src.slice(pos, s), hit: false });
+    segs.push({ text: src.slice(s, Math.min(b, end)), hit: true });
+    pos = Math.min(b, end);
+  }
+  if (pos < end) segs.push({ text: src.slice(pos, end), hit: false });
+  if (end < src.length) segs.push({ text: "…", hit: false });
+  return segs;
+}
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,89 @@
+// SM-2 style scheduler for flashcards.
+// Scheduling fields live directly on each users/{uid}/flashcards doc:
+//   ease (multiplier), interval (days), due (ms epoch), reps, lapses, lastReviewed (ms epoch)
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+export const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const RELEARN_DELAY = 10 * MINUTE;
+
+export const GRADES = [
+  { id: "again", label: "Again", className: "btn-danger" },
+  { id: "hard", label: "Hard", className: "" },
+  { id: "good", label: "Good", className: "btn-ok" },
+  { id: "easy", label: "Easy", className: "btn-primary" },
+];
+
+function endOfDay(now) {
+  const d = new Date(now);
+  d.setHours(23, 59, 59, 999);
+  return d.getTime();
+}
+
+// Cards that were never reviewed have no `due` and count as due immediately.
+// Suspended cards are never due.
+export function isDue(card, now = Date.now()) {
+  if (card?.suspended) return false;
+  if (typeof card?.due !== "number") return true;
+  return card.due <= endOfDay(now);
+}
+
+export function isNew(card) {
+  return !card?.reps && !card?.lapses && typeof card?.due !== "number";
+}
+
+// Returns the fields to merge into the card doc after grading it.
+export function schedule(card, grade, now = Date.now()) {
+  const ease = typeof card?.ease === "number" ? card.ease : DEFAULT_EASE;
+  const interval = typeof card?.interval === "number" ? card.interval : 0;
+  const reps = card?.reps || 0;
+  const lapses = card?.lapses || 0;
+
+  if (grade === "again") {
+    return {
+      ease: Math.max(MIN_EASE, ease - 0.2),
+      interval: 0,
+      reps: 0,
+      lapses: reps > 0 ? lapses + 1 : lapses,
+      due: now + RELEARN_DELAY,
+      lastReviewed: now,
+    };
+  }
+
+  let nextEase = ease;
+  let nextInterval;
+
+  if (grade === "hard") {
+    nextEase = Math.max(MIN_EASE, ease - 0.15);
+    nextInterval = reps === 0 ? 1 : Math.max(interval + 1, Math.round(interval * 1.2));
+  } else if (grade === "good") {
+    nextInterval = reps === 0 ? 1 : reps === 1 ? 6 : Math.round(interval * ease);
+  } else if (grade === "easy") {
+    nextEase = ease + 0.15;
+    nextInterval = reps === 0 ? 4 : Math.round(Math.max(interval, 1) * ease * 1.3);
+  } else {
+    throw new Error(`Unknown grade: ${grade}`);
+  }
+
+  return {
+    ease: Math.round(nextEase * 100) / 100,
+    interval: nextInterval,
+    reps: reps + 1,
+    lapses,
+    due: now + nextInterval * DAY,
+    lastReviewed: now,
+  };
+}
+
+// Short label for the grading buttons, e.g. "10m", "1d", "2mo".
+export function previewInterval(card, grade, now = Date.now()) {
+  const next = schedule(card, grade, now);
+  const ms = next.due - now;
+  if (ms < DAY) return `${Math.max(1, Math.round(ms / MINUTE))}m`;
+  const days = Math.round(ms / DAY);
+  if (days < 30) return `${days}d`;
+  if (days < 365) return `${Math.round(days / 30)}mo`;
+  return `${Math.round((days / 365) * 10) / 10}y`;
+}
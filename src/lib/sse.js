@@ -0,0 +1,35 @@
+// Client side of the streaming AI routes (api/_sse.js): POSTs with `stream: true` and
+// calls onEvent(event, data) for every server-sent event as it arrives. An "error" event
+// rejects with an ApiError, as do auth and quota failures before the stream starts;
+// aborting `signal` (Cancel) rejects with an AbortError and stops the server.
+import { ApiError, apiPost } from "./api";
+
+export async function postStream(url, body, { signal, onEvent }) {
+  const res = await apiPost(url, { ...body, stream: true }, { signal, headers: { Accept: "text/event-stream" } });
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value.replace(/\r\n/g, "\n");
+
+    let end;
+    while ((end = buffer.indexOf("\n\n")) >= 0) {
+      const frame = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      let event = "message";
+      const data = [];
+      for (const line of frame.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+      }
+      const payload = data.length ? JSON.parse(data.join("\n")) : {};
+      if (event === "error") throw new ApiError(payload.error || "Stream error.", { status: 500, code: payload.code || "" });
+      if (event === "done") return;
+      onEvent(event, payload);
+    }
+  }
+  // The connection dropped before the server finished
+  throw new ApiError("The connection dropped before the answer finished.");
+}
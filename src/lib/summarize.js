@@ -0,0 +1,200 @@
+// Map-reduce summarization for long notes (PDF imports, lecture transcripts).
+//
+// The text is split on [Page N] markers and Markdown headings into chunks that fit one
+// request, each chunk is summarized with page citations ("chunk" mode of
+// /api/summarize), and the partial summaries are merged ("merge" mode) into one
+// hierarchical summary. Merging is repeated in groups while the partials are too long
+// for a single request. Short notes still go through in one call. The final call
+// streams (onDelta) so the summary can be shown while it is written. The chosen style
+// and target length (lib/summaryStyles.js) shape that final call; the chunk summaries
+// are always plain cited bullets.
+import { apiJson, withRateRetry } from "./api";
+import { postStream } from "./sse";
+import { SUMMARY_BLOCK_RE } from "./summaryStyles";
+
+export const CHUNK_CHARS = 12000;
+const MERGE_CHARS = 16000;
+// The server refuses inputs over AI_MAX_INPUT_CHARS; set VITE_AI_MAX_INPUT_CHARS to match
+// when it isn't the default
+const MAX_REQUEST_CHARS = Number(import.meta.env.VITE_AI_MAX_INPUT_CHARS) || 60000;
+// Below this a clipped partial says too little to be worth merging
+const MIN_PART_CHARS = 1000;
+const CONCURRENCY = 2;
+
+const PAGE_RE = /^\[Page (\d+)\]\s*$/;
+const HEADING_RE = /^#{1,6}\s+\S/;
+
+// Earlier summaries in the note shouldn't be summarized again
+function stripSummaries(text) {
+  return String(text || "").replace(SUMMARY_BLOCK_RE, "");
+}
+
+// Splits into sections at page markers and headings: [{ text, page }]
+function sections(text) {
+  const out = [];
+  let page = null;
+  let cur = { lines: [], page };
+  const flush = () => {
+    if (cur.lines.join("").trim()) out.push({ text: cur.lines.join("\n").trim(), page: cur.page });
+  };
+
+  for (const line of text.split("\n")) {
+    const m = PAGE_RE.exec(line.trim());
+    // A heading right under a page marker stays with it
+    const afterMarker = !m && PAGE_RE.test(cur.lines.join("\n").trim());
+    if (m || (HEADING_RE.test(line) && !afterMarker)) {
+      flush();
+      if (m) page = Number(m[1]);
+      cur = { lines: [line], page };
+    } else {
+      cur.lines.push(line);
+    }
+  }
+  flush();
+  return out;
+}
+
+// Sections longer than a chunk are cut at paragraph (or, failing that, line) breaks
+function splitLong(section, max) {
+  if (section.text.length <= max) return [section];
+  const parts = [];
+  let rest = section.text;
+  while (rest.length > max) {
+    let cut = rest.lastIndexOf("\n\n", max);
+    if (cut < max / 2) cut = rest.lastIndexOf("\n", max);
+    if (cut < max / 2) cut = rest.lastIndexOf(" ", max);
+    if (cut <= 0) cut = max;
+    parts.push({ text: rest.slice(0, cut).trim(), page: section.page });
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) parts.push({ text: rest, page: section.page });
+  return parts;
+}
+
+// Returns [{ text, firstPage, lastPage }] with every chunk at most `max` characters.
+export function splitForSummary(text, max = CHUNK_CHARS) {
+  const chunks = [];
+  let cur = null;
+  for (const s of sections(stripSummaries(text)).flatMap((s) => splitLong(s, max))) {
+    if (cur && cur.text.length + s.text.length + 2 <= max) {
+      cur.text += `\n\n${s.text}`;
+      if (s.page != null) cur.lastPage = s.page;
+      continue;
+    }
+    if (cur) chunks.push(cur);
+    // A chunk starting mid-page repeats the marker so citations stay right
+    const marker = s.page != null && !PAGE_RE.test(s.text.split("\n")[0].trim()) ? `[Page ${s.page}]\n` : "";
+    cur = { text: marker + s.text, firstPage: s.page, lastPage: s.page };
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+// Cuts a partial summary to `max` characters at a line break where possible
+function clip(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.lastIndexOf("\n", max);
+  return text.slice(0, cut > max / 2 ? cut : max).trim();
+}
+
+function pagesLabel(part) {
+  if (part.firstPage == null) return "";
+  return part.firstPage === part.lastPage ? `p. ${part.firstPage}` : `pp. ${part.firstPage}–${part.lastPage}`;
+}
+
+async function post(body, signal, onDelta) {
+  if (onDelta) {
+    let summary = "";
+    await postStream("/api/summarize", body, {
+      signal,
+      onEvent: (event, data) => {
+        if (event !== "delta") return;
+        summary += data.text;
+        onDelta(data.text);
+      },
+    });
+    return summary;
+  }
+  // A long document can run into the per-minute limit; wait it out
+  return withRateRetry(async () => (await apiJson("/api/summarize", body, { signal })).summary, { signal });
+}
+
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+// onProgress({ stage: "chunks" | "merge", done, total }); onDelta(text) for the streamed final summary
+export async function summarizeLong(text, { style, words, onProgress = () => {}, onDelta, signal } = {}) {
+  const chunks = splitForSummary(text);
+  if (chunks.length <= 1) {
+    onProgress({ stage: "chunks", done: 0, total: 1 });
+    const summary = await post({ text: stripSummaries(text), style, length: words }, signal, onDelta);
+    onProgress({ stage: "chunks", done: 1, total: 1 });
+    return summary;
+  }
+
+  let done = 0;
+  onProgress({ stage: "chunks", done, total: chunks.length });
+  let parts = await mapLimit(chunks, CONCURRENCY, async (c) => {
+    const summary = await post({ mode: "chunk", text: c.text, pages: pagesLabel(c) }, signal);
+    onProgress({ stage: "chunks", done: ++done, total: chunks.length });
+    return { summary, firstPage: c.firstPage, lastPage: c.lastPage };
+  });
+
+  // Reduce in groups until one merge call can take everything
+  for (;;) {
+    const groups = [];
+    let group = [];
+    let size = 0;
+    for (const p of parts) {
+      if (group.length && size + p.summary.length > MERGE_CHARS) {
+        groups.push(group);
+        group = [];
+        size = 0;
+      }
+      group.push(p);
+      size += p.summary.length;
+    }
+    groups.push(group);
+    // Partials that don't shrink below MERGE_CHARS (say, with a raised AI_MAX_TOKENS) would
+    // regroup one per group forever; merge them all in one call instead, each clipped to
+    // its share of what the server accepts
+    if (groups.length === parts.length) {
+      const room = Math.floor(MAX_REQUEST_CHARS / parts.length);
+      if (room < MIN_PART_CHARS) {
+        throw new Error(
+          `This is too long to summarize: its ${parts.length} section summaries don't fit in one request.`
+        );
+      }
+      groups.splice(0, groups.length, parts.map((p) => ({ ...p, summary: clip(p.summary, room) })));
+    }
+
+    const final = groups.length === 1;
+    let merged = 0;
+    onProgress({ stage: "merge", done: 0, total: groups.length });
+    parts = await mapLimit(groups, CONCURRENCY, async (g) => {
+      const summary = await post(
+        {
+          mode: "merge",
+          final,
+          parts: g.map((p) => ({ pages: pagesLabel(p), summary: p.summary })),
+          ...(final ? { style, length: words } : {}),
+        },
+        signal,
+        final ? onDelta : undefined
+      );
+      onProgress({ stage: "merge", done: ++merged, total: groups.length });
+      return { summary, firstPage: g[0].firstPage, lastPage: g[g.length - 1].lastPage };
+    });
+    if (final) return parts[0].summary;
+  }
+}
@@ -0,0 +1,42 @@
+// Summary styles offered next to the Summarize button (the prompts are in
+// api/summarize.js). Each style goes into the note as its own block:
+//   === AI <TAG> ===
+//   ...
+//   === /<TAG> ===
+// The bullet style keeps the original "=== AI SUMMARY ===" / "=== /SUMMARY ===" markers.
+// Tags are plain uppercase words, so they go into regexes as they are.
+export const SUMMARY_STYLES = [
+  { id: "bullets", label: "Bullet summary", tag: "SUMMARY", blockLabel: "AI summary" },
+  { id: "cornell", label: "Cornell notes", tag: "CORNELL NOTES", blockLabel: "AI Cornell notes" },
+  { id: "outline", label: "Outline", tag: "OUTLINE", blockLabel: "AI outline" },
+  { id: "glossary", label: "Glossary", tag: "GLOSSARY", blockLabel: "AI glossary" },
+  { id: "cheatsheet", label: "Cheat sheet", tag: "CHEAT SHEET", blockLabel: "AI cheat sheet" },
+];
+
+// Target length in words
+export const SUMMARY_LENGTHS = [
+  { id: "short", label: "Short", words: 150 },
+  { id: "medium", label: "Medium", words: 350 },
+  { id: "long", label: "Long", words: 700 },
+];
+
+export const DEFAULT_SUMMARY_SETTINGS = { style: "bullets", length: "medium" };
+
+export function summaryStyle(id) {
+  return SUMMARY_STYLES.find((s) => s.id === id) || SUMMARY_STYLES[0];
+}
+
+export function summaryWords(lengthId) {
+  return (SUMMARY_LENGTHS.find((l) => l.id === lengthId) || SUMMARY_LENGTHS[1]).words;
+}
+
+export function summaryMarkers(id) {
+  const { tag } = summaryStyle(id);
+  return { open: `=== AI ${tag} ===`, close: `=== /${tag} ===` };
+}
+
+// Every AI summary block in a body, whatever its style
+export const SUMMARY_BLOCK_RE = new RegExp(
+  `^=== AI (${SUMMARY_STYLES.map((s) => s.tag).join("|")}) ===$[\\s\\S]*?^=== /\\1 ===$`,
+  "gm"
+);
@@ -0,0 +1,47 @@
+// Offline sync helpers: how a remote change to the open note is reconciled with the drafts.
+import { diffLines } from "./revisions";
+
+// Each tab stamps its note writes so its own echoes can be told apart from other devices.
+export const EDITOR_ID = Math.random().toString(16).slice(2) + Date.now().toString(16);
+
+// Same shape saveNote() writes, so drafts and docs compare equal when nothing changed.
+export function noteContent(n) {
+  return {
+    title: String(n?.title || "").trim() || "Untitled",
+    className: String(n?.className || "").trim(),
+    body: String(n?.body || ""),
+  };
+}
+
+export function sameNoteContent(a, b) {
+  const x = noteContent(a);
+  const y = noteContent(b);
+  return x.title === y.title && x.className === y.className && x.body === y.body;
+}
+
+// base:   the server version the drafts were loaded from / last saved as ({ updatedAt, editorId, content })
+// remote: the incoming doc ({ updatedAt, baseUpdatedAt, editorId, content })
+// Returns:
+//   "rebase"   - nothing to merge, just remember the new server version
+//   "adopt"    - no local edits and it builds on ours: load it into the drafts
+//   "conflict" - both sides changed; ask the user
+export function reconcileRemote({ base, remote, drafts }) {
+  if (sameNoteContent(remote.content, base.content)) return "rebase";
+  if (remote.editorId === EDITOR_ID) return "rebase";
+  if (sameNoteContent(remote.content, drafts)) return "rebase";
+
+  const dirty = !sameNoteContent(drafts, base.content);
+  // Written from an older version than ours, so it overwrote what we last saved. A tab's
+  // saves build on each other, but ones made before the previous save was acknowledged
+  // (queued offline, or typed quickly) still name the version under that one.
+  const sameEditor = !!remote.editorId && remote.editorId === base.editorId;
+  const stale = !sameEditor && (remote.baseUpdatedAt ?? null) !== (base.updatedAt ?? null);
+  return dirty || stale ? "conflict" : "adopt";
+}
+
+// Keeps every line from both sides, in order; a starting point for manual merges.
+export function unionMerge(theirs, mine) {
+  return diffLines(theirs, mine)
+    .map((op) => op.text)
+    .join("\n");
+}
@@ -0,0 +1,143 @@
+// Service worker: precaching (what VitePWA generated before) plus due-date reminders.
+//
+// The page posts the reminder schedule (lib/reminders.js) and the signed-in uid whenever
+// tasks or settings change; they are kept in IndexedDB. Notifications are shown:
+// - every minute while a tab is open (it posts "reminders:check"),
+// - when api/reminders.js pushes one (Web Push through FCM, see lib/push.js), which is
+//   what delivers them with every tab closed,
+// - whenever the worker wakes up, including on periodic background sync,
+// - ahead of time through Notification Triggers, if a browser ever ships them.
+// The shown ids are shared, so a reminder seen in a tab isn't shown again when pushed.
+import { cleanupOutdatedCaches, createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { NavigationRoute, registerRoute } from "workbox-routing";
+import { clientsClaim } from "workbox-core";
+import { dueReminders } from "./lib/reminders";
+
+self.skipWaiting();
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+cleanupOutdatedCaches();
+registerRoute(new NavigationRoute(createHandlerBoundToURL("index.html")));
+
+/* ---------------- reminder store ---------------- */
+
+function openStore() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open("intense-notes-reminders", 1);
+    req.onupgradeneeded = () => req.result.createObjectStore("kv");
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function kv(mode, fn) {
+  const db = await openStore();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("kv", mode);
+    const req = fn(tx.objectStore("kv"));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+const load = (key) => kv("readonly", (s) => s.get(key));
+const save = (key, value) => kv("readwrite", (s) => s.put(value, key));
+
+/* ---------------- notifications ---------------- */
+
+const canTrigger = typeof TimestampTrigger !== "undefined" && "showTrigger" in Notification.prototype;
+
+function show(r, extra = {}) {
+  return self.registration.showNotification(r.title, {
+    body: r.body,
+    tag: r.id,
+    icon: "/pwa-192.png",
+    badge: "/pwa-192.png",
+    data: { due: r.due },
+    ...extra,
+  });
+}
+
+async function checkReminders() {
+  if (Notification.permission !== "granted") return;
+  const items = (await load("schedule")) || [];
+  const shown = (await load("shown")) || [];
+  const now = Date.now();
+
+  const due = dueReminders(items, shown, now);
+  await Promise.all(due.map((r) => show(r)));
+
+  // Only ids still in the schedule need remembering
+  const ids = new Set(items.map((r) => r.id));
+  await save("shown", [...shown.filter((id) => ids.has(id)), ...due.map((r) => r.id)]);
+}
+
+async function setSchedule(items, uid) {
+  await save("uid", uid || null);
+  await save("schedule", items);
+  if (!canTrigger || Notification.permission !== "granted") return;
+
+  // Replace pending triggered notifications with the new schedule
+  const pending = await self.registration.getNotifications({ includeTriggered: true });
+  const now = Date.now();
+  for (const n of pending) if (n.showTrigger) n.close();
+  const shown = (await load("shown")) || [];
+  const future = items.filter((r) => r.at > now);
+  await Promise.all(future.map((r) => show(r, { showTrigger: new TimestampTrigger(r.at) })));
+  // Triggered ones fire on their own; don't show them again from checkReminders()
+  await save("shown", [...shown, ...future.map((r) => r.id)]);
+}
+
+self.addEventListener("message", (event) => {
+  const { type, items, uid } = event.data || {};
+  if (type === "reminders:schedule") event.waitUntil(setSchedule(items || [], uid).then(checkReminders));
+  else if (type === "reminders:check") event.waitUntil(checkReminders());
+  else if (type === "reminders:test") {
+    event.waitUntil(show({ id: "test", title: "Intense Notes", body: "Reminders are on. 🔔", due: null }));
+  }
+});
+
+// Pushed reminders are for whoever was signed in when the device registered; after a
+// sign-out (or another account signing in) they are dropped
+async function showPushed(r) {
+  const shown = (await load("shown")) || [];
+  if (r.uid !== (await load("uid")) || shown.includes(r.id)) return;
+  await show({ id: r.id, title: r.title, body: r.body, due: r.due || null });
+  await save("shown", [...shown, r.id]);
+}
+
+self.addEventListener("push", (event) => {
+  let r = null;
+  try {
+    r = event.data?.json()?.data;
+  } catch {
+    return;
+  }
+  if (r?.id) event.waitUntil(showPushed(r));
+});
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === "reminders") event.waitUntil(checkReminders());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(checkReminders());
+});
+
+// Focus (or open) the app on the reminded day
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const due = event.notification.data?.due;
+  event.waitUntil(
+    (async () => {
+      const [tab] = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+      if (!tab) {
+        await self.clients.openWindow(due ? `/?day=${due}` : "/");
+        return;
+      }
+      await tab.focus();
+      if (due) tab.postMessage({ type: "reminders:open", due });
+    })()
+  );
+});
@@ -0,0 +1,82 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import handler from "../../api/ask.js";
+import { resetAdmin } from "../helpers/fakeAdmin.js";
+import { request, response } from "../helpers/http.js";
+
+vi.mock("../../api/_admin.js", () => import("../helpers/fakeAdmin.js"));
+vi.mock("firebase-admin/firestore", () => import("../helpers/fakeAdmin.js"));
+
+async function call(body, options) {
+  const res = response();
+  await handler(request(body, options), res);
+  return res;
+}
+
+const LECTURE = [
+  "My own notes on energy.",
+  "--- PDF IMPORT: lecture3.pdf ---",
+  "[Page 4]",
+  "Mitochondria produce ATP through cellular respiration.",
+  "--- /PDF ---",
+].join("\n");
+
+let store;
+beforeEach(() => {
+  ({ store } = resetAdmin());
+});
+
+describe("POST /api/ask", () => {
+  it("validates each mode before the guard", async () => {
+    expect((await call({ question: "?" })).statusCode).toBe(400);
+    expect((await call({ mode: "index", noteId: "a/b" })).statusCode).toBe(400);
+    expect((await call({ mode: "prune", keep: "n1" })).statusCode).toBe(400);
+    expect(store.size).toBe(0);
+  });
+
+  it("says so when nothing is indexed", async () => {
+    const res = await call({ question: "What makes ATP?" });
+    expect(res.body).toMatchObject({ sources: [] });
+    expect(res.body.answer).toMatch(/None of your notes are indexed/);
+  });
+
+  it("indexes notes and answers with cited sources", async () => {
+    const indexed = await call({ mode: "index", noteId: "n1", title: "Biology", className: "Bio", body: LECTURE });
+    expect(indexed.body).toEqual({ added: 2, removed: 0, kept: 0 });
+    await call({ mode: "index", noteId: "n2", title: "History", body: "The treaty of Versailles ended the war in 1919." });
+
+    const res = await call({ question: "How do mitochondria produce ATP?" });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.answer).toBe("According to your notes: Mitochondria produce ATP through cellular respiration. [1]");
+    expect(res.body.sources[0]).toEqual({
+      n: 1,
+      noteId: "n1",
+      title: "Biology",
+      page: 4,
+      file: "lecture3.pdf",
+      snippet: "Mitochondria produce ATP through cellular respiration.",
+    });
+  });
+
+  it("keeps each user's index to themselves", async () => {
+    await call({ mode: "index", noteId: "n1", title: "Biology", body: LECTURE });
+    const res = await call({ question: "How do mitochondria produce ATP?" }, { token: "uid:bob" });
+    expect(res.body.sources).toEqual([]);
+  });
+
+  it("re-indexes only what changed and prunes deleted notes", async () => {
+    await call({ mode: "index", noteId: "n1", title: "Biology", body: LECTURE });
+    const again = await call({ mode: "index", noteId: "n1", title: "Biology", body: `${LECTURE}\n\nA new paragraph.` });
+    expect(again.body).toEqual({ added: 1, removed: 0, kept: 2 });
+
+    await call({ mode: "index", noteId: "n2", title: "History", body: "The treaty ended the war." });
+    expect((await call({ mode: "prune", keep: ["n2"] })).body).toEqual({ removed: 3 });
+  });
+
+  it("refuses to index past the daily allowance", async () => {
+    store.set(`aiUsage/alice/days/${new Date().toISOString().slice(0, 10)}`, { tokens: 199999 });
+    const res = await call({ mode: "index", noteId: "n1", title: "Biology", body: LECTURE });
+    expect(res.statusCode).toBe(429);
+    expect(res.body.code).toBe("quota_exceeded");
+    expect([...store.keys()].some((path) => path.includes("noteChunks"))).toBe(false);
+  });
+});
@@ -0,0 +1,39 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import handler from "../../api/flashcards.js";
+import { resetAdmin } from "../helpers/fakeAdmin.js";
+import { request, response, sseEvents } from "../helpers/http.js";
+
+vi.mock("../../api/_admin.js", () => import("../helpers/fakeAdmin.js"));
+vi.mock("firebase-admin/firestore", () => import("../helpers/fakeAdmin.js"));
+
+const TEXT = "Photosynthesis is the way plants turn light into sugar. The Krebs cycle releases stored energy.";
+
+async function call(body, options) {
+  const res = response();
+  await handler(request(body, options), res);
+  return res;
+}
+
+beforeEach(() => resetAdmin());
+
+describe("POST /api/flashcards", () => {
+  it("rejects short text", async () => {
+    expect((await call({ text: "tiny" })).statusCode).toBe(400);
+  });
+
+  it("returns cards as JSON", async () => {
+    const res = await call({ text: TEXT });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.cards).toEqual([
+      { question: "What is Photosynthesis?", answer: "the way plants turn light into sugar." },
+      { question: 'Complete: "The Krebs cycle releases stored energy."', answer: "The Krebs cycle releases stored energy." },
+    ]);
+  });
+
+  it("streams one card event per card", async () => {
+    const res = await call({ text: TEXT, stream: true });
+    const events = sseEvents(res);
+    expect(events.map((e) => e.event)).toEqual(["card", "card", "done"]);
+    expect(events.slice(0, 2).map((e) => e.data)).toEqual((await call({ text: TEXT })).body.cards);
+  });
+});
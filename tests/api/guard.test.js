@@ -0,0 +1,117 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { request, response } from "../helpers/http.js";
+
+vi.mock("../../api/_admin.js", () => import("../helpers/fakeAdmin.js"));
+vi.mock("firebase-admin/firestore", () => import("../helpers/fakeAdmin.js"));
+
+// _guard.js reads its limits from the environment when it loads. The fake is reached
+// through the mocked path so it's the instance the fresh _guard.js uses.
+async function load(env = {}) {
+  for (const [name, value] of Object.entries(env)) vi.stubEnv(name, value);
+  vi.resetModules();
+  const admin = await import("../../api/_admin.js");
+  const guard = await import("../../api/_guard.js");
+  return { ...guard, ...admin.resetAdmin() };
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+const dayDoc = (store, uid = "alice") => store.get(`aiUsage/${uid}/days/${today()}`);
+
+afterEach(() => vi.unstubAllEnvs());
+
+describe("guardAi", () => {
+  let g;
+  beforeEach(async () => {
+    g = await load();
+  });
+
+  it("checks the ID token", async () => {
+    const missing = response();
+    expect(await g.guardAi(request({}, { token: null }), missing)).toBe(null);
+    expect(missing.statusCode).toBe(401);
+    expect(missing.body.code).toBe("unauthenticated");
+
+    const bad = response();
+    expect(await g.guardAi(request({}, { token: "forged" }), bad)).toBe(null);
+    expect(bad.statusCode).toBe(401);
+
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const broken = response();
+    expect(await g.guardAi(request({}, { token: "misconfigured" }), broken)).toBe(null);
+    expect(broken.statusCode).toBe(500);
+    expect(broken.body.code).toBe("auth_unavailable");
+  });
+
+  it("refuses inputs over the size limit", async () => {
+    const res = response();
+    expect(await g.guardAi(request({}), res, { input: ["x".repeat(11)], maxChars: 10 })).toBe(null);
+    expect(res.statusCode).toBe(413);
+    expect(res.body.code).toBe("too_large");
+  });
+
+  it("reserves the worst case, charges what's used and releases the rest", async () => {
+    const guard = await g.guardAi(request({}), response(), { task: "ask", input: ["abcd"] });
+    expect(guard.uid).toBe("alice");
+    // 1 input token + the task's 800 output tokens
+    expect(dayDoc(g.store)).toMatchObject({ requests: 1, tokens: 801 });
+
+    await guard.record(100);
+    expect(dayDoc(g.store).tokens).toBe(801);
+    await guard.release();
+    expect(dayDoc(g.store).tokens).toBe(100);
+  });
+
+  it("charges usage beyond the reservation", async () => {
+    const guard = await g.guardAi(request({}), response(), { task: "ask", input: ["abcd"] });
+    await guard.record(1000);
+    await guard.release();
+    expect(dayDoc(g.store).tokens).toBe(1000);
+  });
+
+  it("holds more tokens on reserve() until the daily allowance runs out", async () => {
+    const guard = await g.guardAi(request({}), response());
+    await guard.reserve(150000);
+    expect(dayDoc(g.store).tokens).toBe(150000);
+    await expect(guard.reserve(60000)).rejects.toMatchObject({ status: 429, code: "quota_exceeded" });
+    await guard.release();
+    expect(dayDoc(g.store).tokens).toBe(0);
+  });
+
+  it("rate-limits per user", async () => {
+    g.store.set("aiUsage/alice", { recent: Array(30).fill(Date.now() - 1000) });
+    const res = response();
+    expect(await g.guardAi(request({}), res)).toBe(null);
+    expect(res.statusCode).toBe(429);
+    expect(res.body).toMatchObject({ code: "rate_limited", retryAfter: 59 });
+    expect(res.headers["retry-after"]).toBe("59");
+
+    expect(await g.guardAi(request({}, { token: "uid:bob" }), response())).not.toBe(null);
+  });
+
+  it("stops at the daily allowance", async () => {
+    g.store.set(`aiUsage/alice/days/${today()}`, { tokens: 199500 });
+    const res = response();
+    expect(await g.guardAi(request({}), res, { task: "ask", input: ["abcd"] })).toBe(null);
+    expect(res.statusCode).toBe(429);
+    expect(res.body.code).toBe("quota_exceeded");
+    expect(res.body.retryAfter).toBeGreaterThan(0);
+  });
+});
+
+describe("turning AI off", () => {
+  it("answers 503 when a limit is 0", async () => {
+    const { guardAi } = await load({ AI_DAILY_TOKENS: "0" });
+    const res = response();
+    expect(await guardAi(request({}), res)).toBe(null);
+    expect(res.statusCode).toBe(503);
+    expect(res.body.code).toBe("ai_disabled");
+  });
+
+  it("reads the limits from the environment", async () => {
+    const g = await load({ AI_RATE_LIMIT: "1" });
+    expect(await g.guardAi(request({}), response())).not.toBe(null);
+    const res = response();
+    await g.guardAi(request({}), res);
+    expect(res.body.code).toBe("rate_limited");
+  });
+});
@@ -0,0 +1,90 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { resetAdmin, adminDb } from "../helpers/fakeAdmin.js";
+
+vi.mock("firebase-admin/firestore", () => import("../helpers/fakeAdmin.js"));
+
+const { CHUNK_CHARS, chunkNote, indexNote, pruneIndex, searchNotes } = await import("../../api/_noteIndex.js");
+const { aiFor } = await import("../../api/_ai.js");
+
+describe("chunkNote", () => {
+  it("starts a chunk at each page marker and keeps the page", () => {
+    const chunks = chunkNote("Intro paragraph.\n\n[Page 1]\nFirst page text.\n\n[Page 2]\nSecond page text.");
+    expect(chunks).toEqual([
+      { text: "Intro paragraph.", page: null, file: null },
+      { text: "[Page 1]\nFirst page text.", page: 1, file: null },
+      { text: "[Page 2]\nSecond page text.", page: 2, file: null },
+    ]);
+  });
+
+  it("starts a chunk at each heading", () => {
+    expect(chunkNote("# One\nAlpha.\n## Two\nBeta.").map((c) => c.text)).toEqual(["# One\nAlpha.", "## Two\nBeta."]);
+  });
+
+  it("remembers which imported PDF a chunk comes from", () => {
+    const body = [
+      "My notes.",
+      "--- PDF IMPORT: lecture.pdf ---",
+      "[Page 3]",
+      "Imported text.",
+      "--- /PDF ---",
+      "More notes.",
+    ].join("\n");
+    expect(chunkNote(body)).toEqual([
+      { text: "My notes.", page: null, file: null },
+      { text: "[Page 3]\nImported text.", page: 3, file: "lecture.pdf" },
+      { text: "More notes.", page: null, file: null },
+    ]);
+  });
+
+  it("leaves out AI blocks and other markers", () => {
+    const body = "Own words.\n\n=== AI SUMMARY ===\n- generated\n=== /SUMMARY ===\n\n--- TRANSCRIPT ---\nSpoken words.\n--- /TRANSCRIPT ---";
+    expect(chunkNote(body).map((c) => c.text)).toEqual(["Own words.\n\nSpoken words."]);
+  });
+
+  it("keeps chunks near CHUNK_CHARS, splitting long paragraphs at sentences", () => {
+    const sentence = "This sentence is about forty characters. ";
+    const chunks = chunkNote(sentence.repeat(100));
+    expect(chunks.length).toBeGreaterThan(2);
+    for (const c of chunks) expect(c.text.length).toBeLessThanOrEqual(CHUNK_CHARS);
+    expect(chunks[1].text.startsWith("This sentence")).toBe(true);
+  });
+});
+
+describe("indexNote", () => {
+  const ai = aiFor("ask");
+  beforeEach(() => resetAdmin());
+
+  it("embeds new chunks only and drops the ones that are gone", async () => {
+    const db = adminDb();
+    const note = { noteId: "n1", title: "Cells", className: "Bio", body: "Mitochondria make ATP.\n\n# Next\nRibosomes make proteins." };
+    expect(await indexNote(db, "alice", ai, note)).toEqual({ added: 2, removed: 0, kept: 0 });
+
+    const beforeEmbed = vi.fn();
+    const edited = { ...note, title: "Cell parts", body: "Mitochondria make ATP.\n\n# Next\nThe nucleus holds DNA." };
+    expect(await indexNote(db, "alice", ai, edited, { beforeEmbed })).toEqual({ added: 1, removed: 1, kept: 1 });
+    expect(beforeEmbed).toHaveBeenCalledWith(["# Next\nThe nucleus holds DNA."]);
+
+    const snap = await db.collection("users").doc("alice").collection("noteChunks").get();
+    expect(snap.docs.map((d) => d.get("title"))).toEqual(["Cell parts", "Cell parts"]);
+  });
+
+  it("stops before embedding when beforeEmbed throws", async () => {
+    const stop = new Error("quota");
+    await expect(indexNote(adminDb(), "alice", ai, { noteId: "n1", body: "Some text here." }, { beforeEmbed: () => { throw stop; } })).rejects.toBe(stop);
+    expect((await adminDb().collection("users").doc("alice").collection("noteChunks").get()).size).toBe(0);
+  });
+
+  it("finds the nearest chunks and prunes deleted notes", async () => {
+    const db = adminDb();
+    await indexNote(db, "alice", ai, { noteId: "n1", title: "Cells", body: "Mitochondria make ATP for the cell." });
+    await indexNote(db, "alice", ai, { noteId: "n2", title: "War", body: "The treaty ended the war in Europe." });
+    await indexNote(db, "bob", ai, { noteId: "n3", title: "Bob", body: "Mitochondria are Bob's favourite." });
+
+    const [vector] = await ai.embed(["What do mitochondria make?"]);
+    const hits = await searchNotes(db, "alice", vector, 1);
+    expect(hits).toMatchObject([{ noteId: "n1", title: "Cells", page: null, file: null }]);
+
+    expect(await pruneIndex(db, "alice", ["n1"])).toBe(1);
+    expect((await db.collection("users").doc("bob").collection("noteChunks").get()).size).toBe(1);
+  });
+});
@@ -0,0 +1,44 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import handler from "../../api/quiz.js";
+import { resetAdmin } from "../helpers/fakeAdmin.js";
+import { request, response } from "../helpers/http.js";
+
+vi.mock("../../api/_admin.js", () => import("../helpers/fakeAdmin.js"));
+vi.mock("firebase-admin/firestore", () => import("../helpers/fakeAdmin.js"));
+
+async function call(body, options) {
+  const res = response();
+  await handler(request(body, options), res);
+  return res;
+}
+
+let store;
+beforeEach(() => {
+  ({ store } = resetAdmin());
+});
+
+describe("POST /api/quiz", () => {
+  it("validates the mode and fields before the guard", async () => {
+    expect((await call({ mode: "essay", question: "Q", answer: "A" })).statusCode).toBe(400);
+    expect((await call({ mode: "choices", question: "Q" })).statusCode).toBe(400);
+    expect((await call({ mode: "grade", question: "Q", answer: "A", response: "  " })).statusCode).toBe(400);
+    expect(store.size).toBe(0);
+  });
+
+  it("makes multiple choices around the correct answer", async () => {
+    const res = await call({ mode: "choices", question: "What makes ATP?", answer: "Mitochondria" });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.choices).toHaveLength(4);
+    expect(res.body.choices[res.body.correctIndex]).toBe("Mitochondria");
+    expect(new Set(res.body.choices).size).toBe(4);
+  });
+
+  it("grades a free answer", async () => {
+    const right = await call({ mode: "grade", question: "What makes ATP?", answer: "The mitochondria", response: "the Mitochondria" });
+    expect(right.body).toMatchObject({ score: 100, correct: true });
+
+    const wrong = await call({ mode: "grade", question: "What makes ATP?", answer: "The mitochondria", response: "ribosomes" });
+    expect(wrong.body).toMatchObject({ score: 0, correct: false });
+    expect(wrong.body.explanation).toMatch(/0 of 2/);
+  });
+});
@@ -0,0 +1,64 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import handler from "../../api/reminders.js";
+import { resetAdmin } from "../helpers/fakeAdmin.js";
+import { request, response } from "../helpers/http.js";
+
+vi.mock("../../api/_admin.js", () => import("../helpers/fakeAdmin.js"));
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const DEVICE = "users/alice/pushDevices/d1";
+
+async function call(secret = "s3cret") {
+  const res = response();
+  await handler(request({}, { token: secret }), res);
+  return res;
+}
+
+function setup(options) {
+  const admin = resetAdmin(options);
+  admin.store.set(DEVICE, { token: "tok-1", offsets: [60], allDayTime: "09:00", timeZone: "America/New_York" });
+  // 08:30 in New York, so its 60-minute reminder went off at 11:30 UTC
+  admin.store.set("users/alice/tasks/t1", { title: "Essay", due: "2026-10-19", dueTime: "08:30" });
+  admin.store.set("users/alice/tasks/t2", { title: "Later", due: "2026-10-25" });
+  return admin;
+}
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(NOW);
+  vi.stubEnv("CRON_SECRET", "s3cret");
+});
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllEnvs();
+});
+
+describe("GET /api/reminders", () => {
+  it("needs CRON_SECRET", async () => {
+    setup();
+    expect((await call("wrong")).statusCode).toBe(401);
+    vi.stubEnv("CRON_SECRET", "");
+    expect((await call()).statusCode).toBe(500);
+  });
+
+  it("pushes due reminders once per device", async () => {
+    const { store, messaging } = setup();
+    expect((await call()).body).toEqual({ devices: 1, sent: 1 });
+    expect(messaging.sent).toEqual([
+      expect.objectContaining({
+        token: "tok-1",
+        data: expect.objectContaining({ uid: "alice", id: "t1:2026-10-19:60", title: "Essay", due: "2026-10-19" }),
+      }),
+    ]);
+    expect(store.get(DEVICE).sent).toEqual(["t1:2026-10-19:60"]);
+
+    expect((await call()).body).toEqual({ devices: 1, sent: 0 });
+    expect(messaging.sent).toHaveLength(1);
+  });
+
+  it("removes devices whose token is gone", async () => {
+    const { store } = setup({ goneTokens: ["tok-1"] });
+    expect((await call()).body).toEqual({ devices: 1, sent: 0 });
+    expect(store.has(DEVICE)).toBe(false);
+  });
+});
@@ -0,0 +1,98 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import handler from "../../api/summarize.js";
+import { resetAdmin } from "../helpers/fakeAdmin.js";
+import { request, response, sseEvents } from "../helpers/http.js";
+
+vi.mock("../../api/_admin.js", () => import("../helpers/fakeAdmin.js"));
+vi.mock("firebase-admin/firestore", () => import("../helpers/fakeAdmin.js"));
+
+const TEXT = "[Page 1]\nThe mitochondria is the powerhouse of the cell.\n[Page 2]\nRibosomes build proteins from amino acids.";
+let store;
+
+async function call(body, options) {
+  const res = response();
+  await handler(request(body, options), res);
+  return res;
+}
+const usage = () => store.get(`aiUsage/alice/days/${new Date().toISOString().slice(0, 10)}`);
+
+beforeEach(() => {
+  ({ store } = resetAdmin());
+});
+
+describe("POST /api/summarize", () => {
+  it("rejects bad requests before using any quota", async () => {
+    expect((await call({ text: "short" })).statusCode).toBe(400);
+    expect((await call({ text: TEXT, style: "haiku" })).statusCode).toBe(400);
+    expect((await call({ mode: "merge", parts: [] })).statusCode).toBe(400);
+    expect((await call({ text: "short" }, { token: null })).statusCode).toBe(400);
+    expect(store.size).toBe(0);
+
+    const get = response();
+    await handler({ ...request({}), method: "GET" }, get);
+    expect(get.statusCode).toBe(405);
+  });
+
+  it("needs a valid sign-in", async () => {
+    expect((await call({ text: TEXT }, { token: null })).body.code).toBe("unauthenticated");
+    expect((await call({ text: TEXT }, { token: "expired" })).statusCode).toBe(401);
+
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const res = await call({ text: TEXT }, { token: "misconfigured" });
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe("auth_unavailable");
+  });
+
+  it("refuses text over the input limit", async () => {
+    const res = await call({ text: "x".repeat(60001) });
+    expect(res.statusCode).toBe(413);
+    expect(res.body.code).toBe("too_large");
+  });
+
+  it("summarizes with page citations and charges only what was used", async () => {
+    const res = await call({ text: TEXT });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.summary).toBe(
+      "- The mitochondria is the powerhouse of the cell. (p. 1)\n- Ribosomes build proteins from amino acids. (p. 2)"
+    );
+    // The 2000-token output reservation is given back
+    expect(usage().requests).toBe(1);
+    expect(usage().tokens).toBeGreaterThan(0);
+    expect(usage().tokens).toBeLessThan(500);
+  });
+
+  it("streams the summary as delta events", async () => {
+    const res = await call({ text: TEXT, stream: true });
+    expect(res.headers["content-type"]).toMatch(/^text\/event-stream/);
+    expect(res.writableEnded).toBe(true);
+
+    const events = sseEvents(res);
+    expect(events.at(-1)).toEqual({ event: "done", data: {} });
+    const text = events.filter((e) => e.event === "delta").map((e) => e.data.text).join("");
+    expect(text).toBe((await call({ text: TEXT })).body.summary);
+  });
+
+  it("merges part summaries, keeping their citations", async () => {
+    const res = await call({
+      mode: "merge",
+      final: true,
+      parts: [
+        { pages: "pp. 1–2", summary: "- Mitochondria make ATP. (p. 1)" },
+        { pages: "p. 3", summary: "- Ribosomes make proteins. (p. 3)" },
+      ],
+    });
+    expect(res.body.summary).toContain("- Mitochondria make ATP. (p. 1)\n- Ribosomes make proteins. (p. 3)");
+  });
+
+  it("answers 429 when rate-limited or out of quota", async () => {
+    store.set("aiUsage/alice", { recent: Array(30).fill(Date.now()) });
+    const limited = await call({ text: TEXT });
+    expect(limited.statusCode).toBe(429);
+    expect(limited.body.code).toBe("rate_limited");
+
+    store.set(`aiUsage/bob/days/${new Date().toISOString().slice(0, 10)}`, { tokens: 199000 });
+    const spent = await call({ text: TEXT }, { token: "uid:bob" });
+    expect(spent.statusCode).toBe(429);
+    expect(spent.body.code).toBe("quota_exceeded");
+  });
+});
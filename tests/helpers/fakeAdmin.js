@@ -0,0 +1,179 @@
+// In-memory stand-in for api/_admin.js and for the FieldValue sentinels of
+// firebase-admin/firestore; route tests mock both with this module:
+//
+//   vi.mock("../../api/_admin.js", () => import("../helpers/fakeAdmin.js"));
+//   vi.mock("firebase-admin/firestore", () => import("../helpers/fakeAdmin.js"));
+//
+// Docs are kept by path. Writes support merge, increments, server timestamps and vectors;
+// queries support where("=="), select, findNearest (cosine) and collection groups;
+// transactions and batches apply their writes only once they succeed. ID tokens are
+// "uid:<uid>"; "misconfigured" fails the way missing Admin credentials do.
+
+const OP = Symbol("FieldValue");
+
+export const FieldValue = {
+  increment: (n) => ({ [OP]: "increment", n }),
+  serverTimestamp: () => ({ [OP]: "serverTimestamp" }),
+  vector: (values) => ({ [OP]: "vector", values }),
+};
+
+let store = new Map(); // path -> data
+let messaging = null;
+
+const parentOf = (path) => path.split("/").slice(0, -1).join("/");
+const lastOf = (path) => path.split("/").pop();
+
+function apply(prev, data) {
+  const out = { ...prev };
+  for (const [key, v] of Object.entries(data)) {
+    const op = v?.[OP];
+    if (op === "increment") out[key] = (out[key] || 0) + v.n;
+    else if (op === "serverTimestamp") out[key] = new Date();
+    else if (op === "vector") out[key] = { vector: v.values };
+    else out[key] = v;
+  }
+  return out;
+}
+
+function snapshot(path, extra = {}) {
+  const data = store.has(path) ? { ...store.get(path), ...extra } : undefined;
+  return { id: lastOf(path), ref: docRef(path), exists: !!data, data: () => data, get: (field) => data?.[field] };
+}
+
+function cosineDistance(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  a.forEach((x, i) => {
+    dot += x * b[i];
+    na += x * x;
+    nb += b[i] * b[i];
+  });
+  return 1 - dot / (Math.sqrt(na * nb) || 1);
+}
+
+function query(matches, { filters = [], nearest = null } = {}) {
+  return {
+    where: (field, op, value) => {
+      if (op !== "==") throw new Error(`Unsupported operator ${op}`);
+      return query(matches, { filters: [...filters, (d) => d[field] === value], nearest });
+    },
+    select: () => query(matches, { filters, nearest }),
+    findNearest: (options) => query(matches, { filters, nearest: options }),
+    async get() {
+      let paths = [...store].filter(([path, data]) => matches(path) && filters.every((f) => f(data))).map(([p]) => p);
+      let docs = paths.map((path) => snapshot(path));
+      if (nearest) {
+        const { vectorField, queryVector, limit, distanceResultField } = nearest;
+        docs = paths
+          .filter((path) => store.get(path)[vectorField]?.vector)
+          .map((path) => [path, cosineDistance(store.get(path)[vectorField].vector, queryVector)])
+          .sort((a, b) => a[1] - b[1])
+          .slice(0, limit)
+          .map(([path, distance]) => snapshot(path, { [distanceResultField]: distance }));
+      }
+      return { docs, size: docs.length, empty: docs.length === 0 };
+    },
+  };
+}
+
+function notFound(path) {
+  return Object.assign(new Error(`No document to update: ${path}`), { code: 5 });
+}
+
+function docRef(path) {
+  return {
+    id: lastOf(path),
+    path,
+    get parent() {
+      return collectionRef(parentOf(path));
+    },
+    collection: (name) => collectionRef(`${path}/${name}`),
+    get: async () => snapshot(path),
+    set: async (data, { merge = false } = {}) => {
+      store.set(path, apply(merge ? store.get(path) : {}, data));
+    },
+    update: async (data) => {
+      if (!store.has(path)) throw notFound(path);
+      store.set(path, apply(store.get(path), data));
+    },
+    delete: async () => {
+      store.delete(path);
+    },
+  };
+}
+
+function collectionRef(path) {
+  return {
+    id: lastOf(path),
+    path,
+    get parent() {
+      return path.includes("/") ? docRef(parentOf(path)) : null;
+    },
+    doc: (id) => docRef(`${path}/${id}`),
+    ...query((p) => parentOf(p) === path),
+  };
+}
+
+// Queued writes, run in order on commit
+function writeSet() {
+  const ops = [];
+  const writes = {
+    set: (ref, data, options) => (ops.push(() => ref.set(data, options)), writes),
+    update: (ref, data) => (ops.push(() => ref.update(data)), writes),
+    delete: (ref) => (ops.push(() => ref.delete()), writes),
+  };
+  return { writes, commit: async () => { for (const op of ops) await op(); } };
+}
+
+const db = {
+  collection: (name) => collectionRef(name),
+  collectionGroup: (name) => query((p) => lastOf(parentOf(p)) === name),
+  batch() {
+    const { writes, commit } = writeSet();
+    return { ...writes, commit };
+  },
+  async runTransaction(fn) {
+    const { writes, commit } = writeSet();
+    const tx = {
+      ...writes,
+      get: async (ref) => snapshot(ref.path),
+      getAll: async (...refs) => refs.map((ref) => snapshot(ref.path)),
+    };
+    const result = await fn(tx);
+    await commit();
+    return result;
+  },
+};
+
+const auth = {
+  async verifyIdToken(token) {
+    if (token.startsWith("uid:")) return { uid: token.slice(4) };
+    if (token === "misconfigured") {
+      throw Object.assign(new Error("Failed to determine project ID"), { code: "auth/invalid-credential" });
+    }
+    throw Object.assign(new Error("Decoding Firebase ID token failed"), { code: "auth/argument-error" });
+  },
+};
+
+export const adminAuth = () => auth;
+export const adminDb = () => db;
+export const adminMessaging = () => messaging;
+
+// Fresh, empty state. `goneTokens` are FCM tokens the fake messaging reports as unregistered.
+export function resetAdmin({ goneTokens = [] } = {}) {
+  store = new Map();
+  messaging = {
+    sent: [],
+    async send(message) {
+      if (goneTokens.includes(message.token)) {
+        throw Object.assign(new Error("Requested entity was not found."), {
+          code: "messaging/registration-token-not-registered",
+        });
+      }
+      this.sent.push(message);
+      return `projects/test/messages/${this.sent.length}`;
+    },
+  };
+  return { db, store, messaging };
+}
@@ -0,0 +1,55 @@
+// Minimal Node-style req/res for calling the API route handlers directly.
+
+export function request(body, { token = "uid:alice", method = "POST", headers = {} } = {}) {
+  return {
+    method,
+    headers: { ...(token ? { authorization: `Bearer ${token}` } : {}), ...headers },
+    body,
+  };
+}
+
+export function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    chunks: [],
+    writableEnded: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      this.writableEnded = true;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    writeHead(code, headers) {
+      this.statusCode = code;
+      for (const [name, value] of Object.entries(headers)) this.setHeader(name, value);
+    },
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+    end() {
+      this.writableEnded = true;
+    },
+    on() {},
+  };
+}
+
+// The server-sent events written to `res`, as [{ event, data }]
+export function sseEvents(res) {
+  return res.chunks
+    .join("")
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => {
+      const [, event] = /^event: (.*)$/m.exec(block);
+      const [, data] = /^data: (.*)$/m.exec(block);
+      return { event, data: JSON.parse(data) };
+    });
+}
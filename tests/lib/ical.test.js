@@ -0,0 +1,130 @@
+import { describe, expect, it } from "vitest";
+import { parseIcs, tasksToIcs } from "../../src/lib/ical.js";
+
+const NOW = new Date(Date.UTC(2026, 9, 19, 12));
+const lines = (ics) => ics.split("\r\n");
+
+describe("tasksToIcs", () => {
+  it("writes all-day to-dos due on their day", () => {
+    const ics = tasksToIcs([{ id: "t1", title: "Essay, draft", className: "History", due: "2026-10-20" }], "VTODO", NOW);
+    expect(lines(ics)).toEqual(
+      expect.arrayContaining([
+        "UID:t1@intense-notes",
+        "SUMMARY:Essay\\, draft",
+        "CATEGORIES:History",
+        "DTSTART;VALUE=DATE:20261020",
+        "DUE;VALUE=DATE:20261020",
+        "STATUS:NEEDS-ACTION",
+      ])
+    );
+  });
+
+  it("ends all-day events the next day and leaves timed ones open", () => {
+    const allDay = lines(tasksToIcs([{ id: "a", title: "Exam", due: "2026-10-31" }], "VEVENT", NOW));
+    expect(allDay).toEqual(expect.arrayContaining(["DTSTART;VALUE=DATE:20261031", "DTEND;VALUE=DATE:20261101"]));
+
+    const timed = lines(tasksToIcs([{ id: "b", title: "Exam", due: "2026-10-31", dueTime: "09:30" }], "VEVENT", NOW));
+    expect(timed).toContain("DTSTART:20261031T093000");
+    expect(timed.some((l) => l.startsWith("DTEND"))).toBe(false);
+  });
+
+  it("starts repeating series on their first occurrence", () => {
+    const task = {
+      id: "r",
+      title: "Lab",
+      due: "2026-10-19",
+      repeat: { freq: "weekly", interval: 1, byDay: [3], until: null, count: null },
+      exceptions: ["2026-10-28"],
+    };
+    expect(lines(tasksToIcs([task], "VTODO", NOW))).toEqual(
+      expect.arrayContaining([
+        "DTSTART;VALUE=DATE:20261021",
+        "RRULE:FREQ=WEEKLY;BYDAY=WE;WKST=SU",
+        "EXDATE;VALUE=DATE:20261028",
+      ])
+    );
+  });
+
+  it("folds long lines at 75 octets", () => {
+    const ics = tasksToIcs([{ id: "l", title: "x".repeat(200), due: "2026-10-20" }], "VTODO", NOW);
+    for (const line of lines(ics)) expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+  });
+});
+
+describe("parseIcs", () => {
+  it("round-trips exported tasks", () => {
+    const tasks = [
+      { id: "t1", title: "Essay; part 1", className: "History", due: "2026-10-20", done: true },
+      { id: "t2", title: "Seminar", due: "2026-10-22", dueTime: "14:15" },
+      {
+        id: "t3",
+        title: "Lab",
+        due: "2026-10-21",
+        repeat: { freq: "weekly", interval: 2, byDay: [1, 3], until: "2026-12-18", count: null },
+        exceptions: ["2026-11-02"],
+      },
+    ];
+    const pick = ({ uid, title, className, due, dueTime, repeat, exceptions }) => ({ uid, title, className, due, dueTime, repeat, exceptions });
+    for (const kind of ["VTODO", "VEVENT"]) {
+      expect(parseIcs(tasksToIcs(tasks, kind, NOW)).map(pick)).toEqual([
+        { uid: "t1@intense-notes", title: "Essay; part 1", className: "History", due: "2026-10-20", dueTime: "", repeat: undefined, exceptions: [] },
+        { uid: "t2@intense-notes", title: "Seminar", className: "", due: "2026-10-22", dueTime: "14:15", repeat: undefined, exceptions: [] },
+        { uid: "t3@intense-notes", title: "Lab", className: "", due: "2026-10-21", dueTime: "", repeat: tasks[2].repeat, exceptions: ["2026-11-02"] },
+      ]);
+    }
+    expect(parseIcs(tasksToIcs(tasks, "VTODO", NOW))[0].done).toBe(true);
+  });
+
+  it("fixes the exclusive DUE of older exports from this app only", () => {
+    const old = (prodId) =>
+      [
+        "BEGIN:VCALENDAR",
+        `PRODID:${prodId}`,
+        "BEGIN:VTODO",
+        "UID:x",
+        "SUMMARY:Old",
+        "DTSTART;VALUE=DATE:20261020",
+        "DUE;VALUE=DATE:20261021",
+        "END:VTODO",
+        "END:VCALENDAR",
+      ].join("\r\n");
+    expect(parseIcs(old("-//Intense Notes//Tasks//EN"))[0].due).toBe("2026-10-20");
+    expect(parseIcs(old("-//Other//App//EN"))[0].due).toBe("2026-10-21");
+  });
+
+  it("reads other calendars' events", () => {
+    const ics = [
+      "BEGIN:VCALENDAR",
+      "PRODID:-//Google Inc//Google Calendar 70.9054//EN",
+      "BEGIN:VEVENT",
+      "UID:abc@google.com",
+      "SUMMARY:Office hours",
+      "DTSTART;TZID=America/New_York:20261020T090000",
+      "RRULE:FREQ=YEARLY",
+      "BEGIN:VALARM",
+      "SUMMARY:Alarm",
+      "END:VALARM",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "UID:abc@google.com",
+      "RECURRENCE-ID:20271020T090000",
+      "DTSTART:20271021T090000",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "UID:utc",
+      "SUMMARY:Deadline",
+      "DTSTART:20261031T235900Z",
+      "END:VEVENT",
+      "END:VCALENDAR",
+    ].join("\n");
+    expect(parseIcs(ics)).toEqual([
+      { uid: "abc@google.com", title: "Office hours", className: "", due: "2026-10-20", dueTime: "09:00", done: false, rrule: "FREQ=YEARLY", exceptions: [] },
+      { uid: "utc", title: "Deadline", className: "", due: "2026-10-31", dueTime: "23:59", done: false, exceptions: [] },
+    ]);
+  });
+
+  it("unfolds continuation lines", () => {
+    const ics = "BEGIN:VCALENDAR\r\nBEGIN:VTODO\r\nSUMMARY:Long ti\r\n tle\r\nDUE;VALUE=DATE:20261020\r\nEND:VTODO\r\nEND:VCALENDAR\r\n";
+    expect(parseIcs(ics)[0]).toMatchObject({ title: "Long title", due: "2026-10-20" });
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import { formatPageRange, layoutPages, pagesToMarkdown, parsePageRange } from "../../src/lib/pdfLayout.js";
+
+// Items laid out roughly like pdf.js reports them: half a font size per character
+const item = (str, x, y, size = 10) => ({ str, x, y, size, width: str.length * size * 0.5 });
+const page = (number, items) => ({ number, width: 600, height: 800, items });
+
+describe("layoutPages", () => {
+  it("turns larger lines into headings and joins paragraphs", () => {
+    const [p] = layoutPages([
+      page(1, [
+        item("Cell Biology", 50, 100, 18),
+        item("The cell is the basic unit of life. Cells regu-", 50, 130),
+        item("late their growth.", 50, 142),
+        item("Membranes", 50, 170, 14),
+        item("• Lipid bilayer", 50, 195),
+        item("• Proteins", 50, 207),
+        item("A new paragraph starts after a gap.", 50, 240),
+      ]),
+    ]);
+    expect(p.markdown).toBe(
+      [
+        "# Cell Biology",
+        "",
+        "The cell is the basic unit of life. Cells regulate their growth.",
+        "",
+        "## Membranes",
+        "",
+        "- Lipid bilayer",
+        "- Proteins",
+        "",
+        "A new paragraph starts after a gap.",
+      ].join("\n")
+    );
+  });
+
+  it("rebuilds tables from widely spaced cells", () => {
+    const row = (y, a, b) => [item(a, 50, y), item(b, 200, y)];
+    const [p] = layoutPages([
+      page(1, [...row(100, "Organelle", "Function"), ...row(115, "Nucleus", "DNA storage"), ...row(130, "Ribosome", "Protein | synthesis")]),
+    ]);
+    expect(p.markdown).toBe(
+      ["| Organelle | Function |", "| --- | --- |", "| Nucleus | DNA storage |", "| Ribosome | Protein \\| synthesis |"].join("\n")
+    );
+  });
+
+  it("drops running headers and page numbers", () => {
+    const pages = [1, 2, 3].map((n) =>
+      page(n, [item("BIO 101 Lecture notes", 50, 20), item(`Body text of page ${n}.`, 50, 300), item(String(n), 300, 780)])
+    );
+    expect(pagesToMarkdown(pages)).toBe(
+      "[Page 1]\nBody text of page 1.\n\n[Page 2]\nBody text of page 2.\n\n[Page 3]\nBody text of page 3."
+    );
+  });
+
+  it("reads two-column pages column by column", () => {
+    const [p] = layoutPages([
+      page(1, [
+        item("Left column starts here and", 40, 100),
+        item("Right column text goes on", 320, 100),
+        item("continues below.", 40, 112),
+        item("and ends here.", 320, 112),
+      ]),
+    ]);
+    expect(p.markdown).toBe("Left column starts here and continues below.\n\nRight column text goes on and ends here.");
+  });
+});
+
+describe("page ranges", () => {
+  it("parses ranges, open ends and junk", () => {
+    expect(parsePageRange("1-3, 5, 8-", 10)).toEqual([1, 2, 3, 5, 8, 9, 10]);
+    expect(parsePageRange("-2, 4–5, x, 0, 12", 10)).toEqual([1, 2, 4, 5]);
+    expect(parsePageRange("", 10)).toEqual([]);
+  });
+
+  it("formats pages as ranges", () => {
+    expect(formatPageRange([5, 1, 2, 3, 3, 9, 10])).toBe("1-3, 5, 9-10");
+    expect(formatPageRange([])).toBe("");
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import { blockItemKey, planStudy, studyLoad } from "../../src/lib/planner.js";
+
+// 2026-10-19 is a Monday
+const TODAY = "2026-10-19";
+const NOW = Date.parse(`${TODAY}T08:00:00`);
+const EVERY_DAY = [60, 60, 60, 60, 60, 60, 60];
+
+const plan = (input) =>
+  planStudy({ tasks: [], notes: [], cards: [], blocks: [], availability: EVERY_DAY, today: TODAY, now: NOW, ...input });
+const minutesBy = (blocks, key) =>
+  blocks.reduce((m, b) => m.set(key(b), (m.get(key(b)) || 0) + b.minutes), new Map());
+
+describe("studyLoad", () => {
+  it("counts note words and due cards per class", () => {
+    const notes = [
+      { id: "n1", className: "Bio", body: "one two three" },
+      { id: "n2", className: "", body: "ignored" },
+    ];
+    const cards = [{ noteId: "n1" }, { deck: "Bio", due: NOW + 7 * 24 * 60 * 60 * 1000 }, { deck: "Chem" }];
+    expect(Object.fromEntries(studyLoad(notes, cards, NOW))).toEqual({
+      Bio: { words: 3, dueCards: 1 },
+      Chem: { words: 0, dueCards: 1 },
+    });
+  });
+});
+
+describe("planStudy", () => {
+  it("splits a task into blocks on the days before it's due", () => {
+    const { blocks, unscheduled } = plan({
+      tasks: [{ id: "t1", title: "Essay", className: "History", due: "2026-10-22", estimate: 120 }],
+    });
+    expect(unscheduled).toEqual([]);
+    expect(blocks.every((b) => b.date >= TODAY && b.date < "2026-10-22" && b.minutes <= 50)).toBe(true);
+    expect(blocks.map((b) => b.date)).toEqual(["2026-10-19", "2026-10-20", "2026-10-21"]);
+    expect(blocks.reduce((n, b) => n + b.minutes, 0)).toBe(120);
+    expect(blocks[0]).toMatchObject({ kind: "task", taskId: "t1", deadline: "2026-10-22", done: false });
+  });
+
+  it("adds note review and flashcards for classes with deadlines", () => {
+    const { blocks } = plan({
+      tasks: [{ id: "t1", title: "Quiz", className: "Bio", due: "2026-10-23", estimate: 30 }],
+      notes: [{ id: "n1", className: "Bio", body: "word ".repeat(3000) }],
+      cards: Array.from({ length: 40 }, () => ({ noteId: "n1" })),
+    });
+    expect(Object.fromEntries(minutesBy(blocks, (b) => b.kind))).toEqual({ task: 30, review: 20, cards: 20 });
+    // Due flashcards go on the first free day
+    expect(blocks.find((b) => b.kind === "cards").date).toBe(TODAY);
+  });
+
+  it("never goes over a day's availability", () => {
+    const { blocks, unscheduled } = plan({
+      tasks: [
+        { id: "a", title: "A", due: "2026-10-21", estimate: 100 },
+        { id: "b", title: "B", due: "2026-10-21", estimate: 100 },
+      ],
+    });
+    for (const minutes of minutesBy(blocks, (b) => b.date).values()) expect(minutes).toBeLessThanOrEqual(60);
+    // The 10 minutes left on each day are too short for a block
+    expect(unscheduled).toEqual([{ title: "B", className: "", minutes: 100, deadline: "2026-10-21" }]);
+  });
+
+  it("counts done blocks against the item and the day", () => {
+    const done = { date: TODAY, minutes: 50, kind: "task", taskId: "t1", occurrence: null, className: "", deadline: "2026-10-22", done: true };
+    const { blocks } = plan({ tasks: [{ id: "t1", title: "Essay", due: "2026-10-22", estimate: 90 }], blocks: [done] });
+    expect(blocks.reduce((n, b) => n + b.minutes, 0)).toBe(40);
+    expect(blocks.some((b) => b.date === TODAY && b.minutes > 10)).toBe(false);
+  });
+
+  it("plans each occurrence of a repeating task", () => {
+    const { blocks } = plan({
+      tasks: [{ id: "r", title: "Problem set", due: "2026-10-21", estimate: 20, repeat: { freq: "weekly", interval: 1, byDay: [3] } }],
+    });
+    expect([...minutesBy(blocks, blockItemKey).keys()]).toEqual(["task:r:2026-10-21", "task:r:2026-10-28"]);
+  });
+
+  it("leaves out done tasks and ones past the horizon", () => {
+    const { blocks } = plan({
+      tasks: [
+        { id: "d", title: "Done", due: "2026-10-22", done: true },
+        { id: "f", title: "Far", due: "2026-12-01" },
+      ],
+    });
+    expect(blocks).toEqual([]);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, expect, it } from "vitest";
+import {
+  describeRepeat,
+  firstOccurrence,
+  nextOpenOccurrence,
+  normalizeRepeat,
+  occurrencesBetween,
+  parseRRule,
+  toRRule,
+} from "../../src/lib/recurrence.js";
+
+// 2026-10-18 is a Sunday
+const dates = (task, from, to) => occurrencesBetween(task, from, to).map((o) => o.date);
+
+describe("occurrencesBetween", () => {
+  it("lists one-off tasks on their due date", () => {
+    expect(occurrencesBetween({ due: "2026-10-20", done: true }, "2026-10-19", "2026-10-25")).toEqual([
+      { date: "2026-10-20", done: true },
+    ]);
+    expect(occurrencesBetween({ due: "2026-10-30" }, "2026-10-19", "2026-10-25")).toEqual([]);
+  });
+
+  it("expands daily rules with an interval and an end date", () => {
+    const task = { due: "2026-10-19", repeat: { freq: "daily", interval: 3, until: "2026-10-28" } };
+    expect(dates(task, "2026-10-01", "2026-12-31")).toEqual(["2026-10-19", "2026-10-22", "2026-10-25", "2026-10-28"]);
+  });
+
+  it("expands weekly rules on several days, every other week", () => {
+    const task = { due: "2026-10-18", repeat: { freq: "weekly", interval: 2, byDay: [0, 1] } };
+    expect(dates(task, "2026-10-18", "2026-11-16")).toEqual(["2026-10-18", "2026-10-19", "2026-11-01", "2026-11-02", "2026-11-15", "2026-11-16"]);
+  });
+
+  it("skips months without the day and stops after `count`", () => {
+    const task = { due: "2026-10-31", repeat: { freq: "monthly", interval: 1, count: 3 } };
+    expect(dates(task, "2026-10-01", "2027-12-31")).toEqual(["2026-10-31", "2026-12-31", "2027-01-31"]);
+  });
+
+  it("leaves out skipped dates and marks done ones", () => {
+    const task = {
+      due: "2026-10-19",
+      repeat: { freq: "daily", interval: 1, count: 3 },
+      exceptions: ["2026-10-20"],
+      doneDates: ["2026-10-21"],
+    };
+    expect(occurrencesBetween(task, "2026-10-19", "2026-10-31")).toEqual([
+      { date: "2026-10-19", done: false },
+      { date: "2026-10-21", done: true },
+    ]);
+    expect(nextOpenOccurrence(task, "2026-10-20")).toBe(null);
+    expect(nextOpenOccurrence(task, "2026-10-19")).toBe("2026-10-19");
+  });
+});
+
+describe("firstOccurrence", () => {
+  it("starts a weekly series on its first listed day", () => {
+    // Due on a Monday, repeating on Wednesdays and Fridays
+    expect(firstOccurrence({ due: "2026-10-19", repeat: { freq: "weekly", interval: 1, byDay: [3, 5] } })).toBe("2026-10-21");
+    expect(firstOccurrence({ due: "2026-10-19" })).toBe("2026-10-19");
+  });
+});
+
+describe("normalizeRepeat / describeRepeat", () => {
+  it("cleans form input", () => {
+    expect(normalizeRepeat({ freq: "weekly", interval: "0", byDay: ["3", 3, 9], until: "soon", count: "-1" }, "2026-10-19")).toEqual({
+      freq: "weekly",
+      interval: 1,
+      byDay: [3],
+      until: null,
+      count: null,
+    });
+    expect(normalizeRepeat({ freq: "weekly" }, "2026-10-19").byDay).toEqual([1]);
+    expect(normalizeRepeat({ freq: "never" }, "2026-10-19")).toBe(null);
+  });
+
+  it("describes rules", () => {
+    expect(describeRepeat({ freq: "weekly", interval: 2, byDay: [1, 3], until: "2026-12-18" })).toBe(
+      "Every 2 weeks on Mon, Wed until 2026-12-18"
+    );
+    expect(describeRepeat({ freq: "daily", interval: 1, count: 5 })).toBe("Every day, 5 times");
+  });
+});
+
+describe("toRRule / parseRRule", () => {
+  it("round-trips the rules the app makes", () => {
+    const repeat = { freq: "weekly", interval: 2, byDay: [1, 3], until: "2026-12-18", count: null };
+    const rule = toRRule(repeat);
+    expect(rule).toBe("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;WKST=SU;UNTIL=20261218");
+    expect(parseRRule(rule, "2026-10-19")).toEqual(repeat);
+    expect(parseRRule(`RRULE:${toRRule({ freq: "monthly", interval: 1, count: 4 })}`, "2026-10-31")).toEqual({
+      freq: "monthly",
+      interval: 1,
+      byDay: [],
+      until: null,
+      count: 4,
+    });
+  });
+
+  it("refuses rules it can't expand", () => {
+    expect(parseRRule("FREQ=YEARLY", "2026-10-19")).toBe(null);
+    expect(parseRRule("FREQ=MONTHLY;BYDAY=2TU", "2026-10-19")).toBe(null);
+    expect(parseRRule("FREQ=MONTHLY;BYMONTHDAY=15", "2026-10-19")).toBe(null);
+  });
+
+  it("refuses every-other-week rules whose days straddle a Monday week start", () => {
+    expect(parseRRule("FREQ=WEEKLY;INTERVAL=2;BYDAY=SU,MO", "2026-10-18")).toBe(null);
+    expect(parseRRule("FREQ=WEEKLY;INTERVAL=2;BYDAY=SU,MO;WKST=SU", "2026-10-18")).toMatchObject({ byDay: [0, 1] });
+    expect(parseRRule("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE", "2026-10-19")).toMatchObject({ byDay: [1, 3] });
+    expect(parseRRule("FREQ=WEEKLY;BYDAY=SU,MO", "2026-10-18")).toMatchObject({ byDay: [0, 1] });
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { buildReminderSchedule, dueReminders, LATE_GRACE_MS } from "../../src/lib/reminders.js";
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const HOUR = 60 * 60 * 1000;
+const on = (settings) => ({ enabled: true, offsets: [1440], allDayTime: "09:00", ...settings });
+
+describe("buildReminderSchedule", () => {
+  it("reminds before the due time, all-day tasks at allDayTime", () => {
+    const tasks = [
+      { id: "a", title: "Essay", className: "History", due: "2026-10-21" },
+      { id: "b", title: "Seminar", due: "2026-10-20", dueTime: "14:30", reminders: [0, 60] },
+    ];
+    expect(buildReminderSchedule(tasks, on(), NOW).map(({ id, at }) => [id, new Date(at).toISOString()])).toEqual([
+      ["b:2026-10-20:60", "2026-10-20T13:30:00.000Z"],
+      ["b:2026-10-20:0", "2026-10-20T14:30:00.000Z"],
+      ["a:2026-10-21:1440", "2026-10-20T09:00:00.000Z"],
+    ].sort((x, y) => x[1].localeCompare(y[1])));
+  });
+
+  it("places due times in the device's time zone", () => {
+    const tasks = [{ id: "a", title: "Essay", due: "2026-10-21", dueTime: "09:00", reminders: [0] }];
+    const at = (timeZone) => new Date(buildReminderSchedule(tasks, on({ timeZone }), NOW)[0].at).toISOString();
+    expect(at("UTC")).toBe("2026-10-21T09:00:00.000Z");
+    expect(at("America/New_York")).toBe("2026-10-21T13:00:00.000Z");
+    expect(at("Asia/Tokyo")).toBe("2026-10-21T00:00:00.000Z");
+  });
+
+  it("keeps reminders within the grace period and skips done or disabled ones", () => {
+    const tasks = [
+      { id: "late", title: "Late", due: "2026-10-19", dueTime: "10:00", reminders: [0] },
+      { id: "old", title: "Old", due: "2026-10-19", dueTime: "05:00", reminders: [0] },
+      { id: "done", title: "Done", due: "2026-10-20", done: true },
+      { id: "none", title: "None", due: "2026-10-20", reminders: [] },
+    ];
+    expect(buildReminderSchedule(tasks, on(), NOW).map((r) => r.id)).toEqual(["late:2026-10-19:0"]);
+    expect(buildReminderSchedule(tasks, { ...on(), enabled: false }, NOW)).toEqual([]);
+  });
+
+  it("reminds about each open occurrence of a repeating task", () => {
+    const task = {
+      id: "r",
+      title: "Lab",
+      due: "2026-10-20",
+      repeat: { freq: "weekly", interval: 1, byDay: [2], count: 3 },
+      doneDates: ["2026-10-27"],
+    };
+    expect(buildReminderSchedule([task], on({ offsets: [60] }), NOW).map((r) => r.due)).toEqual(["2026-10-20", "2026-11-03"]);
+  });
+});
+
+describe("dueReminders", () => {
+  it("returns reminders that are due and not shown yet", () => {
+    const items = [
+      { id: "stale", at: NOW - LATE_GRACE_MS },
+      { id: "shown", at: NOW - HOUR },
+      { id: "due", at: NOW - HOUR },
+      { id: "later", at: NOW + HOUR },
+    ];
+    expect(dueReminders(items, ["shown"], NOW).map((r) => r.id)).toEqual(["due"]);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, expect, it } from "vitest";
+import {
+  collapseUnchanged,
+  diffLines,
+  diffStats,
+  isLargeChange,
+  planRevisions,
+  REVISION_INTERVAL_MS,
+} from "../../src/lib/revisions.js";
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const note = (body, extra = {}) => ({ title: "Cells", className: "Bio", body, ...extra });
+
+describe("isLargeChange", () => {
+  it("flags big pastes and clears, not typing", () => {
+    expect(isLargeChange("abc", "abcd")).toBe(false);
+    expect(isLargeChange("abc", "abc" + "x".repeat(800))).toBe(true);
+    expect(isLargeChange("some notes", "  ")).toBe(true);
+    expect(isLargeChange("", "")).toBe(false);
+  });
+});
+
+describe("planRevisions", () => {
+  it("keeps the opened state on the first save of a note without revisions", () => {
+    const out = planRevisions({ opened: note("a"), next: note("ab"), now: NOW });
+    expect(out.map((r) => r.reason)).toEqual(["opened", "autosave"]);
+  });
+
+  it("writes nothing until the interval has passed", () => {
+    const lastRevision = { ...note("a"), at: NOW - 60 * 1000 };
+    expect(planRevisions({ lastRevision, lastSaved: note("ab"), next: note("abc"), now: NOW })).toEqual([]);
+
+    const later = planRevisions({
+      lastRevision,
+      lastSaved: note("ab"),
+      next: note("abc"),
+      now: lastRevision.at + REVISION_INTERVAL_MS,
+    });
+    expect(later.map((r) => r.reason)).toEqual(["autosave"]);
+  });
+
+  it("keeps the state right before a large change", () => {
+    const lastRevision = { ...note("a"), at: NOW - 60 * 1000 };
+    const out = planRevisions({
+      lastRevision,
+      lastSaved: note("ab"),
+      next: note("ab" + "x".repeat(1000)),
+      now: NOW,
+    });
+    expect(out.map((r) => [r.reason, r.content.body.length])).toEqual([
+      ["before-large", 2],
+      ["large-change", 1002],
+    ]);
+  });
+
+  it("skips snapshots identical to the last revision", () => {
+    const lastRevision = { ...note("a"), at: NOW - REVISION_INTERVAL_MS };
+    expect(planRevisions({ lastRevision, lastSaved: note("a"), next: note("a"), now: NOW })).toEqual([]);
+  });
+});
+
+describe("diffLines", () => {
+  it("diffs by line, keeping the common parts", () => {
+    const ops = diffLines("a\nb\nc\nd", "a\nc\nd\ne");
+    expect(ops).toEqual([
+      { type: "same", text: "a" },
+      { type: "del", text: "b" },
+      { type: "same", text: "c" },
+      { type: "same", text: "d" },
+      { type: "add", text: "e" },
+    ]);
+    expect(diffStats(ops)).toEqual({ added: 1, removed: 1 });
+  });
+
+  it("handles empty sides", () => {
+    expect(diffStats(diffLines("", "a\nb"))).toEqual({ added: 2, removed: 1 });
+    expect(diffLines("same", "same")).toEqual([{ type: "same", text: "same" }]);
+  });
+
+  it("rebuilds both texts from the ops", () => {
+    const a = "one\ntwo\nthree\nfour\nfive\nsix";
+    const b = "zero\none\nthree\nfour\nFIVE\nsix\nseven";
+    const ops = diffLines(a, b);
+    const side = (skip) => ops.filter((o) => o.type !== skip).map((o) => o.text).join("\n");
+    expect(side("add")).toBe(a);
+    expect(side("del")).toBe(b);
+  });
+});
+
+describe("collapseUnchanged", () => {
+  const same = (n, from = 0) => Array.from({ length: n }, (_, i) => ({ type: "same", text: `s${from + i}` }));
+
+  it("folds long unchanged runs, keeping context around edits", () => {
+    const ops = [...same(10), { type: "add", text: "new" }, ...same(10, 10)];
+    const out = collapseUnchanged(ops, 2);
+    expect(out.map((o) => (o.type === "skip" ? `skip ${o.count}` : o.text))).toEqual([
+      "skip 8",
+      "s8",
+      "s9",
+      "new",
+      "s10",
+      "s11",
+      "skip 8",
+    ]);
+  });
+
+  it("leaves short runs alone", () => {
+    const ops = [{ type: "del", text: "x" }, ...same(5), { type: "add", text: "y" }];
+    expect(collapseUnchanged(ops, 2)).toEqual(ops);
+  });
+});
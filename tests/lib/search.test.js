@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import { buildIndex, isEmptyQuery, parseQuery, search, snippet } from "../../src/lib/search.js";
+
+const docs = [
+  { key: "n1", type: "note", title: "Photosynthesis", body: "Light reactions make ATP in the thylakoid.", className: "Bio 101", pinned: true, date: Date.parse("2026-10-01T10:00:00") },
+  { key: "n2", type: "note", title: "Cell respiration", body: "Glycolysis and the Krebs cycle make ATP too.", className: "Bio 101", date: Date.parse("2026-10-10T10:00:00") },
+  { key: "c1", type: "card", title: "What is ATP?", body: "The energy currency of the cell.", deck: "Chem" },
+  { key: "t1", type: "task", title: "Lab report", body: "", className: "Chem 200", done: true },
+];
+const index = buildIndex(docs);
+const keys = (input) => search(index, parseQuery(input)).map((r) => r.doc.key);
+
+describe("parseQuery", () => {
+  it("splits terms, phrases, exclusions and filters", () => {
+    const q = parseQuery('atp "krebs cycle" -light -"dark reactions" class:"Bio 101" -type:card');
+    expect(q).toMatchObject({
+      terms: ["atp"],
+      phrases: ["krebs cycle"],
+      excludeTerms: ["light"],
+      excludePhrases: ["dark reactions"],
+      filters: [
+        { field: "class", value: "Bio 101", neg: false },
+        { field: "type", value: "card", neg: true },
+      ],
+    });
+  });
+
+  it("prefix-matches the last word only while it's being typed", () => {
+    expect(parseQuery("phot").prefixLast).toBe(true);
+    expect(parseQuery("phot ").prefixLast).toBe(false);
+  });
+
+  it("keeps unknown fields as text", () => {
+    expect(parseQuery("http://x").terms).toEqual(["http", "x"]);
+    expect(isEmptyQuery(parseQuery("  "))).toBe(true);
+  });
+});
+
+describe("search", () => {
+  it("requires every term and ranks title hits first", () => {
+    expect(keys("atp ")).toEqual(["c1", "n1", "n2"]);
+    expect(keys("atp cycle ")).toEqual(["n2"]);
+  });
+
+  it("prefix-matches the last term", () => {
+    expect(keys("photo")).toEqual(["n1"]);
+    expect(keys("photo ")).toEqual([]);
+  });
+
+  it("applies phrases, exclusions and filters", () => {
+    expect(keys('"krebs cycle"')).toEqual(["n2"]);
+    expect(keys("atp -light ")).toEqual(["c1", "n2"]);
+    expect(keys("class:bio")).toEqual(["n1", "n2"]);
+    expect(keys("deck:chem")).toEqual(["c1"]);
+    expect(keys("-type:note")).toEqual(["c1", "t1"]);
+    expect(keys("pinned:yes")).toEqual(["n1"]);
+    expect(keys("done:yes")).toEqual(["t1"]);
+    expect(keys("after:2026-10-05")).toEqual(["n2"]);
+    expect(keys("before:2026-10-05")).toEqual(["n1"]);
+  });
+
+  it("keeps the original order for filter-only queries and ignores bad values", () => {
+    expect(keys("pinned:maybe")).toEqual(["n1", "n2", "c1", "t1"]);
+  });
+});
+
+describe("snippet", () => {
+  it("marks hits, including word prefixes", () => {
+    expect(snippet("The Krebs cycle makes ATP.", parseQuery("krebs"))).toEqual([
+      { text: "The ", hit: false },
+      { text: "Krebs", hit: true },
+      { text: " cycle makes ATP.", hit: false },
+    ]);
+  });
+
+  it("centres long text on the first hit", () => {
+    const text = `${"filler ".repeat(40)}mitochondria${" filler".repeat(40)}`;
+    const segs = snippet(text, parseQuery("mito"), 60);
+    expect(segs[0]).toEqual({ text: "…", hit: false });
+    expect(segs.at(-1)).toEqual({ text: "…", hit: false });
+    expect(segs.find((s) => s.hit).text).toBe("mitochondria");
+  });
+
+  it("falls back to the start of the text without a hit", () => {
+    expect(snippet("short note", parseQuery("zzz"))).toEqual([{ text: "short note", hit: false }]);
+    expect(snippet("", parseQuery("x"))).toEqual([]);
+  });
+});
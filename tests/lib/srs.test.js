@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_EASE, isDue, isNew, previewInterval, schedule } from "../../src/lib/srs.js";
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("schedule", () => {
+  it("steps a new card through 1 and 6 days, then multiplies by ease", () => {
+    const first = schedule({}, "good", NOW);
+    expect(first).toMatchObject({ ease: DEFAULT_EASE, interval: 1, reps: 1, lapses: 0, due: NOW + DAY });
+
+    const second = schedule(first, "good", NOW);
+    expect(second).toMatchObject({ interval: 6, reps: 2 });
+
+    expect(schedule(second, "good", NOW).interval).toBe(15);
+  });
+
+  it("relearns a lapsed card in 10 minutes and lowers its ease", () => {
+    const card = { ease: 2.5, interval: 15, reps: 3, lapses: 0 };
+    expect(schedule(card, "again", NOW)).toEqual({
+      ease: 2.3,
+      interval: 0,
+      reps: 0,
+      lapses: 1,
+      due: NOW + 10 * 60 * 1000,
+      lastReviewed: NOW,
+    });
+  });
+
+  it("doesn't count a lapse for a card that was never learned", () => {
+    expect(schedule({}, "again", NOW).lapses).toBe(0);
+  });
+
+  it("keeps ease at or above the minimum", () => {
+    expect(schedule({ ease: 1.35, reps: 2, interval: 6 }, "hard", NOW).ease).toBe(1.3);
+    expect(schedule({ ease: 1.3 }, "again", NOW).ease).toBe(1.3);
+  });
+
+  it("grows hard intervals by at least a day and easy ones faster than good", () => {
+    const card = { ease: 2.5, interval: 2, reps: 3 };
+    expect(schedule(card, "hard", NOW).interval).toBe(3);
+    expect(schedule(card, "easy", NOW).interval).toBeGreaterThan(schedule(card, "good", NOW).interval);
+    expect(schedule({}, "easy", NOW).interval).toBe(4);
+  });
+
+  it("rejects unknown grades", () => {
+    expect(() => schedule({}, "perfect", NOW)).toThrow(/Unknown grade/);
+  });
+});
+
+describe("isDue / isNew", () => {
+  it("treats unreviewed cards as new and due", () => {
+    expect(isNew({})).toBe(true);
+    expect(isDue({}, NOW)).toBe(true);
+  });
+
+  it("counts cards due later today as due", () => {
+    expect(isDue({ due: NOW + 6 * 60 * 60 * 1000 }, NOW)).toBe(true);
+    expect(isDue({ due: NOW + DAY }, NOW)).toBe(false);
+  });
+
+  it("never shows suspended cards", () => {
+    expect(isDue({ suspended: true }, NOW)).toBe(false);
+  });
+});
+
+describe("previewInterval", () => {
+  it("labels intervals in minutes, days, months and years", () => {
+    expect(previewInterval({}, "again", NOW)).toBe("10m");
+    expect(previewInterval({}, "good", NOW)).toBe("1d");
+    expect(previewInterval({ ease: 2.5, interval: 30, reps: 4 }, "good", NOW)).toBe("3mo");
+    expect(previewInterval({ ease: 2.5, interval: 200, reps: 6 }, "good", NOW)).toBe("1.4y");
+  });
+});
@@ -1,13 +1,46 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import { VitePWA } from "vite-plugin-pwa";
+import { readFileSync } from "node:fs";
+import { createRequire } from "node:module";
+
+// tesseract.js loads language data from `${langPath}/eng.traineddata.gz`, so the model
+// has to keep its file name: serve it at /tesseract/ in dev and emit it there in builds
+// (see src/lib/ocr.js).
+function ocrLanguageData() {
+  const file = createRequire(import.meta.url).resolve("@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz");
+  const url = "/tesseract/eng.traineddata.gz";
+  return {
+    name: "ocr-language-data",
+    configureServer(server) {
+      server.middlewares.use(url, (req, res) => {
+        res.setHeader("Content-Type", "application/octet-stream");
+        res.end(readFileSync(file));
+      });
+    },
+    generateBundle() {
+      this.emitFile({ type: "asset", fileName: url.slice(1), source: readFileSync(file) });
+    },
+  };
+}
 
 export default defineConfig({
   plugins: [
     react(),
+    ocrLanguageData(),
     VitePWA({
       registerType: "autoUpdate",
       includeAssets: ["favicon.svg", "apple-touch-icon.png", "pwa-192.png", "pwa-512.png"],
+      // Own service worker (src/sw.js) so it can also show due-date reminders
+      strategies: "injectManifest",
+      srcDir: "src",
+      filename: "sw.js",
+      // Precache the whole app (KaTeX fonts, sql.js wasm, pdf.js worker, OCR engine and
+      // English data) so it opens, and reads scans, offline
+      injectManifest: {
+        globPatterns: ["**/*.{js,css,html,svg,png,woff2,wasm,mjs,gz}"],
+        maximumFileSizeToCacheInBytes: 6 * 1024 * 1024,
+      },
       manifest: {
         name: "Intense Notes",
         short_name: "Notes",
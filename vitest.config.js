@@ -0,0 +1,12 @@
+import { defineConfig } from "vitest/config";
+
+// Unit tests for src/lib and the API routes, in tests/. The routes run against the mock AI
+// provider and an in-memory Firestore (tests/helpers/fakeAdmin.js). Dates are checked in
+// UTC so results don't depend on the machine's time zone.
+export default defineConfig({
+  test: {
+    include: ["tests/**/*.test.js"],
+    environment: "node",
+    env: { AI_PROVIDER: "mock", TZ: "UTC" },
+  },
+});